@@ -8,9 +8,18 @@ require('dotenv').config();
 
 const FunctionExecutor = require('./src/FunctionExecutor');
 const BaasContext = require('./src/BaasContext');
+const FunctionResponse = require('./src/FunctionResponse');
 const HealthCheck = require('./src/HealthCheck');
 const ErrorHandler = require('./src/ErrorHandler');
 const RealtimeServer = require('./src/RealtimeServer');
+const Scheduler = require('./src/Scheduler');
+const ChangeTriggers = require('./src/ChangeTriggers');
+const JobQueue = require('./src/JobQueue');
+const ProjectDatabase = require('./src/ProjectDatabase');
+const KeyValueStore = require('./src/KeyValueStore');
+const FunctionCalls = require('./src/FunctionCalls');
+const Tracing = require('./src/Tracing');
+const Metrics = require('./src/Metrics');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -37,6 +46,9 @@ const logger = winston.createLogger({
   ]
 });
 
+// Export spans over OTLP when a collector endpoint is configured
+Tracing.init(logger);
+
 // Create Express app
 const app = express();
 const port = process.env.PORT || 3001;
@@ -51,7 +63,7 @@ app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-BaaS-Project-ID', 'X-BaaS-Execution-ID']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-BaaS-Project-ID', 'X-BaaS-Execution-ID', 'traceparent', 'tracestate']
 }));
 
 // Compression and parsing
@@ -70,30 +82,84 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Request logging
+// Request logging and tracing (continues the caller's W3C traceparent)
 app.use((req, res, next) => {
   const start = Date.now();
+  const parent = Tracing.extract(req.headers);
+  const span = Tracing.startSpan(`${req.method} ${req.path}`, {
+    kind: Tracing.SpanKind.SERVER,
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.path,
+      'baas.execution_id': req.get('X-BaaS-Execution-ID') || ''
+    }
+  }, parent);
+  req.traceContext = Tracing.contextWith(span, parent);
+  const traceId = Tracing.traceId(req.traceContext);
+
   logger.info(`${req.method} ${req.path}`, {
     ip: req.ip,
     userAgent: req.get('User-Agent'),
-    executionId: req.get('X-BaaS-Execution-ID')
+    executionId: req.get('X-BaaS-Execution-ID'),
+    ...(traceId && { traceId })
   });
   
   res.on('finish', () => {
     const duration = Date.now() - start;
     logger.info(`${req.method} ${req.path} - ${res.statusCode}`, {
       duration,
-      executionId: req.get('X-BaaS-Execution-ID')
+      executionId: req.get('X-BaaS-Execution-ID'),
+      ...(traceId && { traceId })
     });
+
+    if (req.route) {
+      span.updateName(`${req.method} ${req.baseUrl}${req.route.path}`);
+    }
+    span.setAttribute('http.response.status_code', res.statusCode);
+    Tracing.endSpan(span, res.statusCode >= 500 ? `HTTP ${res.statusCode}` : null);
   });
   
   next();
 });
 
 // Initialize services
-const functionExecutor = new FunctionExecutor(logger);
+// Prometheus metrics served on /metrics
+const metrics = process.env.ENABLE_METRICS !== 'false' ? new Metrics() : null;
+
+const functionExecutor = new FunctionExecutor(logger, { metrics });
 const healthCheck = new HealthCheck();
 
+// Raw SQL for ctx.db.raw() and ctx.db.transaction(); connects on first use
+const projectDatabase = new ProjectDatabase(logger);
+
+// Function-to-function calls for ctx.functions.invoke()
+const functionCalls = new FunctionCalls(logger, {
+  drupalApiUrl: process.env.DRUPAL_API_URL || 'http://localhost',
+  apiKey: process.env.DRUPAL_API_KEY,
+  executor: functionExecutor,
+  createContext: createExecutionContext
+});
+
+// Project key-value store for ctx.kv (needs Redis)
+let kvStore = null;
+if (process.env.ENABLE_FUNCTION_KV !== 'false' && process.env.REDIS_URL) {
+  kvStore = new KeyValueStore(logger, {
+    redisUrl: process.env.REDIS_URL
+  });
+}
+
+// Initialize database change triggers (fed by the realtime server's change listener)
+let changeTriggers = null;
+if (process.env.ENABLE_CHANGE_TRIGGERS !== 'false' && process.env.REDIS_URL) {
+  changeTriggers = new ChangeTriggers(logger, {
+    redisUrl: process.env.REDIS_URL,
+    drupalApiUrl: process.env.DRUPAL_API_URL || 'http://localhost',
+    apiKey: process.env.DRUPAL_API_KEY,
+    maxAttempts: parseInt(process.env.TRIGGER_MAX_ATTEMPTS) || 5,
+    retryDelay: parseInt(process.env.TRIGGER_RETRY_DELAY) || 5000
+  });
+}
+
 // Initialize realtime server
 let realtimeServer = null;
 if (process.env.ENABLE_REALTIME !== 'false') {
@@ -102,7 +168,72 @@ if (process.env.ENABLE_REALTIME !== 'false') {
     drupalApiUrl: process.env.DRUPAL_API_URL || 'http://localhost/api',
     jwtSecret: process.env.JWT_SECRET,
     pgConnectionString: process.env.DATABASE_URL,
-    redisUrl: process.env.REDIS_URL
+    redisUrl: process.env.REDIS_URL,
+    onChange: changeTriggers ? (change) => changeTriggers.publish(change) : null,
+    metrics
+  });
+}
+
+// Initialize function scheduler (needs Redis for schedules and leader election)
+let scheduler = null;
+if (process.env.ENABLE_SCHEDULER !== 'false' && process.env.REDIS_URL) {
+  scheduler = new Scheduler(logger, {
+    redisUrl: process.env.REDIS_URL,
+    drupalApiUrl: process.env.DRUPAL_API_URL || 'http://localhost',
+    apiKey: process.env.DRUPAL_API_KEY,
+    tickInterval: parseInt(process.env.SCHEDULER_TICK_INTERVAL) || 1000,
+    leaderTtl: parseInt(process.env.SCHEDULER_LEADER_TTL) || 15000,
+    missedRunThreshold: parseInt(process.env.SCHEDULER_MISSED_RUN_THRESHOLD) || 60000,
+    historySize: parseInt(process.env.SCHEDULER_HISTORY_SIZE) || 100
+  });
+}
+
+/**
+ * Creates the BaaS Context for an /execute payload
+ */
+function createExecutionContext(payload) {
+  const { context: contextData = {} } = payload;
+
+  return new BaasContext({
+    project_id: contextData.project_id,
+    tenant_id: contextData.tenant_id,
+    user_id: contextData.user_id,
+    execution_id: payload.execution_id,
+    function_id: payload.function_id,
+    parent_execution_id: contextData.parent_execution_id,
+    call_depth: parseInt(contextData.call_depth) || 0,
+    config: payload.config || {},
+    env: payload.env || {},
+    egress: contextData.egress,
+    jwt_keys: payload.jwt_keys,
+    invocation_token: payload.invocation_token,
+    database: projectDatabase,
+    kv: kvStore,
+    functions: functionCalls,
+    logger
+  });
+}
+
+// Initialize async job queue (executions survive restarts in Redis)
+let jobQueue = null;
+if (process.env.ENABLE_ASYNC_JOBS !== 'false' && process.env.REDIS_URL && !process.env.JOB_ENCRYPTION_KEY) {
+  // Job payloads carry secrets, so they are never stored unencrypted
+  logger.warn('Async jobs are disabled: JOB_ENCRYPTION_KEY is not set');
+} else if (process.env.ENABLE_ASYNC_JOBS !== 'false' && process.env.REDIS_URL) {
+  jobQueue = new JobQueue(logger, {
+    redisUrl: process.env.REDIS_URL,
+    encryptionKey: process.env.JOB_ENCRYPTION_KEY,
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 4,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    resultTtl: parseInt(process.env.JOB_RESULT_TTL) || 86400,
+    handler: (payload) => functionExecutor.execute(
+      payload.code,
+      payload.request || {},
+      createExecutionContext(payload),
+      payload.config || {},
+      // Continues the trace of the request that queued the job
+      { traceContext: Tracing.extract(payload.trace || {}) }
+    )
   });
 }
 
@@ -110,16 +241,46 @@ if (process.env.ENABLE_REALTIME !== 'false') {
 app.get('/health', (req, res) => {
   const health = healthCheck.getStatus();
   
+  // Add function worker pool stats
+  health.workers = functionExecutor.getPoolStats();
+  health.cache = functionExecutor.getCacheStats();
+  health.concurrency = functionExecutor.getConcurrencyStats();
+  
   // Add realtime server stats if available
   if (realtimeServer) {
     health.realtime = realtimeServer.getStats();
   }
+
+  if (scheduler) {
+    health.scheduler = scheduler.getStats();
+  }
+
+  if (changeTriggers) {
+    health.triggers = changeTriggers.getStats();
+  }
+
+  if (jobQueue) {
+    health.jobs = jobQueue.getStats();
+  }
   
   res.status(health.status === 'healthy' ? 200 : 503).json(health);
 });
 
+// Prometheus metrics endpoint
+if (metrics) {
+  metrics.track({ executor: functionExecutor, jobs: jobQueue, realtime: realtimeServer });
+
+  app.get('/metrics', async (req, res, next) => {
+    try {
+      res.set('Content-Type', metrics.contentType).send(await metrics.render());
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
 // Function execution endpoint
-app.post('/execute', async (req, res) => {
+app.post('/execute', async (req, res, next) => {
   try {
     const {
       execution_id,
@@ -129,7 +290,12 @@ app.post('/execute', async (req, res) => {
       config = {},
       request: requestData = {},
       context: contextData = {},
-      env = {}
+      env = {},
+      jwt_keys = [],
+      invocation_token = null,
+      response_mode = 'envelope',
+      mode = 'sync',
+      webhook = null
     } = req.body;
 
     if (!execution_id || !function_id || !code) {
@@ -140,6 +306,45 @@ app.post('/execute', async (req, res) => {
       });
     }
 
+    // Async mode queues the execution and answers with the job id at once
+    if (mode === 'async') {
+      if (!jobQueue) {
+        return res.status(503).json({
+          status: 'error',
+          error: 'Async execution is not enabled; it requires REDIS_URL and JOB_ENCRYPTION_KEY',
+          code: 'JOBS_DISABLED'
+        });
+      }
+
+      const job = await jobQueue.enqueue({
+        execution_id,
+        function_id,
+        function_name,
+        code,
+        config,
+        request: requestData,
+        context: contextData,
+        env,
+        jwt_keys,
+        invocation_token,
+        trace: Tracing.headers(req.traceContext)
+      }, webhook);
+
+      logger.info('Function execution queued', {
+        execution_id,
+        function_id,
+        job_id: job.id,
+        project_id: contextData.project_id
+      });
+
+      return res.status(202).json({
+        status: 'queued',
+        job_id: job.id,
+        execution_id,
+        status_url: `/jobs/${job.id}`
+      });
+    }
+
     logger.info('Executing function', {
       execution_id,
       function_id,
@@ -149,35 +354,56 @@ app.post('/execute', async (req, res) => {
     });
 
     // Create BaaS Context
-    const baasContext = new BaasContext({
-      project_id: contextData.project_id,
-      tenant_id: contextData.tenant_id,
-      user_id: contextData.user_id,
-      execution_id,
-      function_id,
-      config,
-      env,
-      logger
-    });
+    const baasContext = createExecutionContext(req.body);
+
+    // In raw mode a Response returned by the function is streamed to the client
+    const response = response_mode === 'raw'
+      ? new FunctionResponse({ res })
+      : null;
 
     // Execute function
-    const result = await functionExecutor.execute(code, requestData, baasContext, config);
+    const result = await functionExecutor.execute(code, requestData, baasContext, config, {
+      response,
+      traceContext: req.traceContext
+    });
 
     logger.info('Function executed successfully', {
       execution_id,
       status: result.status,
-      execution_time: result.execution_time_ms
+      execution_time: result.execution_time_ms,
+      streamed: Boolean(result.streamed)
     });
 
-    res.json(result);
+    if (!result.streamed) {
+      res.set('X-BaaS-Response-Mode', 'envelope').json(result);
+    }
 
   } catch (error) {
+    // Concurrency limit rejections get a structured 429
+    if (error.name === 'RateLimitError') {
+      return next(error);
+    }
+
+    // Invalid or blocked webhook URL for an async execution
+    if (error.name === 'ValidationError' || error.code === 'EGRESS_DENIED') {
+      return res.status(400).json({
+        status: 'error',
+        error: error.message,
+        code: error.code
+      });
+    }
+
     logger.error('Function execution failed', {
       execution_id: req.body.execution_id,
       error: error.message,
       stack: error.stack
     });
 
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+
     res.status(500).json({
       status: 'error',
       error: error.message,
@@ -188,7 +414,7 @@ app.post('/execute', async (req, res) => {
 });
 
 // Function testing endpoint
-app.post('/test', async (req, res) => {
+app.post('/test', async (req, res, next) => {
   try {
     const {
       execution_id,
@@ -196,6 +422,8 @@ app.post('/test', async (req, res) => {
       config = {},
       request: requestData = {},
       context: contextData = {},
+      jwt_keys = [],
+      invocation_token = null,
       test_mode = true
     } = req.body;
 
@@ -222,6 +450,11 @@ app.post('/test', async (req, res) => {
       function_id: 'test_function',
       config,
       test_mode,
+      jwt_keys,
+      invocation_token,
+      database: projectDatabase,
+      kv: kvStore,
+      functions: functionCalls,
       logger
     });
 
@@ -230,7 +463,7 @@ app.post('/test', async (req, res) => {
       ...config,
       timeout: Math.min(config.timeout || 10000, 30000), // Max 30s for tests
       memory_limit: Math.min(config.memory_limit || 128, 256) // Max 256MB for tests
-    });
+    }, { traceContext: req.traceContext });
 
     // Add validation information for test mode
     result.validation = await functionExecutor.validateCode(code);
@@ -244,6 +477,10 @@ app.post('/test', async (req, res) => {
     res.json(result);
 
   } catch (error) {
+    if (error.name === 'RateLimitError') {
+      return next(error);
+    }
+
     logger.error('Function test failed', {
       execution_id: req.body.execution_id,
       error: error.message,
@@ -293,6 +530,281 @@ app.post('/validate', async (req, res) => {
   }
 });
 
+// Function pre-warming endpoint (keep_warm functions)
+app.post('/warm', async (req, res) => {
+  try {
+    const {
+      function_id,
+      code,
+      config = {},
+      context: contextData = {},
+      env = {},
+      instances = 1
+    } = req.body;
+
+    if (!function_id || !code) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Missing required fields: function_id, code',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const baasContext = new BaasContext({
+      project_id: contextData.project_id,
+      tenant_id: contextData.tenant_id,
+      execution_id: `warm_${function_id}_${Date.now()}`,
+      function_id,
+      config,
+      env,
+      egress: contextData.egress,
+      logger
+    });
+
+    const result = await functionExecutor.warm(code, baasContext, config, instances);
+
+    logger.info('Function warmed', result);
+
+    res.json({
+      status: 'success',
+      ...result
+    });
+
+  } catch (error) {
+    // Invalid code or config, or a function without keep_warm
+    if (error.name === 'ValidationError' || error.name === 'SyntaxError') {
+      return res.status(400).json({
+        status: 'error',
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Function warm-up failed', {
+      function_id: req.body.function_id,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      status: 'error',
+      error: error.message,
+      code: 'WARM_ERROR'
+    });
+  }
+});
+
+// Invalid input and unknown ids keep their own error codes
+function sendResourceError(error, req, res, next) {
+  if (error.name !== 'ValidationError' && error.name !== 'NotFoundError') {
+    return next(error);
+  }
+
+  res.status(error.name === 'ValidationError' ? 400 : 404).json({
+    status: 'error',
+    error: error.message,
+    code: error.code
+  });
+}
+
+// Function schedules (cron triggers)
+const schedules = express.Router();
+
+schedules.use((req, res, next) => {
+  if (!scheduler) {
+    return res.status(503).json({
+      status: 'error',
+      error: 'Scheduler is not enabled; it requires REDIS_URL',
+      code: 'SCHEDULER_DISABLED'
+    });
+  }
+  next();
+});
+
+schedules.get('/', async (req, res, next) => {
+  try {
+    if (!req.query.project_id) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Missing required query parameter: project_id',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    res.json({ status: 'success', schedules: await scheduler.list(req.query.project_id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+schedules.post('/', async (req, res, next) => {
+  try {
+    const schedule = await scheduler.create(req.body);
+    logger.info('Schedule created', { schedule_id: schedule.id, project_id: schedule.project_id, cron: schedule.cron });
+    res.status(201).json({ status: 'success', schedule });
+  } catch (error) {
+    next(error);
+  }
+});
+
+schedules.get('/:id', async (req, res, next) => {
+  try {
+    res.json({ status: 'success', schedule: await scheduler.get(req.params.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+schedules.patch('/:id', async (req, res, next) => {
+  try {
+    const schedule = await scheduler.update(req.params.id, req.body);
+    logger.info('Schedule updated', { schedule_id: schedule.id, enabled: schedule.enabled });
+    res.json({ status: 'success', schedule });
+  } catch (error) {
+    next(error);
+  }
+});
+
+schedules.delete('/:id', async (req, res, next) => {
+  try {
+    await scheduler.delete(req.params.id);
+    logger.info('Schedule deleted', { schedule_id: req.params.id });
+    res.json({ status: 'success' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+schedules.get('/:id/runs', async (req, res, next) => {
+  try {
+    res.json({ status: 'success', runs: await scheduler.getRuns(req.params.id, req.query.limit) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+schedules.use(sendResourceError);
+
+app.use('/schedules', schedules);
+
+// Database change triggers
+const triggers = express.Router();
+
+triggers.use((req, res, next) => {
+  if (!changeTriggers) {
+    return res.status(503).json({
+      status: 'error',
+      error: 'Change triggers are not enabled; they require REDIS_URL',
+      code: 'TRIGGERS_DISABLED'
+    });
+  }
+  next();
+});
+
+triggers.get('/', async (req, res, next) => {
+  try {
+    if (!req.query.project_id) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Missing required query parameter: project_id',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    res.json({ status: 'success', triggers: await changeTriggers.list(req.query.project_id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+triggers.post('/', async (req, res, next) => {
+  try {
+    const trigger = await changeTriggers.create(req.body);
+    logger.info('Trigger created', { trigger_id: trigger.id, project_id: trigger.project_id, table: trigger.table });
+    res.status(201).json({ status: 'success', trigger });
+  } catch (error) {
+    next(error);
+  }
+});
+
+triggers.get('/dead-letters', async (req, res, next) => {
+  try {
+    if (!req.query.project_id) {
+      return res.status(400).json({
+        status: 'error',
+        error: 'Missing required query parameter: project_id',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    res.json({
+      status: 'success',
+      dead_letters: await changeTriggers.listDeadLetters(req.query.project_id, req.query.limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+triggers.post('/dead-letters/:id/retry', async (req, res, next) => {
+  try {
+    await changeTriggers.retryDeadLetter(req.params.id);
+    logger.info('Dead-lettered delivery requeued', { delivery_id: req.params.id });
+    res.json({ status: 'success' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+triggers.get('/:id', async (req, res, next) => {
+  try {
+    res.json({ status: 'success', trigger: await changeTriggers.get(req.params.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+triggers.patch('/:id', async (req, res, next) => {
+  try {
+    const trigger = await changeTriggers.update(req.params.id, req.body);
+    logger.info('Trigger updated', { trigger_id: trigger.id, enabled: trigger.enabled });
+    res.json({ status: 'success', trigger });
+  } catch (error) {
+    next(error);
+  }
+});
+
+triggers.delete('/:id', async (req, res, next) => {
+  try {
+    await changeTriggers.delete(req.params.id);
+    logger.info('Trigger deleted', { trigger_id: req.params.id });
+    res.json({ status: 'success' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+triggers.use(sendResourceError);
+
+app.use('/triggers', triggers);
+
+// Async execution status and result
+app.get('/jobs/:id', async (req, res, next) => {
+  try {
+    if (!jobQueue) {
+      return res.status(503).json({
+        status: 'error',
+        error: 'Async execution is not enabled; it requires REDIS_URL and JOB_ENCRYPTION_KEY',
+        code: 'JOBS_DISABLED'
+      });
+    }
+
+    res.json({ status: 'success', job: await jobQueue.get(req.params.id) });
+  } catch (error) {
+    sendResourceError(error, req, res, next);
+  }
+});
+
 // Service info endpoint
 app.get('/info', (req, res) => {
   res.json({
@@ -323,6 +835,51 @@ app.use('*', (req, res) => {
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
   
+  // Running jobs get a moment to finish before the workers stop
+  if (jobQueue) {
+    try {
+      await jobQueue.close();
+      logger.info('Job queue stopped');
+    } catch (error) {
+      logger.error('Error stopping job queue:', error);
+    }
+  }
+
+  await functionCalls.close();
+  await functionExecutor.close();
+
+  try {
+    await projectDatabase.close();
+  } catch (error) {
+    logger.error('Error closing function SQL pool:', error);
+  }
+
+  if (kvStore) {
+    try {
+      await kvStore.close();
+    } catch (error) {
+      logger.error('Error closing key-value store:', error);
+    }
+  }
+
+  if (scheduler) {
+    try {
+      await scheduler.close();
+      logger.info('Scheduler stopped');
+    } catch (error) {
+      logger.error('Error stopping scheduler:', error);
+    }
+  }
+
+  if (changeTriggers) {
+    try {
+      await changeTriggers.close();
+      logger.info('Change triggers stopped');
+    } catch (error) {
+      logger.error('Error stopping change triggers:', error);
+    }
+  }
+  
   if (realtimeServer) {
     try {
       await realtimeServer.close();
@@ -331,6 +888,12 @@ process.on('SIGTERM', async () => {
       logger.error('Error closing realtime server:', error);
     }
   }
+
+  try {
+    await Tracing.shutdown();
+  } catch (error) {
+    logger.error('Error flushing traces:', error);
+  }
   
   server.close(() => {
     logger.info('Process terminated');
@@ -341,6 +904,51 @@ process.on('SIGTERM', async () => {
 process.on('SIGINT', async () => {
   logger.info('SIGINT received, shutting down gracefully');
   
+  // Running jobs get a moment to finish before the workers stop
+  if (jobQueue) {
+    try {
+      await jobQueue.close();
+      logger.info('Job queue stopped');
+    } catch (error) {
+      logger.error('Error stopping job queue:', error);
+    }
+  }
+
+  await functionCalls.close();
+  await functionExecutor.close();
+
+  try {
+    await projectDatabase.close();
+  } catch (error) {
+    logger.error('Error closing function SQL pool:', error);
+  }
+
+  if (kvStore) {
+    try {
+      await kvStore.close();
+    } catch (error) {
+      logger.error('Error closing key-value store:', error);
+    }
+  }
+
+  if (scheduler) {
+    try {
+      await scheduler.close();
+      logger.info('Scheduler stopped');
+    } catch (error) {
+      logger.error('Error stopping scheduler:', error);
+    }
+  }
+
+  if (changeTriggers) {
+    try {
+      await changeTriggers.close();
+      logger.info('Change triggers stopped');
+    } catch (error) {
+      logger.error('Error stopping change triggers:', error);
+    }
+  }
+  
   if (realtimeServer) {
     try {
       await realtimeServer.close();
@@ -349,6 +957,12 @@ process.on('SIGINT', async () => {
       logger.error('Error closing realtime server:', error);
     }
   }
+
+  try {
+    await Tracing.shutdown();
+  } catch (error) {
+    logger.error('Error flushing traces:', error);
+  }
   
   server.close(() => {
     logger.info('Process terminated');
@@ -372,6 +986,38 @@ const server = app.listen(port, '0.0.0.0', async () => {
       logger.error('Failed to initialize realtime server:', error);
     }
   }
+
+  if (kvStore) {
+    try {
+      await kvStore.init();
+    } catch (error) {
+      logger.error('Failed to initialize key-value store:', error);
+    }
+  }
+
+  if (jobQueue) {
+    try {
+      await jobQueue.init();
+    } catch (error) {
+      logger.error('Failed to initialize job queue:', error);
+    }
+  }
+
+  if (changeTriggers) {
+    try {
+      await changeTriggers.init();
+    } catch (error) {
+      logger.error('Failed to initialize change triggers:', error);
+    }
+  }
+
+  if (scheduler) {
+    try {
+      await scheduler.init();
+    } catch (error) {
+      logger.error('Failed to initialize scheduler:', error);
+    }
+  }
 });
 
 module.exports = app;
\ No newline at end of file
@@ -1,4 +1,10 @@
 const axios = require('axios');
+const http = require('http');
+const https = require('https');
+const EgressPolicy = require('./EgressPolicy');
+const Tracing = require('./Tracing');
+const JwtKeyring = require('./JwtKeyring');
+const FileBody = require('./FileBody');
 
 /**
  * BaaS Context - Provides project-scoped access to platform services
@@ -10,17 +16,40 @@ class BaasContext {
     this.user_id = options.user_id;
     this.execution_id = options.execution_id;
     this.function_id = options.function_id;
+    // Set when another function invoked this one (see FunctionCalls)
+    this.parent_execution_id = options.parent_execution_id || null;
+    this.call_depth = options.call_depth || 0;
+    // Signed by Drupal; lets this execution invoke other functions (not serialized)
+    this.invocation_token = options.invocation_token || null;
     this.config = options.config || {};
     this.test_mode = options.test_mode || false;
     this.logger = options.logger;
     this.env = options.env || {};
+    this.egress = options.egress || {};
+
+    // Project signing keys; not part of serialize(), so never sent to the sandbox
+    this.jwtKeyring = new JwtKeyring(options.jwt_keys);
+
+    // Shared ProjectDatabase for raw SQL, and the transactions this execution opened
+    this.database = options.database || null;
+    this.kvStore = options.kv || null;
+    this.functionCalls = options.functions || null;
+    this.transactions = new Map();
+    this.transactionSequence = 0;
     
     // Internal state
     this.logs = [];
+    this.logBytes = 0;
+    this.logsDropped = 0;
+    this.maxLogEntries = options.max_log_entries || parseInt(process.env.FUNCTION_LOG_MAX_ENTRIES) || 500;
+    this.maxLogBytes = options.max_log_bytes || parseInt(process.env.FUNCTION_LOG_MAX_BYTES) || 65536;
     this.startTime = Date.now();
+    this.egressPolicy = null;
+    this.traceContext = null;
     
     // API base URL (should be configurable)
     this.apiBaseUrl = process.env.DRUPAL_API_URL || 'http://localhost';
+    this.apiKey = options.api_key || process.env.DRUPAL_API_KEY;
   }
 
   /**
@@ -133,79 +162,372 @@ class BaasContext {
           get: (target, entityName) => this.createEntityInterface(entityName)
         })
       },
-      raw: async (query, params = []) => {
+      raw: async (query, params = [], options = {}) => {
         if (this.test_mode) {
           this.log.warn('Database raw query called in test mode', { query });
-          return { rows: [], rowCount: 0 };
+          return { rows: [], rowCount: 0, fields: [], truncated: false };
+        }
+        return this.getDatabase().query(this.projectScope(), query, params, options);
+      },
+      transaction: async (callback) => {
+        if (typeof callback !== 'function') {
+          throw new Error('db.transaction() requires a callback');
+        }
+
+        const id = await this.beginTransaction();
+        const tx = {
+          query: (query, params = [], options = {}) => this.transactionQuery(id, query, params, options)
+        };
+        try {
+          const result = await callback(tx);
+          await this.endTransaction(id, 'commit');
+          return result;
+        } catch (error) {
+          await this.endTransaction(id, 'rollback').catch(() => {});
+          throw error;
         }
-        // TODO: Implement raw SQL query execution
-        throw new Error('Raw database queries not yet implemented');
       }
     };
   }
 
   /**
-   * JWT utilities
+   * Opens a write transaction and returns its id
+   *
+   * The sandbox drives transactions by id over the worker bridge; one may be
+   * open per execution, and close() rolls back any left open.
    */
-  get jwt() {
+  async beginTransaction() {
+    if (this.transactions.size > 0) {
+      throw this.serviceError('A transaction is already open in this execution', 'SQL_TRANSACTION_OPEN');
+    }
+
+    const id = `tx_${++this.transactionSequence}`;
+    // Reserve the slot while connecting
+    this.transactions.set(id, null);
+    let transaction;
+    try {
+      transaction = this.test_mode ? { test: true } : await this.getDatabase().openTransaction(this.projectScope());
+    } catch (error) {
+      this.transactions.delete(id);
+      throw error;
+    }
+
+    // The execution ended while connecting
+    if (!this.transactions.has(id)) {
+      if (!transaction.test) {
+        await transaction.rollback().catch(() => {});
+      }
+      throw this.serviceError('Transaction is not open', 'SQL_TRANSACTION_CLOSED');
+    }
+    this.transactions.set(id, transaction);
+    return id;
+  }
+
+  async transactionQuery(id, query, params = [], options = {}) {
+    const transaction = this.getTransaction(id);
+    if (transaction.test) {
+      this.log.warn('Database transaction query called in test mode', { query });
+      return { rows: [], rowCount: 0, fields: [], truncated: false };
+    }
+    return transaction.query(query, params, options);
+  }
+
+  /**
+   * Commits or rolls back a transaction
+   *
+   * @param {string} id - Transaction id
+   * @param {string} action - 'commit' or 'rollback'
+   */
+  async endTransaction(id, action) {
+    const transaction = this.getTransaction(id);
+    this.transactions.delete(id);
+    if (!transaction.test) {
+      await (action === 'commit' ? transaction.commit() : transaction.rollback());
+    }
+  }
+
+  getTransaction(id) {
+    const transaction = this.transactions.get(id);
+    if (!transaction) {
+      throw this.serviceError('Transaction is not open', 'SQL_TRANSACTION_CLOSED');
+    }
+    return transaction;
+  }
+
+  getDatabase() {
+    if (!this.database) {
+      throw this.serviceError('Raw SQL is not configured for this service', 'SQL_NOT_CONFIGURED');
+    }
+    return this.database;
+  }
+
+  projectScope() {
+    return { tenant_id: this.tenant_id, project_id: this.project_id };
+  }
+
+  serviceError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Releases what the execution left open: rolls back unfinished transactions
+   */
+  async close() {
+    const open = Array.from(this.transactions.entries());
+    this.transactions.clear();
+
+    await Promise.all(open.map(async ([id, transaction]) => {
+      if (!transaction || transaction.test) {
+        return;
+      }
+      if (this.logger) {
+        this.logger.warn('Rolling back transaction left open by function', { execution_id: this.execution_id, transaction: id });
+      }
+      await transaction.rollback().catch(() => {});
+    }));
+  }
+
+  /**
+   * Project key-value store (see KeyValueStore)
+   */
+  get kv() {
+    const scope = this.projectScope();
+    const store = () => {
+      if (!this.kvStore) {
+        throw this.serviceError('Key-value store is not configured for this service', 'KV_NOT_CONFIGURED');
+      }
+      return this.kvStore;
+    };
+
     return {
-      sign: async (payload, expiresIn = '1h') => {
+      get: async (key) => (this.test_mode ? null : store().get(scope, key)),
+      set: async (key, value, options = {}) => (this.test_mode ? true : store().set(scope, key, value, options)),
+      incr: async (key, by = 1, options = {}) => (this.test_mode ? by : store().incr(scope, key, by, options)),
+      delete: async (key) => (this.test_mode ? false : store().delete(scope, key)),
+      list: async (prefix = '', options = {}) => (this.test_mode ? { keys: [], cursor: null } : store().list(scope, prefix, options))
+    };
+  }
+
+  /**
+   * Invokes other functions of the project (see FunctionCalls)
+   */
+  get functions() {
+    return {
+      invoke: async (functionName, payload = {}, options = {}) => {
         if (this.test_mode) {
-          return 'test_jwt_token_' + Date.now();
+          this.log.warn('Function invocation called in test mode', { function_name: functionName });
+          return options.async ? { execution_id: 'test_execution', status: 'accepted' } : null;
         }
-        // TODO: Implement JWT signing via Drupal API
-        throw new Error('JWT signing not yet implemented');
-      },
-      verify: async (token) => {
-        if (this.test_mode) {
-          return { valid: true, payload: { test: true } };
+        if (!this.functionCalls) {
+          throw this.serviceError('Function invocation is not configured for this service', 'INVOCATION_NOT_CONFIGURED');
         }
-        // TODO: Implement JWT verification via Drupal API
-        throw new Error('JWT verification not yet implemented');
+        return this.functionCalls.invoke(this, functionName, payload, options);
       }
     };
   }
 
+  /**
+   * JWT utilities, signed with the project's keys
+   */
+  get jwt() {
+    return {
+      sign: async (payload, options = {}) => this.jwtKeyring.sign(payload, options),
+      verify: async (token, options = {}) => this.jwtKeyring.verify(token, options)
+    };
+  }
+
   /**
    * File operations interface
    */
   get files() {
     return {
-      upload: async (file, options = {}) => {
+      upload: async (data, options = {}) => {
         if (this.test_mode) {
-          return { url: 'test://file-url', id: 'test_file_id' };
+          return { id: 'test_file_id', filename: options.filename || 'test_file', url: 'test://file-url' };
         }
-        // TODO: Implement file upload via Drupal API
-        throw new Error('File upload not yet implemented');
+        return this.uploadFile(data, options);
       },
-      download: async (fileId) => {
+      download: async (fileId, options = {}) => {
         if (this.test_mode) {
-          return { url: 'test://download-url' };
+          return { id: fileId, url: 'test://download-url', expires_at: new Date(Date.now() + 3600000).toISOString() };
         }
-        // TODO: Implement file download via Drupal API
-        throw new Error('File download not yet implemented');
+        return this.getFileDownload(fileId, options);
       },
       delete: async (fileId) => {
         if (this.test_mode) {
-          return { success: true };
+          return { success: true, id: fileId };
         }
-        // TODO: Implement file deletion via Drupal API
-        throw new Error('File deletion not yet implemented');
+        return this.deleteFile(fileId);
       }
     };
   }
 
+  /**
+   * Deletes a project file
+   *
+   * The media API authorizes a delete against the project that owns the file,
+   * not this execution's project, so ownership is checked first through the
+   * project-scoped file route, which answers 404 for other projects' files.
+   *
+   * @param {string|number} fileId - File ID
+   */
+  async deleteFile(fileId) {
+    const id = this.fileIdParam(fileId);
+    await this.makeFileRequest('GET', `projects/${encodeURIComponent(this.project_id)}/files/${id}`);
+    await this.makeFileRequest('DELETE', `media/${id}`);
+    return { success: true, id };
+  }
+
+  /**
+   * Uploads a file to the project's media storage
+   *
+   * @param {*} data - Contents (see FileBody)
+   * @param {object} options - { filename, mimeType, description }
+   */
+  async uploadFile(data, options = {}) {
+    const filename = options.filename || (data && typeof data.name === 'string' && data.name);
+    if (!filename || typeof filename !== 'string') {
+      throw FileBody.error('A filename is required to upload a file', 'INVALID_FILE_DATA');
+    }
+
+    const body = await FileBody.read(data);
+    const mimeType = options.mimeType || options.contentType || (data instanceof Blob && data.type) || 'application/octet-stream';
+
+    const form = new FormData();
+    form.append('file', new Blob([body], { type: mimeType }), filename);
+    if (options.description) {
+      form.append('description', String(options.description));
+    }
+
+    const result = await this.makeFileRequest('POST', `project/${encodeURIComponent(this.project_id)}/media/upload`, form, {
+      // axios sets the multipart boundary; a JSON content type would serialize the form
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000
+    });
+
+    const file = result && result.uploaded_files && result.uploaded_files[0];
+    if (!file) {
+      const failure = (result && result.errors && result.errors[0]) || {};
+      throw this.fileError(failure.error || 'File upload failed', failure.code || 'UPLOAD_FAILED', failure.details);
+    }
+
+    return {
+      id: String(file.file_id),
+      filename: file.filename,
+      size: file.filesize,
+      mime_type: file.mime_type,
+      url: file.url
+    };
+  }
+
+  /**
+   * Gets a signed, expiring download URL for a project file
+   *
+   * @param {string|number} fileId - File ID
+   * @param {object} options - { expiresIn: seconds, 60 to 86400 (default 3600) }
+   */
+  async getFileDownload(fileId, options = {}) {
+    const params = options.expiresIn ? { expires_in: parseInt(options.expiresIn) } : undefined;
+    const file = await this.makeFileRequest('GET', `projects/${encodeURIComponent(this.project_id)}/files/${this.fileIdParam(fileId)}`, null, { params });
+
+    return {
+      id: String(file.id),
+      filename: file.filename,
+      size: file.filesize,
+      mime_type: file.mime_type,
+      url: file.download_url,
+      expires_at: new Date(file.download_expires_at * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Validates a file ID for use in an API path
+   */
+  fileIdParam(fileId) {
+    if (!/^\d+$/.test(String(fileId))) {
+      throw FileBody.error(`Invalid file id: ${String(fileId)}`, 'INVALID_FILE_ID');
+    }
+    return String(fileId);
+  }
+
+  /**
+   * Makes a file API request to Drupal backend
+   *
+   * Errors carry the API's error code, e.g. STORAGE_LIMIT_EXCEEDED when the
+   * project is out of quota, with its details (usage, limit) in `details`.
+   */
+  async makeFileRequest(method, endpoint, data = null, options = {}) {
+    if (!this.tenant_id || !this.project_id) {
+      throw new Error('File access requires a tenant and project context');
+    }
+
+    const url = `${this.apiBaseUrl}/api/v1/${encodeURIComponent(this.tenant_id)}/${endpoint}`;
+    const requestOptions = {
+      headers: {
+        'X-BaaS-Function-Execution': this.execution_id,
+        'X-BaaS-Project-ID': this.project_id,
+        ...(this.apiKey && { 'X-API-Key': this.apiKey }),
+        ...options.headers
+      },
+      timeout: options.timeout || 30000,
+      spanName: `files ${method}`
+    };
+
+    if (options.params) {
+      requestOptions.params = options.params;
+    }
+
+    let response;
+    try {
+      response = await this.sendHttpRequest(method, url, data, requestOptions);
+    } catch (error) {
+      const apiError = error.body && error.body.error;
+      if (!apiError) {
+        throw error;
+      }
+      throw this.fileError(
+        apiError.message || apiError,
+        apiError.code || (error.status === 404 ? 'FILE_NOT_FOUND' : 'FILE_ERROR'),
+        apiError.context
+      );
+    }
+
+    if (response && response.success === false) {
+      const apiError = response.error || {};
+      throw this.fileError(apiError.message || 'File request failed', apiError.code || 'FILE_ERROR', apiError.context);
+    }
+
+    return response && Object.prototype.hasOwnProperty.call(response, 'data') ? response.data : response;
+  }
+
+  fileError(message, code, details = null) {
+    const error = new Error(String(message));
+    error.code = code;
+    if (details) {
+      error.details = details;
+    }
+    return error;
+  }
+
   /**
    * Creates entity interface for database operations
    */
   createEntityInterface(entityName) {
+    this.assertEntityScope(entityName);
+
     return {
       findMany: async (query = {}, options = {}) => {
         if (this.test_mode) {
           this.log.info(`Test mode: findMany called on ${entityName}`, { query, options });
           return [];
         }
-        return this.makeEntityRequest('GET', entityName, query, options);
+
+        const result = await this.makeEntityRequest('GET', entityName, null, {
+          params: this.buildEntityParams(query, options)
+        });
+        return (result && result.entities) || [];
       },
 
       findOne: async (query = {}) => {
@@ -213,9 +535,18 @@ class BaasContext {
           this.log.info(`Test mode: findOne called on ${entityName}`, { query });
           return null;
         }
-        
-        const results = await this.makeEntityRequest('GET', entityName, query, { limit: 1 });
-        return results.length > 0 ? results[0] : null;
+
+        // Lookup by primary key goes straight to the entity endpoint
+        const keys = Object.keys(query || {});
+        if (keys.length === 1 && keys[0] === 'id') {
+          return this.makeEntityRequest('GET', this.entityPath(entityName, query.id));
+        }
+
+        const result = await this.makeEntityRequest('GET', entityName, null, {
+          params: this.buildEntityParams(query, { limit: 1 })
+        });
+        const entities = (result && result.entities) || [];
+        return entities.length > 0 ? entities[0] : null;
       },
 
       create: async (data) => {
@@ -231,7 +562,7 @@ class BaasContext {
           this.log.info(`Test mode: update called on ${entityName}`, { id, data });
           return { id, ...data };
         }
-        return this.makeEntityRequest('PUT', `${entityName}/${id}`, data);
+        return this.makeEntityRequest('PUT', this.entityPath(entityName, id), data);
       },
 
       delete: async (id) => {
@@ -239,7 +570,7 @@ class BaasContext {
           this.log.info(`Test mode: delete called on ${entityName}`, { id });
           return { success: true };
         }
-        return this.makeEntityRequest('DELETE', `${entityName}/${id}`);
+        return this.makeEntityRequest('DELETE', this.entityPath(entityName, id));
       },
 
       count: async (query = {}) => {
@@ -247,17 +578,113 @@ class BaasContext {
           this.log.info(`Test mode: count called on ${entityName}`, { query });
           return 0;
         }
-        // TODO: Implement count via API
-        const results = await this.makeEntityRequest('GET', entityName, query);
-        return results.length;
+
+        const result = await this.makeEntityRequest('GET', entityName, null, {
+          params: this.buildEntityParams(query, { limit: 1 })
+        });
+        return (result && result.pagination && result.pagination.total) || 0;
       }
     };
   }
 
   /**
-   * Makes HTTP request with proper error handling
+   * Ensures entity access stays inside the current project
+   */
+  assertEntityScope(entityName) {
+    if (!this.tenant_id || !this.project_id) {
+      throw new Error('Entity access requires a tenant and project context');
+    }
+
+    if (typeof entityName !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(entityName)) {
+      throw new Error(`Invalid entity name: ${String(entityName)}`);
+    }
+  }
+
+  /**
+   * Builds the endpoint path for a single entity record
+   */
+  entityPath(entityName, id) {
+    if (id === undefined || id === null || id === '') {
+      throw new Error(`Entity id is required for ${entityName}`);
+    }
+    return `${entityName}/${encodeURIComponent(String(id))}`;
+  }
+
+  /**
+   * Maps findMany query and options onto the entity list API parameters
+   */
+  buildEntityParams(query = {}, options = {}) {
+    const params = {};
+
+    if (query && Object.keys(query).length > 0) {
+      params.filter = query;
+    }
+    if (options.limit) {
+      params.limit = options.limit;
+    }
+    if (options.page) {
+      params.page = options.page;
+    }
+
+    return params;
+  }
+
+  /**
+   * Gets the outbound network policy for this execution
+   */
+  getEgressPolicy() {
+    if (!this.egressPolicy) {
+      this.egressPolicy = EgressPolicy.create(this.egress);
+    }
+    return this.egressPolicy;
+  }
+
+  /**
+   * Sets the outbound network policy (built by FunctionExecutor from the merged config)
+   */
+  setEgressPolicy(policy) {
+    this.egressPolicy = policy;
+  }
+
+  /**
+   * Sets the trace context outbound requests are recorded under
+   */
+  setTraceContext(traceContext) {
+    this.traceContext = traceContext;
+  }
+
+  /**
+   * Makes an outbound HTTP request on behalf of user code
    */
   async makeHttpRequest(method, url, data = null, options = {}) {
+    const policy = this.getEgressPolicy();
+
+    try {
+      policy.assertUrl(url);
+    } catch (error) {
+      this.log.error(`HTTP ${method} blocked`, { url, reason: error.message, execution_id: this.execution_id });
+      throw error;
+    }
+
+    return this.sendHttpRequest(method, url, data, options, policy);
+  }
+
+  /**
+   * Sends an HTTP request with proper error handling
+   *
+   * Requests to the platform API pass no policy; everything initiated by
+   * user code goes through makeHttpRequest() and the egress policy.
+   */
+  async sendHttpRequest(method, url, data = null, options = {}, policy = null) {
+    const span = Tracing.startSpan(options.spanName || `HTTP ${method}`, {
+      kind: Tracing.SpanKind.CLIENT,
+      attributes: {
+        'http.request.method': method,
+        'url.full': String(url).split('?')[0],
+        'baas.execution_id': this.execution_id || ''
+      }
+    }, this.traceContext);
+
     try {
       const config = {
         method,
@@ -266,7 +693,8 @@ class BaasContext {
         headers: {
           'Content-Type': 'application/json',
           'User-Agent': `BaaS-Function/${this.execution_id}`,
-          ...options.headers
+          ...options.headers,
+          ...Tracing.headers(Tracing.contextWith(span, this.traceContext))
         }
       };
 
@@ -278,6 +706,16 @@ class BaasContext {
         config.params = options.params;
       }
 
+      if (policy) {
+        // Resolved addresses and every redirect hop are checked as well
+        config.httpAgent = new http.Agent({ lookup: policy.lookup });
+        config.httpsAgent = new https.Agent({ lookup: policy.lookup });
+        config.proxy = false;
+        config.maxRedirects = policy.maxRedirects;
+        config.maxContentLength = policy.maxResponseBytes;
+        config.beforeRedirect = (redirectOptions) => policy.assertUrl(redirectOptions.href);
+      }
+
       this.log.info(`HTTP ${method} request`, { url, execution_id: this.execution_id });
 
       const response = await axios(config);
@@ -288,17 +726,36 @@ class BaasContext {
         execution_id: this.execution_id 
       });
 
+      span.setAttribute('http.response.status_code', response.status);
+      Tracing.endSpan(span);
       return response.data;
 
     } catch (error) {
+      if (error.response) {
+        span.setAttribute('http.response.status_code', error.response.status);
+      }
+      Tracing.endSpan(span, error);
+
       this.log.error(`HTTP ${method} error`, { 
         url, 
         error: error.message,
         execution_id: this.execution_id 
       });
 
+      const policyError = this.findEgressError(error);
+      if (policyError) {
+        throw policyError;
+      }
+
+      if (policy && /maxContentLength/.test(error.message)) {
+        throw policy.responseTooLarge(url);
+      }
+
       if (error.response) {
-        throw new Error(`HTTP ${error.response.status}: ${error.response.statusText}`);
+        const httpError = new Error(`HTTP ${error.response.status}: ${error.response.statusText}`);
+        httpError.status = error.response.status;
+        httpError.body = error.response.data;
+        throw httpError;
       } else if (error.request) {
         throw new Error('Network error: No response received');
       } else {
@@ -307,45 +764,89 @@ class BaasContext {
     }
   }
 
+  /**
+   * Finds an egress policy violation in an error's cause chain
+   */
+  findEgressError(error) {
+    let current = error;
+    while (current) {
+      if (current.code === 'EGRESS_DENIED') {
+        return current;
+      }
+      current = current.cause;
+    }
+    return null;
+  }
+
   /**
    * Makes entity API request to Drupal backend
    */
   async makeEntityRequest(method, endpoint, data = null, options = {}) {
-    const url = `${this.apiBaseUrl}/api/v1/${this.tenant_id}/projects/${this.project_id}/entities/${endpoint}`;
+    const url = `${this.apiBaseUrl}/api/v1/${encodeURIComponent(this.tenant_id)}/projects/${encodeURIComponent(this.project_id)}/entities/${endpoint}`;
     
     const requestOptions = {
       headers: {
         'X-BaaS-Function-Execution': this.execution_id,
         'X-BaaS-Project-ID': this.project_id,
+        ...(this.apiKey && { 'X-API-Key': this.apiKey }),
         ...options.headers
       },
-      timeout: options.timeout || 30000
+      timeout: options.timeout || 30000,
+      spanName: `entity ${method} ${endpoint.split('/')[0]}`
     };
 
-    if (options.limit) {
-      requestOptions.params = { limit: options.limit };
+    if (options.params) {
+      requestOptions.params = options.params;
+    }
+
+    const response = await this.sendHttpRequest(method, url, data, requestOptions);
+
+    // Unwrap the Drupal API envelope ({ success, data, error })
+    if (response && response.success === false) {
+      const error = new Error(response.error || `Entity request failed: ${method} ${endpoint}`);
+      error.code = response.code || 'ENTITY_ERROR';
+      throw error;
     }
 
-    return this.makeHttpRequest(method, url, data, requestOptions);
+    return response && Object.prototype.hasOwnProperty.call(response, 'data') ? response.data : response;
   }
 
   /**
    * Adds log entry
+   *
+   * Entries past the count or size cap are dropped; the first one dropped is
+   * replaced by a warning so the captured log shows where it was cut.
    */
-  addLog(level, message, data = null) {
+  addLog(level, message, data = null, timestamp = null) {
     const logEntry = {
       level,
-      message,
+      message: String(message),
       data,
-      timestamp: new Date().toISOString(),
+      timestamp: timestamp || new Date().toISOString(),
       execution_id: this.execution_id
     };
 
-    this.logs.push(logEntry);
+    const size = Buffer.byteLength(JSON.stringify(logEntry));
+    if (this.logsDropped > 0 || this.logs.length >= this.maxLogEntries || this.logBytes + size > this.maxLogBytes) {
+      if (this.logsDropped++ === 0) {
+        this.logs.push({
+          level: 'warn',
+          message: `Log output truncated (limit: ${this.maxLogEntries} entries, ${this.maxLogBytes} bytes)`,
+          data: null,
+          timestamp: logEntry.timestamp,
+          execution_id: this.execution_id,
+          truncated: true
+        });
+      }
+    } else {
+      this.logs.push(logEntry);
+      this.logBytes += size;
+    }
 
     // Also log to system logger
     if (this.logger) {
-      this.logger[level] ? this.logger[level](message, data) : this.logger.info(message, data);
+      const meta = { execution_id: this.execution_id, function_id: this.function_id, ...(data !== null && { data }) };
+      this.logger[level] ? this.logger[level](logEntry.message, meta) : this.logger.info(logEntry.message, meta);
     }
   }
 
@@ -356,6 +857,13 @@ class BaasContext {
     return this.logs;
   }
 
+  /**
+   * Number of log entries dropped by the size cap
+   */
+  getDroppedLogCount() {
+    return this.logsDropped;
+  }
+
   /**
    * Gets execution metrics
    */
@@ -365,6 +873,7 @@ class BaasContext {
       start_time: this.startTime,
       duration_ms: Date.now() - this.startTime,
       log_count: this.logs.length,
+      logs_dropped: this.logsDropped,
       project_id: this.project_id,
       tenant_id: this.tenant_id
     };
@@ -0,0 +1,642 @@
+const crypto = require('crypto');
+const os = require('os');
+const Redis = require('ioredis');
+const { v4: uuidv4 } = require('uuid');
+const FunctionInvoker = require('./FunctionInvoker');
+
+const EVENT_TYPES = ['INSERT', 'UPDATE', 'DELETE'];
+const FILTER_OPERATORS = ['eq', 'neq', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'changed'];
+
+// Queues the deliveries of a change unless another replica already did
+const PUBLISH_SCRIPT = `
+if not redis.call('set', KEYS[1], '1', 'NX', 'EX', ARGV[1]) then
+  return 0
+end
+for i = 2, #ARGV do
+  redis.call('xadd', KEYS[2], '*', 'message', ARGV[i])
+end
+return #ARGV - 1`;
+
+// Moves deliveries whose retry delay has passed back to the stream
+const REQUEUE_SCRIPT = `
+local due = redis.call('zrangebyscore', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+for _, message in ipairs(due) do
+  redis.call('xadd', KEYS[2], '*', 'message', message)
+  redis.call('zrem', KEYS[1], message)
+end
+return #due`;
+
+/**
+ * Change Triggers - Invokes functions when entity rows change
+ *
+ * A binding ties a function to changes of one project entity: the event types
+ * to react to and an optional filter on the row. RealtimeServer hands every
+ * `realtime_changes` notification to `publish()`, which queues one delivery
+ * per matching binding in a Redis stream. Every replica listens, whether or
+ * not it holds the realtime listener lease, and receives the same
+ * notification, so each change is queued once, keyed by a hash of its payload.
+ *
+ * Replicas read the stream as one consumer group. A delivery is acknowledged
+ * only after the function succeeded; a failed one is queued again with
+ * exponential backoff and moved to the dead-letter stream after
+ * `max_attempts`. Deliveries held by a replica that died are claimed by
+ * another one once idle for `claimIdle` ms. Delivery is at least once, so
+ * functions get a stable `event.id` to discard duplicates.
+ */
+class ChangeTriggers {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.options = {
+      redisUrl: options.redisUrl || process.env.REDIS_URL,
+      drupalApiUrl: options.drupalApiUrl || process.env.DRUPAL_API_URL || 'http://localhost',
+      apiKey: options.apiKey || process.env.DRUPAL_API_KEY,
+      keyPrefix: 'baas:triggers:',
+      group: 'baas-functions',
+      batchSize: 10,
+      blockTime: 5000,
+      retryInterval: 1000,
+      retryDelay: 5000, // first retry; doubles on each attempt
+      maxRetryDelay: 300000,
+      maxAttempts: 5,
+      defaultTimeout: 60000,
+      claimIdle: 360000, // longer than the longest delivery timeout
+      dedupeTtl: 3600,
+      deadLetterSize: 10000,
+      ...options
+    };
+
+    this.invoker = new FunctionInvoker({
+      drupalApiUrl: this.options.drupalApiUrl,
+      apiKey: this.options.apiKey,
+      userAgent: 'BaaS-Triggers/1.0'
+    });
+
+    this.consumer = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.redis = null;
+    this.reader = null;
+    this.ownsRedis = false;
+    this.closed = false;
+
+    this.consuming = null;
+    this.retryTimer = null;
+    this.retrying = false;
+    this.claimCursor = '0-0';
+    this.active = new Set();
+
+    this.stats = {
+      published: 0,
+      duplicates: 0,
+      delivered: 0,
+      failed: 0,
+      retried: 0,
+      dead_lettered: 0
+    };
+  }
+
+  /**
+   * Connects to Redis, creates the consumer group and starts consuming
+   */
+  async init() {
+    if (this.options.redis) {
+      this.redis = this.options.redis;
+    } else {
+      this.redis = new Redis(this.options.redisUrl);
+      this.ownsRedis = true;
+    }
+    // Blocking reads hold their connection, so they get one of their own
+    this.reader = this.redis.duplicate();
+
+    this.redis.defineCommand('triggersPublish', { numberOfKeys: 2, lua: PUBLISH_SCRIPT });
+    this.redis.defineCommand('triggersRequeue', { numberOfKeys: 2, lua: REQUEUE_SCRIPT });
+
+    try {
+      await this.redis.xgroup('CREATE', this.key('events'), this.options.group, '0', 'MKSTREAM');
+    } catch (error) {
+      if (!String(error.message).includes('BUSYGROUP')) {
+        throw error;
+      }
+    }
+
+    this.consuming = this.consume();
+    this.retryTimer = setInterval(() => this.retry(), this.options.retryInterval);
+
+    this.logger.info('Change triggers initialized', { consumer: this.consumer });
+  }
+
+  key(name) {
+    return `${this.options.keyPrefix}${name}`;
+  }
+
+  /**
+   * Queues deliveries for a database change notification
+   *
+   * @param {object} change - `realtime_changes` payload ({ table, type, record, old_record, timestamp })
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async publish(change) {
+    if (!change || !change.table || !EVENT_TYPES.includes(String(change.type).toUpperCase())) {
+      return 0;
+    }
+
+    const type = String(change.type).toUpperCase();
+    const ids = await this.redis.smembers(this.key(`table:${change.table}`));
+    if (ids.length === 0) {
+      return 0;
+    }
+
+    const event = {
+      id: `evt_${crypto.createHash('sha256').update(JSON.stringify(change)).digest('hex').slice(0, 32)}`,
+      type,
+      table: change.table,
+      timestamp: change.timestamp ? new Date(change.timestamp * 1000).toISOString() : new Date().toISOString(),
+      // DELETE notifications from older trigger functions carry the old row as `record`
+      new: type === 'DELETE' ? null : change.record || null,
+      old: change.old_record || (type === 'DELETE' ? change.record || null : null)
+    };
+
+    const bindings = (await this.redis.hmget(this.key('bindings'), ...ids))
+      .filter(Boolean)
+      .map((value) => JSON.parse(value))
+      .filter((binding) => binding.enabled && binding.events.includes(type) && this.matches(binding.filter, event));
+
+    if (bindings.length === 0) {
+      return 0;
+    }
+
+    const messages = bindings.map((binding) => JSON.stringify({
+      binding_id: binding.id,
+      event: { ...event, entity: binding.entity },
+      attempt: 1
+    }));
+
+    const queued = await this.redis.triggersPublish(
+      this.key(`seen:${event.id}`),
+      this.key('events'),
+      this.options.dedupeTtl,
+      ...messages
+    );
+
+    if (queued === 0) {
+      this.stats.duplicates++;
+    } else {
+      this.stats.published += queued;
+    }
+    return queued;
+  }
+
+  /**
+   * Checks a row change against a binding filter
+   *
+   * The filter maps columns to a value (equality) or to operators. It is
+   * applied to the new row, or to the old row for DELETE. `changed: true`
+   * matches updates that changed the column, and inserts and deletes.
+   */
+  matches(filter, event) {
+    if (!filter) {
+      return true;
+    }
+
+    const row = event.new || event.old || {};
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    return Object.entries(filter).every(([column, condition]) => {
+      const value = row[column];
+      const operators = condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+        ? condition
+        : { eq: condition };
+
+      return Object.entries(operators).every(([operator, expected]) => {
+        switch (operator) {
+          case 'eq':
+            return same(value, expected);
+          case 'neq':
+            return !same(value, expected);
+          case 'in':
+            return expected.some((item) => same(value, item));
+          case 'nin':
+            return !expected.some((item) => same(value, item));
+          case 'gt':
+            return value !== null && value !== undefined && value > expected;
+          case 'gte':
+            return value !== null && value !== undefined && value >= expected;
+          case 'lt':
+            return value !== null && value !== undefined && value < expected;
+          case 'lte':
+            return value !== null && value !== undefined && value <= expected;
+          case 'changed': {
+            const changed = event.type !== 'UPDATE' || !same((event.old || {})[column], (event.new || {})[column]);
+            return changed === Boolean(expected);
+          }
+          default:
+            return false;
+        }
+      });
+    });
+  }
+
+  /**
+   * Reads new deliveries until closed
+   */
+  async consume() {
+    while (!this.closed) {
+      try {
+        const result = await this.reader.xreadgroup(
+          'GROUP', this.options.group, this.consumer,
+          'COUNT', this.options.batchSize,
+          'BLOCK', this.options.blockTime,
+          'STREAMS', this.key('events'), '>'
+        );
+
+        if (result) {
+          await this.handleBatch(result[0][1]);
+        }
+      } catch (error) {
+        if (this.closed) {
+          break;
+        }
+        this.logger.error('Change trigger read failed', { error: error.message });
+        await new Promise((resolve) => setTimeout(resolve, this.options.retryInterval));
+      }
+    }
+  }
+
+  /**
+   * Requeues deliveries due for a retry and claims deliveries left behind by
+   * consumers that stopped
+   */
+  async retry() {
+    if (this.retrying || this.closed) {
+      return;
+    }
+    this.retrying = true;
+
+    try {
+      const requeued = await this.redis.triggersRequeue(
+        this.key('retries'),
+        this.key('events'),
+        Date.now(),
+        this.options.batchSize * 10
+      );
+      this.stats.retried += requeued;
+
+      const [cursor, entries] = await this.redis.xautoclaim(
+        this.key('events'), this.options.group, this.consumer,
+        this.options.claimIdle, this.claimCursor,
+        'COUNT', this.options.batchSize
+      );
+      this.claimCursor = cursor;
+
+      if (entries.length > 0) {
+        this.logger.warn('Claimed change trigger deliveries from a stopped consumer', { count: entries.length });
+        await this.handleBatch(entries);
+      }
+    } catch (error) {
+      this.logger.error('Change trigger retry failed', { error: error.message });
+    } finally {
+      this.retrying = false;
+    }
+  }
+
+  async handleBatch(entries) {
+    await Promise.all(entries
+      // Claimed entries that were deleted meanwhile come back empty
+      .filter(([, fields]) => fields)
+      .map(([id, fields]) => {
+        const delivery = this.deliver(id, JSON.parse(fields[fields.indexOf('message') + 1]));
+        this.active.add(delivery);
+        return delivery.finally(() => this.active.delete(delivery));
+      }));
+  }
+
+  /**
+   * Invokes the bound function for one delivery and settles it
+   */
+  async deliver(id, message) {
+    try {
+      const binding = await this.load(message.binding_id);
+      if (!binding || !binding.enabled) {
+        await this.ack(id);
+        return;
+      }
+
+      const { new: newRow, old: oldRow, ...event } = message.event;
+      const result = await this.invoker.invoke(binding, {
+        event: { ...event, binding_id: binding.id, attempt: message.attempt },
+        new: newRow,
+        old: oldRow
+      }, {
+        timeout: binding.timeout_ms,
+        headers: {
+          'X-BaaS-Trigger-ID': binding.id,
+          'X-BaaS-Event-ID': message.event.id
+        }
+      });
+
+      if (result.status === 'success') {
+        this.stats.delivered++;
+        await this.ack(id);
+        return;
+      }
+
+      this.stats.failed++;
+      await this.fail(id, binding, message, result.error);
+    } catch (error) {
+      // Left pending; another consumer claims it after claimIdle
+      this.logger.error('Change trigger delivery failed', {
+        delivery_id: id,
+        binding_id: message.binding_id,
+        error: error.message
+      });
+    }
+  }
+
+  async ack(id) {
+    await this.redis.multi()
+      .xack(this.key('events'), this.options.group, id)
+      .xdel(this.key('events'), id)
+      .exec();
+  }
+
+  /**
+   * Schedules a retry, or dead-letters the delivery after its last attempt
+   */
+  async fail(id, binding, message, error) {
+    const transaction = this.redis.multi();
+
+    if (message.attempt >= binding.max_attempts) {
+      this.stats.dead_lettered++;
+      this.logger.warn('Change trigger delivery dead-lettered', {
+        binding_id: binding.id,
+        event_id: message.event.id,
+        attempts: message.attempt,
+        error
+      });
+
+      transaction.xadd(
+        this.key('dead'), 'MAXLEN', '~', this.options.deadLetterSize, '*',
+        'message', JSON.stringify({
+          ...message,
+          project_id: binding.project_id,
+          error,
+          failed_at: new Date().toISOString()
+        })
+      );
+    } else {
+      const delay = Math.min(this.options.retryDelay * 2 ** (message.attempt - 1), this.options.maxRetryDelay);
+      transaction.zadd(this.key('retries'), Date.now() + delay, JSON.stringify({
+        ...message,
+        attempt: message.attempt + 1,
+        last_error: error
+      }));
+    }
+
+    await transaction
+      .xack(this.key('events'), this.options.group, id)
+      .xdel(this.key('events'), id)
+      .exec();
+  }
+
+  /**
+   * Lists dead-lettered deliveries of a project, newest first
+   */
+  async listDeadLetters(projectId, limit = 50) {
+    const count = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+    const entries = await this.redis.xrevrange(this.key('dead'), '+', '-', 'COUNT', this.options.deadLetterSize);
+
+    return entries
+      .map(([id, fields]) => ({ id, ...JSON.parse(fields[fields.indexOf('message') + 1]) }))
+      .filter((entry) => entry.project_id === projectId)
+      .slice(0, count);
+  }
+
+  /**
+   * Queues a dead-lettered delivery again with a fresh set of attempts
+   */
+  async retryDeadLetter(id) {
+    const [entry] = await this.redis.xrange(this.key('dead'), id, id);
+    if (!entry) {
+      throw this.notFound(`Dead-lettered delivery not found: ${id}`, 'DEAD_LETTER_NOT_FOUND');
+    }
+
+    const { binding_id, event } = JSON.parse(entry[1][entry[1].indexOf('message') + 1]);
+    await this.redis.multi()
+      .xadd(this.key('events'), '*', 'message', JSON.stringify({ binding_id, event, attempt: 1 }))
+      .xdel(this.key('dead'), id)
+      .exec();
+  }
+
+  /**
+   * Creates a binding
+   */
+  async create(input) {
+    const now = new Date().toISOString();
+    const binding = this.validate({
+      id: `trg_${uuidv4()}`,
+      tenant_id: input.tenant_id,
+      project_id: input.project_id,
+      entity: input.entity,
+      function_name: input.function_name,
+      events: input.events || EVENT_TYPES,
+      filter: input.filter || null,
+      enabled: input.enabled !== undefined ? input.enabled : true,
+      max_attempts: input.max_attempts !== undefined ? input.max_attempts : this.options.maxAttempts,
+      timeout_ms: input.timeout_ms !== undefined ? input.timeout_ms : this.options.defaultTimeout,
+      created_at: now,
+      updated_at: now
+    });
+
+    await this.save(binding);
+    return binding;
+  }
+
+  /**
+   * Updates a binding; the project and entity it watches cannot change
+   */
+  async update(id, changes) {
+    const existing = await this.load(id);
+    if (!existing) {
+      throw this.notFound(`Trigger not found: ${id}`, 'TRIGGER_NOT_FOUND');
+    }
+
+    const updatable = ['function_name', 'events', 'filter', 'enabled', 'max_attempts', 'timeout_ms'];
+    const binding = { ...existing, updated_at: new Date().toISOString() };
+    updatable.forEach((field) => {
+      if (changes[field] !== undefined) {
+        binding[field] = changes[field];
+      }
+    });
+
+    await this.save(this.validate(binding));
+    return binding;
+  }
+
+  /**
+   * Deletes a binding; queued deliveries for it are dropped
+   */
+  async delete(id) {
+    const existing = await this.load(id);
+    if (!existing) {
+      throw this.notFound(`Trigger not found: ${id}`, 'TRIGGER_NOT_FOUND');
+    }
+
+    await this.redis.multi()
+      .hdel(this.key('bindings'), id)
+      .srem(this.key(`project:${existing.project_id}`), id)
+      .srem(this.key(`table:${existing.table}`), id)
+      .exec();
+  }
+
+  async get(id) {
+    const binding = await this.load(id);
+    if (!binding) {
+      throw this.notFound(`Trigger not found: ${id}`, 'TRIGGER_NOT_FOUND');
+    }
+    return binding;
+  }
+
+  /**
+   * Lists a project's bindings
+   */
+  async list(projectId) {
+    const ids = await this.redis.smembers(this.key(`project:${projectId}`));
+    if (ids.length === 0) {
+      return [];
+    }
+
+    return (await this.redis.hmget(this.key('bindings'), ...ids.sort()))
+      .filter(Boolean)
+      .map((value) => JSON.parse(value));
+  }
+
+  async load(id) {
+    const value = await this.redis.hget(this.key('bindings'), id);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async save(binding) {
+    await this.redis.multi()
+      .hset(this.key('bindings'), binding.id, JSON.stringify(binding))
+      .sadd(this.key(`project:${binding.project_id}`), binding.id)
+      .sadd(this.key(`table:${binding.table}`), binding.id)
+      .exec();
+  }
+
+  /**
+   * Validates a binding and derives the table it watches
+   */
+  validate(binding) {
+    const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+    const isInteger = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+
+    if (Array.isArray(binding.events)) {
+      binding.events = binding.events.map((type) => String(type).toUpperCase());
+    }
+
+    const rules = {
+      tenant_id: [isNonEmptyString, 'is required'],
+      project_id: [isNonEmptyString, 'is required'],
+      entity: [(value) => typeof value === 'string' && /^[a-z0-9_]+$/.test(value), 'must be an entity name'],
+      function_name: [isNonEmptyString, 'is required'],
+      events: [
+        (value) => Array.isArray(value) && value.length > 0 && value.every((type) => EVENT_TYPES.includes(type)),
+        `must be a list of: ${EVENT_TYPES.join(', ')}`
+      ],
+      filter: [(value) => value === null || this.isValidFilter(value), 'must map columns to values or operators'],
+      enabled: [(value) => typeof value === 'boolean', 'must be a boolean'],
+      max_attempts: [isInteger(1, 20), 'must be between 1 and 20'],
+      timeout_ms: [isInteger(1000, 300000), 'must be between 1000 and 300000']
+    };
+
+    const errors = [];
+    Object.keys(rules).forEach((key) => {
+      const [isValid, message] = rules[key];
+      if (!isValid(binding[key])) {
+        errors.push(`${key} ${message}`);
+      }
+    });
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid trigger: ${errors.join(', ')}`);
+      error.name = 'ValidationError';
+      error.code = 'INVALID_TRIGGER';
+      throw error;
+    }
+
+    binding.events = EVENT_TYPES.filter((type) => binding.events.includes(type));
+    binding.table = ChangeTriggers.tableName(binding.tenant_id, binding.project_id, binding.entity);
+    return binding;
+  }
+
+  isValidFilter(filter) {
+    if (typeof filter !== 'object' || Array.isArray(filter)) {
+      return false;
+    }
+
+    return Object.values(filter).every((condition) => {
+      if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+        return true;
+      }
+      return Object.entries(condition).every(([operator, expected]) => FILTER_OPERATORS.includes(operator) &&
+        (!['in', 'nin'].includes(operator) || Array.isArray(expected)));
+    });
+  }
+
+  notFound(message, code) {
+    const error = new Error(message);
+    error.name = 'NotFoundError';
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Gets the table of a project entity, as named by the Drupal
+   * ProjectTableNameGenerator
+   */
+  static tableName(tenantId, projectId, entityName) {
+    const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+    const combinedHash = md5(`${tenantId}_${projectId}`).slice(0, 6);
+
+    const baseName = `baas_${combinedHash}_${entityName}`;
+    if (baseName.length <= 63) {
+      return baseName;
+    }
+
+    // PostgreSQL limits identifiers to 63 characters
+    const entityHash = md5(entityName).slice(0, 4);
+    const maxEntityLength = 63 - `baas_${combinedHash}__h${entityHash}`.length;
+    return maxEntityLength > 0
+      ? `baas_${combinedHash}_${entityName.slice(0, maxEntityLength)}_h${entityHash}`
+      : `baas_${combinedHash}_h${entityHash}`;
+  }
+
+  /**
+   * Gets trigger statistics
+   */
+  getStats() {
+    return {
+      consumer: this.consumer,
+      active: this.active.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stops consuming and waits for deliveries in progress
+   */
+  async close() {
+    this.closed = true;
+    clearInterval(this.retryTimer);
+
+    if (this.reader) {
+      this.reader.disconnect();
+    }
+    await this.consuming;
+    await Promise.allSettled(Array.from(this.active));
+
+    if (this.ownsRedis) {
+      await this.redis.quit();
+    }
+  }
+}
+
+module.exports = ChangeTriggers;
@@ -0,0 +1,354 @@
+const acorn = require('acorn');
+
+const DEFAULT_EXPORT = '__baas_default__';
+
+/**
+ * Code Loader - Turns function source into a script the sandbox can run
+ *
+ * Function code is parsed as an ES module. Exports are rewritten into plain
+ * declarations and the module body is wrapped in an async factory that
+ * resolves to its exports:
+ *
+ *   (async function () { 'use strict'; <module body> return { default, config, ... }; })
+ *
+ * Code without any export is treated as a handler body (legacy format) and
+ * wrapped as `async function (req, ctx) { <code> }`.
+ *
+ * The wrapper is kept on the first line so line numbers in stack traces
+ * match the original source.
+ *
+ * An exported `config` object is read statically from the AST, so it is
+ * available before any user code runs. It must be a plain literal.
+ */
+class CodeLoader {
+  constructor(options = {}) {
+    this.ecmaVersion = options.ecmaVersion || 'latest';
+  }
+
+  /**
+   * Loads function source
+   *
+   * @param {string} code - Function source code
+   * @returns {object} { mode, source, exports, config }
+   */
+  load(code) {
+    if (typeof code !== 'string' || code.trim().length === 0) {
+      throw this.createError('ValidationError', 'Function code cannot be empty', 'INVALID_FUNCTION_CODE');
+    }
+
+    let ast;
+    try {
+      ast = acorn.parse(code, {
+        ecmaVersion: this.ecmaVersion,
+        sourceType: 'module'
+      });
+    } catch (moduleError) {
+      // Legacy handler bodies may use top-level return or sloppy-mode syntax
+      if (this.parseAsBody(code)) {
+        return this.loadBody(code);
+      }
+      throw this.createSyntaxError(moduleError);
+    }
+
+    const hasExports = ast.body.some((node) => node.type.startsWith('Export'));
+    if (!hasExports) {
+      this.assertNoImports(ast);
+      return this.loadBody(code);
+    }
+
+    return this.loadModule(code, ast);
+  }
+
+  /**
+   * Checks whether code parses as a function body
+   */
+  parseAsBody(code) {
+    try {
+      acorn.parse(code, {
+        ecmaVersion: this.ecmaVersion,
+        sourceType: 'script',
+        allowReturnOutsideFunction: true,
+        allowAwaitOutsideFunction: true
+      });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Wraps a legacy handler body
+   */
+  loadBody(code) {
+    return {
+      mode: 'body',
+      source: `(async function () { return { default: async function (req, ctx) { ${code}\n} }; })`,
+      exports: ['default'],
+      config: null
+    };
+  }
+
+  /**
+   * Rewrites an ES module into the factory format
+   */
+  loadModule(code, ast) {
+    const edits = [];
+    const exportsMap = new Map(); // exported name -> local expression
+
+    this.assertNoImports(ast);
+
+    ast.body.forEach((node) => {
+      switch (node.type) {
+        case 'ExportDefaultDeclaration':
+          this.rewriteDefaultExport(node, edits, exportsMap);
+          break;
+
+        case 'ExportNamedDeclaration':
+          this.rewriteNamedExport(node, edits, exportsMap);
+          break;
+
+        case 'ExportAllDeclaration':
+          throw this.createError(
+            'ValidationError',
+            `Re-exporting from other modules is not supported (line ${this.lineOf(code, node)})`,
+            'INVALID_FUNCTION_CODE'
+          );
+
+        default:
+          break;
+      }
+    });
+
+    if (!exportsMap.has('default')) {
+      throw this.createError(
+        'ValidationError',
+        'Function code must export a default handler (export default async function handler(req, ctx) { ... })',
+        'INVALID_FUNCTION_CODE'
+      );
+    }
+
+    const exportList = Array.from(exportsMap.entries())
+      .map(([name, local]) => `${JSON.stringify(name)}: ${local}`)
+      .join(', ');
+
+    return {
+      mode: 'module',
+      source: `(async function () { 'use strict'; ${this.applyEdits(code, edits)}\nreturn { ${exportList} }; })`,
+      exports: Array.from(exportsMap.keys()),
+      config: exportsMap.has('config') ? this.extractConfig(ast, exportsMap.get('config')) : null
+    };
+  }
+
+  /**
+   * Reads the exported config object from its top-level declaration
+   */
+  extractConfig(ast, localName) {
+    for (const statement of ast.body) {
+      const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+      if (!declaration || declaration.type !== 'VariableDeclaration') {
+        continue;
+      }
+
+      const declarator = declaration.declarations.find(
+        (item) => item.id.type === 'Identifier' && item.id.name === localName
+      );
+      if (declarator) {
+        if (!declarator.init || declarator.init.type !== 'ObjectExpression') {
+          throw this.createError('ValidationError', 'Exported config must be an object literal', 'INVALID_FUNCTION_CONFIG');
+        }
+        return this.evaluateLiteral(declarator.init);
+      }
+    }
+
+    throw this.createError('ValidationError', 'Exported config must be declared with const, let or var', 'INVALID_FUNCTION_CONFIG');
+  }
+
+  /**
+   * Evaluates a literal AST node (objects, arrays, strings, numbers, booleans, null)
+   */
+  evaluateLiteral(node) {
+    switch (node.type) {
+      case 'Literal':
+        if (node.regex || typeof node.value === 'bigint') {
+          break;
+        }
+        return node.value;
+
+      case 'TemplateLiteral':
+        if (node.expressions.length === 0) {
+          return node.quasis[0].value.cooked;
+        }
+        break;
+
+      case 'UnaryExpression':
+        if (node.operator === '-' && node.argument.type === 'Literal' && typeof node.argument.value === 'number') {
+          return -node.argument.value;
+        }
+        break;
+
+      case 'ArrayExpression':
+        return node.elements.map((element) => {
+          if (!element || element.type === 'SpreadElement') {
+            throw this.createError('ValidationError', 'Exported config arrays cannot contain holes or spreads', 'INVALID_FUNCTION_CONFIG');
+          }
+          return this.evaluateLiteral(element);
+        });
+
+      case 'ObjectExpression': {
+        const result = {};
+        node.properties.forEach((property) => {
+          if (property.type !== 'Property' || property.computed || property.kind !== 'init' || property.method) {
+            throw this.createError('ValidationError', 'Exported config may only contain plain properties', 'INVALID_FUNCTION_CONFIG');
+          }
+          const key = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+          if (key === '__proto__') {
+            throw this.createError('ValidationError', 'Exported config may not define __proto__', 'INVALID_FUNCTION_CONFIG');
+          }
+          result[key] = this.evaluateLiteral(property.value);
+        });
+        return result;
+      }
+
+      default:
+        break;
+    }
+
+    throw this.createError(
+      'ValidationError',
+      `Exported config values must be literals (found ${node.type})`,
+      'INVALID_FUNCTION_CONFIG'
+    );
+  }
+
+  /**
+   * Rewrites `export default ...`
+   */
+  rewriteDefaultExport(node, edits, exportsMap) {
+    const declaration = node.declaration;
+    const isDeclaration = declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration';
+
+    if (isDeclaration && declaration.id) {
+      // export default function handler() {} -> function handler() {}
+      edits.push({ start: node.start, end: declaration.start, text: '' });
+      exportsMap.set('default', declaration.id.name);
+      return;
+    }
+
+    if (isDeclaration) {
+      // export default function () {} -> const __baas_default__ = function () {};
+      edits.push({ start: node.start, end: declaration.start, text: `const ${DEFAULT_EXPORT} = ` });
+      edits.push({ start: declaration.end, end: node.end, text: ';' });
+    } else {
+      // export default <expression>; -> const __baas_default__ = (<expression>);
+      edits.push({ start: node.start, end: declaration.start, text: `const ${DEFAULT_EXPORT} = (` });
+      edits.push({ start: declaration.end, end: node.end, text: ');' });
+    }
+    exportsMap.set('default', DEFAULT_EXPORT);
+  }
+
+  /**
+   * Rewrites `export const ...`, `export function ...` and `export { ... }`
+   */
+  rewriteNamedExport(node, edits, exportsMap) {
+    if (node.source) {
+      throw this.createError(
+        'ValidationError',
+        'Re-exporting from other modules is not supported',
+        'INVALID_FUNCTION_CODE'
+      );
+    }
+
+    if (node.declaration) {
+      // export const config = {...} -> const config = {...}
+      edits.push({ start: node.start, end: node.declaration.start, text: '' });
+      this.declaredNames(node.declaration).forEach((name) => exportsMap.set(name, name));
+      return;
+    }
+
+    // export { handler as default, config } -> removed, names exported from the factory
+    edits.push({ start: node.start, end: node.end, text: '' });
+    node.specifiers.forEach((specifier) => {
+      exportsMap.set(this.specifierName(specifier.exported), this.specifierName(specifier.local));
+    });
+  }
+
+  /**
+   * Lists the names bound by an exported declaration
+   */
+  declaredNames(declaration) {
+    if (declaration.type === 'VariableDeclaration') {
+      return declaration.declarations.map((declarator) => {
+        if (declarator.id.type !== 'Identifier') {
+          throw this.createError(
+            'ValidationError',
+            'Destructuring in exported declarations is not supported',
+            'INVALID_FUNCTION_CODE'
+          );
+        }
+        return declarator.id.name;
+      });
+    }
+    return [declaration.id.name];
+  }
+
+  /**
+   * Gets the name of an export specifier (identifier or string literal)
+   */
+  specifierName(node) {
+    return node.type === 'Literal' ? String(node.value) : node.name;
+  }
+
+  /**
+   * Rejects import declarations
+   */
+  assertNoImports(ast) {
+    const importNode = ast.body.find((node) => node.type === 'ImportDeclaration');
+    if (importNode) {
+      throw this.createError(
+        'ValidationError',
+        'import statements are not supported in functions; use the ctx API instead',
+        'INVALID_FUNCTION_CODE'
+      );
+    }
+  }
+
+  /**
+   * Applies source edits from the end so earlier offsets stay valid
+   */
+  applyEdits(code, edits) {
+    return edits
+      .sort((a, b) => b.start - a.start)
+      .reduce((source, edit) => source.slice(0, edit.start) + edit.text + source.slice(edit.end), code);
+  }
+
+  /**
+   * Gets the 1-based line of a node
+   */
+  lineOf(code, node) {
+    return code.slice(0, node.start).split('\n').length;
+  }
+
+  /**
+   * Converts an acorn parse error into a SyntaxError
+   */
+  createSyntaxError(parseError) {
+    const error = this.createError('SyntaxError', parseError.message, 'SYNTAX_ERROR');
+    if (parseError.loc) {
+      error.line = parseError.loc.line;
+      error.column = parseError.loc.column;
+    }
+    return error;
+  }
+
+  /**
+   * Creates a named loader error
+   */
+  createError(name, message, code) {
+    const error = new Error(message);
+    error.name = name;
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = CodeLoader;
@@ -0,0 +1,121 @@
+const vm = require('vm');
+const CodeLoader = require('./CodeLoader');
+
+describe('CodeLoader', () => {
+  const loader = new CodeLoader();
+
+  // Runs the loaded factory and resolves to the function's exports
+  const evaluate = (loaded) => vm.runInNewContext(loaded.source)();
+
+  const rejects = (code, errorCode, name = 'ValidationError') => {
+    expect(() => loader.load(code)).toThrow(expect.objectContaining({ name, code: errorCode }));
+  };
+
+  describe('modules', () => {
+    it('loads export default async function', async () => {
+      const loaded = loader.load('export default async function handler(req, ctx) {\n  return { sum: req.a + req.b };\n}');
+      expect(loaded).toMatchObject({ mode: 'module', exports: ['default'], config: null });
+
+      const exports = await evaluate(loaded);
+      expect(await exports.default({ a: 1, b: 2 })).toEqual({ sum: 3 });
+    });
+
+    it('loads anonymous default exports and default expressions', async () => {
+      const anonymous = await evaluate(loader.load('export default async function (req) { return req; }'));
+      expect(await anonymous.default('x')).toBe('x');
+
+      const arrow = await evaluate(loader.load('const twice = (n) => n * 2;\nexport default async (req) => twice(req);'));
+      expect(await arrow.default(4)).toBe(8);
+    });
+
+    it('reads export const config next to helper functions', async () => {
+      const code = [
+        'export const config = { timeout: 5000, memory_limit: 64, allowed_hosts: ["api.example.com"], retries: -1 };',
+        'function format(value) { return `#${value}`; }',
+        'const PREFIX = "order";',
+        'export default async function handler(req) { return format(PREFIX + req.id); }'
+      ].join('\n');
+      const loaded = loader.load(code);
+      expect(loaded.config).toEqual({ timeout: 5000, memory_limit: 64, allowed_hosts: ['api.example.com'], retries: -1 });
+      expect(loaded.exports.sort()).toEqual(['config', 'default']);
+
+      const exports = await evaluate(loaded);
+      expect(await exports.default({ id: 7 })).toBe('#order7');
+      expect(exports.config.timeout).toBe(5000);
+    });
+
+    it('supports export lists', async () => {
+      const loaded = loader.load('const config = { timeout: 1000 };\nasync function run() { return "ok"; }\nexport { run as default, config };');
+      expect(loaded.config).toEqual({ timeout: 1000 });
+      expect(await (await evaluate(loaded)).default()).toBe('ok');
+    });
+
+    it('keeps line numbers of the original source', () => {
+      const loaded = loader.load('export default async function handler() {\n  return 1;\n}\n\nthrow new Error("line 5");');
+      expect(loaded.source.split('\n')[4]).toContain('line 5');
+    });
+
+    it('requires a default export', () => {
+      rejects('export const config = { timeout: 1000 };', 'INVALID_FUNCTION_CODE');
+    });
+
+    it('rejects imports and re-exports', () => {
+      rejects('import fs from "fs";\nexport default async function handler() {}', 'INVALID_FUNCTION_CODE');
+      rejects('export * from "./other";\nexport default async function handler() {}', 'INVALID_FUNCTION_CODE');
+      rejects('export { helper } from "./other";\nexport default async function handler() {}', 'INVALID_FUNCTION_CODE');
+    });
+  });
+
+  describe('config', () => {
+    it('rejects a config that is not a literal', () => {
+      rejects('const timeout = 1000;\nexport const config = { timeout };\nexport default async function handler() {}', 'INVALID_FUNCTION_CONFIG');
+      rejects('export const config = { timeout: 60 * 1000 };\nexport default async function handler() {}', 'INVALID_FUNCTION_CONFIG');
+      rejects('export const config = { timeout: process.env.TIMEOUT };\nexport default async function handler() {}', 'INVALID_FUNCTION_CONFIG');
+      rejects('export const config = { ["time" + "out"]: 1 };\nexport default async function handler() {}', 'INVALID_FUNCTION_CONFIG');
+      rejects('export const config = { name: `fn-${1}` };\nexport default async function handler() {}', 'INVALID_FUNCTION_CONFIG');
+    });
+
+    it('rejects a config that is not an object or defines __proto__', () => {
+      rejects('export const config = buildConfig();\nexport default async function handler() {}', 'INVALID_FUNCTION_CONFIG');
+      rejects('export const config = { __proto__: { admin: true } };\nexport default async function handler() {}', 'INVALID_FUNCTION_CONFIG');
+      rejects('export function config() {}\nexport default async function handler() {}', 'INVALID_FUNCTION_CONFIG');
+    });
+  });
+
+  describe('legacy bodies', () => {
+    it('wraps code without exports as a handler body', async () => {
+      const loaded = loader.load('const total = req.items.length;\nreturn { total };');
+      expect(loaded).toMatchObject({ mode: 'body', exports: ['default'], config: null });
+
+      const exports = await evaluate(loaded);
+      expect(await exports.default({ items: [1, 2] }, {})).toEqual({ total: 2 });
+    });
+
+    it('runs bodies that await', async () => {
+      const exports = await evaluate(loader.load('const value = await Promise.resolve(req.n);\nreturn value + 1;'));
+      expect(await exports.default({ n: 1 }, {})).toBe(2);
+    });
+
+    it('rejects code that is neither a module nor a body', () => {
+      rejects('return {', 'SYNTAX_ERROR', 'SyntaxError');
+      rejects('   ', 'INVALID_FUNCTION_CODE');
+    });
+  });
+
+  describe('comments and strings', () => {
+    it('does not change the loading path for "await " in a comment', () => {
+      const body = 'return { ok: true };';
+      const commented = '// await the result before returning\n/* await later */\nreturn { ok: true };';
+      expect(loader.load(commented).mode).toBe(loader.load(body).mode);
+
+      const module = 'export default async function handler() { return 1; }';
+      expect(loader.load(`// await nothing here\n${module}`)).toMatchObject({ mode: 'module', exports: ['default'] });
+    });
+
+    it('does not take export or await in strings and comments for syntax', async () => {
+      const loaded = loader.load('// export default 1\nconst text = "export const config = {}; await x";\nreturn text;');
+      expect(loaded.mode).toBe('body');
+      expect(await (await evaluate(loaded)).default({}, {})).toBe('export const config = {}; await x');
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Concurrency Limiter - Caps concurrent executions per function and per project
+ *
+ * An execution holds one slot for its function and one for its project until
+ * it finishes. Executions that do not fit wait in a FIFO queue for at most
+ * `maxWait` ms; a full queue or an expired wait rejects with a RateLimitError.
+ * Queued executions are granted in order, but one that is still blocked does
+ * not hold up executions of other functions behind it.
+ */
+class ConcurrencyLimiter {
+  constructor(options = {}) {
+    this.functionLimit = options.functionLimit || 10;
+    this.projectLimit = options.projectLimit || 20;
+    this.maxQueue = options.maxQueue !== undefined ? options.maxQueue : 100;
+    this.maxWait = options.maxWait !== undefined ? options.maxWait : 10000; // 10 seconds
+
+    // Active executions by function id and by project id
+    this.functions = new Map();
+    this.projects = new Map();
+    this.queue = [];
+
+    this.stats = {
+      granted: 0,
+      waited: 0,
+      rejected: 0,
+      timed_out: 0
+    };
+  }
+
+  /**
+   * Waits for an execution slot
+   *
+   * @param {object} request - { functionId, projectId, limit } where `limit`
+   *   is the function's own cap (never above the service's per-function limit)
+   * @returns {Promise<Function>} Releases the slot; safe to call more than once.
+   *   Its `waitedMs` property is the time spent in the queue.
+   */
+  acquire(request) {
+    const slot = {
+      functionId: request.functionId || 'anonymous',
+      projectId: request.projectId || 'anonymous',
+      functionLimit: Math.min(request.limit || this.functionLimit, this.functionLimit)
+    };
+
+    // Waiters are granted as soon as they fit, so anything queued is blocked
+    if (this.fits(slot)) {
+      return Promise.resolve(this.grant(slot, 0));
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      this.stats.rejected++;
+      return Promise.reject(this.createError(
+        `Too many queued executions (limit ${this.maxQueue})`,
+        'EXECUTION_QUEUE_FULL',
+        { scope: 'service', limit: this.maxQueue }
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { slot, resolve, reject, queuedAt: Date.now(), timer: null };
+
+      waiter.timer = setTimeout(() => {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        this.stats.timed_out++;
+
+        const scope = this.count(this.projects, slot.projectId) >= this.projectLimit ? 'project' : 'function';
+        reject(this.createError(
+          `Concurrency limit reached for this ${scope}; waited ${this.maxWait}ms`,
+          'CONCURRENCY_LIMIT_EXCEEDED',
+          {
+            scope,
+            limit: scope === 'project' ? this.projectLimit : slot.functionLimit,
+            waited_ms: this.maxWait
+          }
+        ));
+      }, this.maxWait);
+
+      this.queue.push(waiter);
+      this.stats.waited++;
+    });
+  }
+
+  /**
+   * Checks whether a slot is free for the function and its project
+   */
+  fits(slot) {
+    return this.count(this.functions, slot.functionId) < slot.functionLimit &&
+      this.count(this.projects, slot.projectId) < this.projectLimit;
+  }
+
+  /**
+   * Takes a slot and returns its release function
+   */
+  grant(slot, waitedMs) {
+    this.adjust(this.functions, slot.functionId, 1);
+    this.adjust(this.projects, slot.projectId, 1);
+    this.stats.granted++;
+
+    let released = false;
+    const release = () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.adjust(this.functions, slot.functionId, -1);
+      this.adjust(this.projects, slot.projectId, -1);
+      this.drain();
+    };
+    release.waitedMs = waitedMs;
+    return release;
+  }
+
+  /**
+   * Grants queued executions that fit now
+   */
+  drain() {
+    for (let i = 0; i < this.queue.length;) {
+      const waiter = this.queue[i];
+      if (!this.fits(waiter.slot)) {
+        i++;
+        continue;
+      }
+      this.queue.splice(i, 1);
+      clearTimeout(waiter.timer);
+      waiter.resolve(this.grant(waiter.slot, Date.now() - waiter.queuedAt));
+    }
+  }
+
+  count(counts, key) {
+    return counts.get(key) || 0;
+  }
+
+  adjust(counts, key, delta) {
+    const value = this.count(counts, key) + delta;
+    if (value > 0) {
+      counts.set(key, value);
+    } else {
+      counts.delete(key);
+    }
+  }
+
+  /**
+   * Creates the error returned for rejected executions (429 via ErrorHandler)
+   */
+  createError(message, code, details) {
+    const error = new Error(message);
+    error.name = 'RateLimitError';
+    error.code = code;
+    error.details = details;
+    error.retryAfter = Math.max(1, Math.ceil(this.maxWait / 1000));
+    return error;
+  }
+
+  /**
+   * Gets limiter statistics
+   */
+  getStats() {
+    let active = 0;
+    this.projects.forEach((count) => {
+      active += count;
+    });
+
+    return {
+      active,
+      queued: this.queue.length,
+      function_limit: this.functionLimit,
+      project_limit: this.projectLimit,
+      max_queue: this.maxQueue,
+      max_wait_ms: this.maxWait,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = ConcurrencyLimiter;
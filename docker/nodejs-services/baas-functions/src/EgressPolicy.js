@@ -0,0 +1,322 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Address ranges that functions may never reach unless explicitly allowed
+ * with a CIDR entry: loopback, private networks, link-local (including cloud
+ * metadata at 169.254.169.254), CGNAT, multicast and reserved ranges.
+ */
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const DEFAULT_MAX_RESPONSE_BYTES = 10 * 1024 * 1024; // 10MB
+const DEFAULT_MAX_REDIRECTS = 5;
+
+/**
+ * Egress Policy - Decides which outbound requests a function may make
+ *
+ * A policy is built on the main thread from service defaults, the project's
+ * egress settings and the function's `allowed_hosts`, then serialized to the
+ * execution worker. Host names are checked before connecting and every
+ * resolved address is checked again in `lookup`, so DNS tricks cannot reach
+ * private ranges.
+ */
+class EgressPolicy {
+  constructor(options = {}) {
+    // Each list must match; an empty set of lists allows any public host
+    this.allowLists = (options.allow_lists || []).filter((list) => Array.isArray(list));
+    this.deniedHosts = (options.denied_hosts || []).map((host) => host.toLowerCase());
+    this.blockPrivate = options.block_private !== false;
+    this.maxResponseBytes = options.max_response_bytes || DEFAULT_MAX_RESPONSE_BYTES;
+    this.maxRedirects = options.max_redirects !== undefined ? options.max_redirects : DEFAULT_MAX_REDIRECTS;
+
+    this.violations = [];
+    this.privateRanges = this.createBlockList(PRIVATE_RANGES);
+    this.lookup = this.lookup.bind(this);
+  }
+
+  /**
+   * Builds the effective policy for an execution
+   *
+   * @param {object} project - Project egress settings from the execution payload
+   *   ({ allowed_hosts, denied_hosts, block_private, max_response_bytes, max_redirects })
+   * @param {string[]|null} functionHosts - allowed_hosts from the function config
+   * @returns {EgressPolicy}
+   */
+  static create(project = {}, functionHosts = null) {
+    const env = process.env;
+    const list = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : []);
+
+    const allowLists = [];
+    const serviceHosts = list(env.EGRESS_ALLOWED_HOSTS);
+    if (serviceHosts.length > 0) {
+      allowLists.push(serviceHosts);
+    }
+    if (Array.isArray(project.allowed_hosts) && project.allowed_hosts.length > 0) {
+      allowLists.push(project.allowed_hosts);
+    }
+    if (Array.isArray(functionHosts) && functionHosts.length > 0) {
+      allowLists.push(functionHosts);
+    }
+
+    return new EgressPolicy({
+      allow_lists: allowLists,
+      denied_hosts: [
+        ...EgressPolicy.platformHosts(),
+        ...list(env.EGRESS_DENIED_HOSTS),
+        ...(project.denied_hosts || [])
+      ],
+      // Projects can only tighten private range blocking, never relax it
+      block_private: env.EGRESS_BLOCK_PRIVATE !== 'false' || project.block_private === true,
+      max_response_bytes: Math.min(
+        project.max_response_bytes || Infinity,
+        parseInt(env.EGRESS_MAX_RESPONSE_BYTES) || DEFAULT_MAX_RESPONSE_BYTES
+      ),
+      max_redirects: Math.min(
+        project.max_redirects !== undefined ? project.max_redirects : Infinity,
+        env.EGRESS_MAX_REDIRECTS !== undefined ? parseInt(env.EGRESS_MAX_REDIRECTS) : DEFAULT_MAX_REDIRECTS
+      )
+    });
+  }
+
+  /**
+   * Host names of platform services (Drupal, Postgres, Redis)
+   */
+  static platformHosts() {
+    const hosts = [];
+    [process.env.DRUPAL_API_URL, process.env.DATABASE_URL, process.env.REDIS_URL].forEach((value) => {
+      if (!value) {
+        return;
+      }
+      try {
+        const hostname = new URL(value).hostname;
+        if (hostname) {
+          hosts.push(hostname);
+        }
+      } catch (error) {
+        // Ignore malformed URLs
+      }
+    });
+    return hosts;
+  }
+
+  /**
+   * Checks a URL before a request is made
+   *
+   * @throws {Error} EgressPolicyError
+   */
+  assertUrl(target) {
+    let parsed;
+    try {
+      parsed = target instanceof URL ? target : new URL(String(target));
+    } catch (error) {
+      throw this.deny(String(target), 'Invalid URL');
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw this.deny(parsed.href, `Protocol ${parsed.protocol} is not allowed`);
+    }
+
+    this.assertHost(parsed.hostname.replace(/^\[|\]$/g, ''));
+    return parsed;
+  }
+
+  /**
+   * Checks a host name or IP literal against the deny and allow lists
+   */
+  assertHost(hostname) {
+    const host = hostname.toLowerCase();
+
+    if (this.deniedHosts.includes(host)) {
+      throw this.deny(host, 'Host is reserved for platform services');
+    }
+
+    if (net.isIP(host)) {
+      this.assertAddress(host, host);
+      return;
+    }
+
+    // Lists with CIDR entries are decided once the host is resolved
+    const rejected = this.allowLists.some((list) =>
+      !list.some((entry) => this.isCidrEntry(entry) || this.matchesHost(entry, host))
+    );
+    if (rejected) {
+      throw this.deny(host, 'Host is not in the allowed hosts list');
+    }
+  }
+
+  /**
+   * Checks a resolved address for a host
+   */
+  assertAddress(address, hostname) {
+    const host = hostname.toLowerCase();
+    const isName = !net.isIP(host);
+
+    const allowed = this.allowLists.every((list) =>
+      list.some((entry) => this.isCidrEntry(entry)
+        ? this.matchesCidr(entry, address)
+        : isName && this.matchesHost(entry, host))
+    );
+    if (!allowed) {
+      throw this.deny(host, 'Host is not in the allowed hosts list');
+    }
+
+    // Private ranges are only reachable through an explicit CIDR entry, so an
+    // allowed host name that resolves to an internal address is still blocked
+    const allowedByCidr = this.allowLists.length > 0 &&
+      this.allowLists.every((list) => list.some((entry) => this.isCidrEntry(entry) && this.matchesCidr(entry, address)));
+
+    if (this.blockPrivate && !allowedByCidr && this.isPrivateAddress(address)) {
+      throw this.deny(host, `Address ${address} is in a private or reserved range`);
+    }
+  }
+
+  /**
+   * DNS lookup that rejects disallowed addresses (for http.request / agents)
+   */
+  lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      try {
+        addresses.forEach(({ address }) => this.assertAddress(address, hostname));
+      } catch (policyError) {
+        callback(policyError);
+        return;
+      }
+
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+
+  /**
+   * Matches a host name against an allow list entry (`api.example.com`, `*.example.com`)
+   */
+  matchesHost(entry, host) {
+    const pattern = entry.toLowerCase();
+    if (pattern.startsWith('*.')) {
+      return host.endsWith(pattern.slice(1));
+    }
+    return pattern === host;
+  }
+
+  /**
+   * Checks whether an allow list entry is an address range rather than a host name
+   */
+  isCidrEntry(entry) {
+    return net.isIP(entry.split('/')[0]) !== 0;
+  }
+
+  /**
+   * Matches an address against a CIDR entry (`203.0.113.0/24`) or IP literal
+   */
+  matchesCidr(entry, address) {
+    const normalized = this.normalizeAddress(address);
+    const [range, prefix] = entry.split('/');
+    const type = net.isIP(range);
+    if (!type) {
+      return false;
+    }
+    if (prefix === undefined) {
+      return range === normalized;
+    }
+
+    const blockList = new net.BlockList();
+    blockList.addSubnet(range, parseInt(prefix), type === 6 ? 'ipv6' : 'ipv4');
+    return blockList.check(normalized, net.isIP(normalized) === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Checks whether an address is private, loopback, link-local or reserved
+   */
+  isPrivateAddress(address) {
+    const normalized = this.normalizeAddress(address);
+    return this.privateRanges.check(normalized, net.isIP(normalized) === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Unwraps IPv4-mapped IPv6 addresses (::ffff:10.0.0.1)
+   */
+  normalizeAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    return mapped ? mapped[1] : address;
+  }
+
+  /**
+   * Records a violation and creates the error to throw
+   */
+  deny(target, reason) {
+    this.violations.push({ target, reason, timestamp: new Date().toISOString() });
+
+    const error = new Error(`Outbound request to ${target} blocked: ${reason}`);
+    error.name = 'EgressPolicyError';
+    error.code = 'EGRESS_DENIED';
+    return error;
+  }
+
+  /**
+   * Creates the error for responses larger than the policy allows
+   */
+  responseTooLarge(target) {
+    return this.deny(target, `Response exceeds ${this.maxResponseBytes} bytes`);
+  }
+
+  /**
+   * Creates the error for redirect chains longer than the policy allows
+   */
+  tooManyRedirects(target) {
+    return this.deny(target, `More than ${this.maxRedirects} redirects`);
+  }
+
+  /**
+   * Creates a BlockList from [address, prefix, type] entries
+   */
+  createBlockList(ranges) {
+    const blockList = new net.BlockList();
+    ranges.forEach(([address, prefix, type]) => blockList.addSubnet(address, prefix, type));
+    return blockList;
+  }
+
+  /**
+   * Serializes the policy for the execution worker
+   */
+  toJSON() {
+    return {
+      allow_lists: this.allowLists,
+      denied_hosts: this.deniedHosts,
+      block_private: this.blockPrivate,
+      max_response_bytes: this.maxResponseBytes,
+      max_redirects: this.maxRedirects
+    };
+  }
+}
+
+module.exports = EgressPolicy;
@@ -35,8 +35,11 @@ class ErrorHandler {
       message = 'Request timeout';
     } else if (error.name === 'RateLimitError') {
       statusCode = 429;
-      errorCode = 'RATE_LIMIT_ERROR';
-      message = 'Rate limit exceeded';
+      errorCode = error.code || 'RATE_LIMIT_ERROR';
+      message = error.message || 'Rate limit exceeded';
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
     } else if (error.statusCode) {
       statusCode = error.statusCode;
       message = error.message;
@@ -52,6 +55,8 @@ class ErrorHandler {
       error: message,
       code: errorCode,
       execution_id: executionId,
+      ...(error.details && statusCode < 500 && { details: error.details }),
+      ...(error.retryAfter && { retry_after: error.retryAfter }),
       timestamp: new Date().toISOString(),
       ...(process.env.NODE_ENV !== 'production' && { stack: error.stack })
     });
@@ -0,0 +1,202 @@
+const v8 = require('v8');
+const vm = require('vm');
+const Sandbox = require('./Sandbox');
+const LruCache = require('./LruCache');
+
+/**
+ * Execution Worker - Worker process entry point used by WorkerPool
+ *
+ * Started with an empty environment under the Node.js permission model; the
+ * pool settings arrive as a JSON argument. Runs one execution at a time.
+ * Messages to the main process:
+ *   call  - invoke a BaaS context service ({ callId, method, args })
+ *   log   - console/ctx.log output from user code ({ entry: { level, message, data, timestamp } })
+ *   done  - execution finished ({ result, heap_peak_bytes, script_cache, cached_data, warm_keys, timings })
+ *   failed - execution threw before producing a result ({ error })
+ *
+ * Compiled scripts are cached per worker by the key the main thread assigns
+ * (function id + code hash), as are warm instances of keep_warm functions;
+ * `invalidate` messages drop replaced versions.
+ */
+
+const settings = JSON.parse(process.argv[2] || '{}');
+const pendingCalls = new Map();
+let nextCallId = 1;
+
+// Highest heap use seen during the running execution. Sampled on a timer and
+// at every service call, so a spike freed between two samples can be missed.
+const HEAP_SAMPLE_INTERVAL = 10; // ms
+let heapPeak = 0;
+
+function sampleHeap() {
+  heapPeak = Math.max(heapPeak, v8.getHeapStatistics().used_heap_size);
+}
+
+/**
+ * Sends a message to the main process over the IPC channel
+ */
+function post(message) {
+  if (process.connected) {
+    process.send(message);
+  }
+}
+
+const bridge = {
+  call(method, args) {
+    sampleHeap();
+    return new Promise((resolve, reject) => {
+      const callId = nextCallId++;
+      pendingCalls.set(callId, { resolve, reject });
+
+      try {
+        post({ type: 'call', callId, method, args });
+      } catch (error) {
+        pendingCalls.delete(callId);
+        reject(new TypeError(`Arguments for ${method} must be serializable: ${error.message}`));
+      }
+    });
+  },
+
+  log(entry) {
+    post({ type: 'log', entry });
+  }
+};
+
+const sandbox = new Sandbox(bridge, { warmContexts: settings.warmContexts });
+const scripts = new LruCache({ maxEntries: settings.scriptCacheSize || 50 });
+
+/**
+ * Rebuilds an error relayed from the main thread
+ */
+function deserializeError(data) {
+  const error = new Error(data.message);
+  error.name = data.name || 'Error';
+  if (data.code) {
+    error.code = data.code;
+  }
+  if (data.details) {
+    error.details = data.details;
+  }
+  return error;
+}
+
+/**
+ * Makes sure the result survives postMessage
+ */
+function toTransferable(result) {
+  try {
+    return structuredClone(result);
+  } catch (error) {
+    return JSON.parse(JSON.stringify(result));
+  }
+}
+
+/**
+ * Gets the compiled script for a task, compiling it on a cache miss
+ *
+ * A V8 code cache from the main thread lets the first compile in this worker
+ * skip most of the parsing.
+ */
+function compile(task) {
+  const key = task.script && task.script.key;
+  const cached = key ? scripts.get(key) : undefined;
+  if (cached) {
+    return { script: cached, cache: 'hit', produceCachedData: false, rejected: false };
+  }
+
+  const cachedData = task.script && task.script.cachedData;
+  const script = new vm.Script(task.source, {
+    filename: 'function.js',
+    ...(cachedData && { cachedData: Buffer.from(cachedData.buffer, cachedData.byteOffset, cachedData.byteLength) })
+  });
+  if (key) {
+    scripts.set(key, script);
+  }
+
+  const rejected = Boolean(cachedData && script.cachedDataRejected);
+  return {
+    script,
+    cache: 'miss',
+    produceCachedData: Boolean(key) && (!cachedData || rejected),
+    rejected
+  };
+}
+
+async function execute(task) {
+  const heapBefore = v8.getHeapStatistics().used_heap_size;
+  heapPeak = heapBefore;
+  const heapSampler = setInterval(sampleHeap, HEAP_SAMPLE_INTERVAL);
+
+  try {
+    // Epoch milliseconds, so the main thread can record the compile span
+    const compileStart = performance.timeOrigin + performance.now();
+    const compiled = compile(task);
+    const compileEnd = performance.timeOrigin + performance.now();
+
+    const result = await sandbox.run(compiled.script, task.environment, task.timeout, {
+      warmKey: task.keepWarm ? task.script.key : null,
+      warmOnly: Boolean(task.warmOnly),
+      tracing: Boolean(task.tracing)
+    });
+    sampleHeap();
+
+    post({
+      type: 'done',
+      result: toTransferable(result),
+      heap_peak_bytes: heapPeak - heapBefore,
+      script_cache: compiled.cache,
+      code_cache_rejected: compiled.rejected,
+      warm_keys: sandbox.warmKeys(),
+      timings: { compile_start: compileStart, compile_end: compileEnd },
+      // Created after the first run so lazily compiled functions are included
+      ...(compiled.produceCachedData && { cached_data: compiled.script.createCachedData() })
+    });
+  } catch (error) {
+    post({
+      type: 'failed',
+      error: {
+        name: error && error.name ? error.name : 'ExecutionError',
+        message: error && error.message ? error.message : String(error),
+        stack: error && error.stack
+      }
+    });
+  } finally {
+    clearInterval(heapSampler);
+    // Calls still in flight belong to the finished execution
+    pendingCalls.clear();
+  }
+}
+
+// The pool is gone (service stopped or crashed); nothing left to run for
+process.on('disconnect', () => process.exit(0));
+
+process.on('message', (message) => {
+  switch (message.type) {
+    case 'execute':
+      execute(message.task);
+      break;
+
+    case 'invalidate':
+      scripts.delete(message.key);
+      sandbox.dropWarm(message.key);
+      break;
+
+    case 'call_result': {
+      const pending = pendingCalls.get(message.callId);
+      if (!pending) {
+        return;
+      }
+      pendingCalls.delete(message.callId);
+
+      if (message.error) {
+        pending.reject(deserializeError(message.error));
+      } else {
+        pending.resolve(message.result);
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+});
@@ -0,0 +1,76 @@
+const DEFAULT_MAX_BYTES = 25 * 1024 * 1024;
+
+/**
+ * FileBody - Reads file contents passed to ctx.files.upload() into a Buffer
+ *
+ * Accepts strings, Buffers and other typed arrays, ArrayBuffers, Blobs and
+ * streams (Node Readable, web ReadableStream or any async iterable of
+ * chunks). Streams are read to the end, up to `maxBytes`, because the upload
+ * crosses the worker bridge in one message.
+ */
+class FileBody {
+  static get maxBytes() {
+    return parseInt(process.env.FUNCTION_FILE_MAX_BYTES) || DEFAULT_MAX_BYTES;
+  }
+
+  /**
+   * @param {*} data - File contents
+   * @param {number} maxBytes - Size limit
+   * @returns {Promise<Buffer>}
+   */
+  static async read(data, maxBytes = FileBody.maxBytes) {
+    let buffer;
+
+    if (typeof data === 'string') {
+      buffer = Buffer.from(data);
+    } else if (ArrayBuffer.isView(data)) {
+      buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    } else if (data instanceof ArrayBuffer || Object.prototype.toString.call(data) === '[object ArrayBuffer]') {
+      buffer = Buffer.from(data);
+    } else if (data instanceof Blob) {
+      FileBody.assertSize(data.size, maxBytes);
+      buffer = Buffer.from(await data.arrayBuffer());
+    } else if (data && typeof data[Symbol.asyncIterator] === 'function') {
+      buffer = await FileBody.collect(data, maxBytes);
+    } else {
+      throw FileBody.error('File data must be a string, Buffer, ArrayBuffer, Blob or stream', 'INVALID_FILE_DATA');
+    }
+
+    FileBody.assertSize(buffer.length, maxBytes);
+    return buffer;
+  }
+
+  static async collect(stream, maxBytes) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of stream) {
+      const part = typeof chunk === 'string' ? Buffer.from(chunk) : Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+      size += part.length;
+      if (size > maxBytes) {
+        if (typeof stream.destroy === 'function') {
+          stream.destroy();
+        }
+        FileBody.assertSize(size, maxBytes);
+      }
+      chunks.push(part);
+    }
+
+    return Buffer.concat(chunks, size);
+  }
+
+  static assertSize(size, maxBytes) {
+    if (size > maxBytes) {
+      throw FileBody.error(`File exceeds the ${maxBytes} byte upload limit`, 'FILE_TOO_LARGE');
+    }
+  }
+
+  static error(message, code) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = FileBody;
@@ -0,0 +1,286 @@
+const axios = require('axios');
+const Tracing = require('./Tracing');
+
+/**
+ * Function Calls - Runs a project function from another one (ctx.functions.invoke)
+ *
+ * The callee is prepared by Drupal, which checks that it exists and is
+ * executable and returns the same payload it would send to /execute, then it
+ * runs here through the FunctionExecutor instead of a round trip through the
+ * Drupal API. The callee inherits the caller's user and egress settings, gets
+ * `parent_execution_id` and `call_depth`, and continues the caller's trace;
+ * calls nested deeper than `maxDepth` are rejected so recursion cannot loop.
+ * Results are reported back to Drupal for the callee's execution logs.
+ *
+ * A synchronous callee runs on a worker the pool lends for it, ahead of queued
+ * executions, and under its caller's concurrency slot, since the caller holds
+ * both while it waits. An
+ * execution may wait on `maxFanOut` calls at once, so one call tree is bounded
+ * by depth and fan-out, and the pool lends a bounded number of workers in all.
+ * Async callees take their own slot like any execution.
+ *
+ * Drupal only takes these calls with the functions service key, and reads the
+ * caller's user, execution and depth from the invocation token it signed into
+ * the calling execution's payload.
+ */
+class FunctionCalls {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.options = {
+      drupalApiUrl: options.drupalApiUrl || process.env.DRUPAL_API_URL || 'http://localhost',
+      apiKey: options.apiKey || process.env.DRUPAL_API_KEY,
+      serviceKey: options.serviceKey || process.env.FUNCTIONS_SERVICE_KEY,
+      maxDepth: parseInt(process.env.FUNCTION_MAX_CALL_DEPTH) || 5,
+      maxFanOut: parseInt(process.env.FUNCTION_MAX_CALL_FANOUT) || 4,
+      requestTimeout: 30000,
+      executor: null,
+      createContext: null,
+      ...options
+    };
+
+    // Async calls still running, awaited on shutdown
+    this.pending = new Set();
+
+    // Synchronous calls each calling context is waiting on
+    this.waiting = new WeakMap();
+  }
+
+  /**
+   * Invokes a function of the caller's project
+   *
+   * @param {BaasContext} parent - Context of the calling execution
+   * @param {string} functionName - Name of the function to run
+   * @param {object} payload - Request body for the callee
+   * @param {object} options - { async: return once started instead of waiting }
+   * @returns {Promise<*>} The callee's data, or { execution_id, status: 'accepted' } when async
+   */
+  async invoke(parent, functionName, payload = {}, options = {}) {
+    if (typeof functionName !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(functionName)) {
+      throw FunctionCalls.error(`Invalid function name: ${String(functionName)}`, 'INVALID_FUNCTION_NAME', 'ValidationError');
+    }
+
+    const depth = (parent.call_depth || 0) + 1;
+    if (depth > this.options.maxDepth) {
+      throw FunctionCalls.error(
+        `Function call depth exceeds the limit of ${this.options.maxDepth}`,
+        'CALL_DEPTH_EXCEEDED',
+        'ValidationError',
+        { function_name: functionName, call_depth: depth }
+      );
+    }
+
+    // Reserved before Drupal logs the callee's execution
+    const release = options.async ? null : this.reserve(parent, functionName);
+    let prepared;
+    let result;
+    try {
+      prepared = await this.prepare(parent, functionName, payload, depth);
+      const context = this.options.createContext({
+        ...prepared,
+        context: {
+          ...prepared.context,
+          tenant_id: parent.tenant_id,
+          project_id: parent.project_id,
+          user_id: parent.user_id,
+          egress: parent.egress,
+          parent_execution_id: parent.execution_id,
+          call_depth: depth
+        }
+      });
+
+      if (options.async) {
+        const run = this.run(prepared, context, parent.traceContext, false);
+        this.pending.add(run);
+        run.finally(() => this.pending.delete(run));
+        return { execution_id: prepared.execution_id, status: 'accepted' };
+      }
+
+      result = await this.run(prepared, context, parent.traceContext, true);
+    } finally {
+      if (release) {
+        release();
+      }
+    }
+    if (result.status === 'error') {
+      throw FunctionCalls.error(
+        result.error || `Function ${functionName} failed`,
+        result.code || 'FUNCTION_INVOCATION_FAILED',
+        'Error',
+        { function_name: functionName, execution_id: prepared.execution_id }
+      );
+    }
+    return result.data;
+  }
+
+  /**
+   * Reserves a borrowed worker and one of the caller's `maxFanOut` calls
+   *
+   * @returns {Function} Releases the reservation; safe to call more than once
+   * @throws {Error} RateLimitError when the caller or the pool is at its limit
+   */
+  reserve(parent, functionName) {
+    const waiting = this.waiting.get(parent) || 0;
+    if (waiting >= this.options.maxFanOut) {
+      throw FunctionCalls.error(
+        `An execution may wait on at most ${this.options.maxFanOut} function calls at once`,
+        'CALL_FANOUT_EXCEEDED',
+        'RateLimitError',
+        { function_name: functionName, limit: this.options.maxFanOut }
+      );
+    }
+
+    const giveBack = this.options.executor.borrowWorker();
+    if (!giveBack) {
+      throw FunctionCalls.error(
+        'No worker is free for a nested function call',
+        'CALL_CAPACITY_EXCEEDED',
+        'RateLimitError',
+        { function_name: functionName }
+      );
+    }
+
+    this.waiting.set(parent, waiting + 1);
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        giveBack();
+        this.waiting.set(parent, this.waiting.get(parent) - 1);
+      }
+    };
+  }
+
+  /**
+   * Gets the callee's execution payload from Drupal
+   */
+  async prepare(parent, functionName, payload, depth) {
+    let response;
+    try {
+      response = await axios.post(this.url(parent, functionName, 'invocations'), {
+        request: payload,
+        invocation_token: parent.invocation_token
+      }, {
+        headers: this.headers(parent),
+        timeout: this.options.requestTimeout
+      });
+    } catch (error) {
+      const body = error.response && error.response.data;
+      if (error.response && error.response.status === 404) {
+        throw FunctionCalls.error(`Function not found: ${functionName}`, 'FUNCTION_NOT_FOUND', 'NotFoundError');
+      }
+      throw FunctionCalls.error(
+        `Failed to invoke ${functionName}: ${(body && body.error) || error.message}`,
+        'FUNCTION_INVOCATION_FAILED'
+      );
+    }
+
+    const prepared = response.data && response.data.data;
+    if (!prepared || !prepared.code || !prepared.execution_id) {
+      throw FunctionCalls.error(`Failed to invoke ${functionName}: invalid invocation payload`, 'FUNCTION_INVOCATION_FAILED');
+    }
+    return prepared;
+  }
+
+  /**
+   * Runs the callee and reports its result; never rejects
+   *
+   * @param {boolean} nested - Whether the caller waits on it, holding its concurrency slot
+   */
+  async run(prepared, context, traceContext, nested) {
+    let result;
+    try {
+      result = await this.options.executor.execute(
+        prepared.code,
+        prepared.request || {},
+        context,
+        prepared.config || {},
+        { traceContext, nested }
+      );
+    } catch (error) {
+      // Rejected before running, e.g. by a concurrency limit
+      result = {
+        status: 'error',
+        data: null,
+        error: error.message,
+        execution_time_ms: 0,
+        memory_used_mb: 0,
+        logs: [],
+        execution_id: prepared.execution_id,
+        ...(error.code && { code: error.code })
+      };
+    }
+
+    this.logger.info('Function invocation completed', {
+      execution_id: prepared.execution_id,
+      function_name: prepared.function_name,
+      parent_execution_id: context.parent_execution_id,
+      call_depth: context.call_depth,
+      status: result.status
+    });
+
+    await this.record(context, prepared, result);
+    return result;
+  }
+
+  /**
+   * Reports the callee's result to Drupal for its execution log and statistics
+   */
+  async record(context, prepared, result) {
+    try {
+      await axios.put(this.url(context, prepared.function_name, `invocations/${encodeURIComponent(prepared.execution_id)}`), {
+        request: prepared.request || {},
+        result: {
+          status: result.status,
+          data: result.data === undefined ? null : result.data,
+          error: result.error || null,
+          execution_time_ms: result.execution_time_ms,
+          memory_used_mb: result.memory_used_mb,
+          logs: result.logs || []
+        },
+        invocation_token: prepared.invocation_token
+      }, {
+        headers: this.headers(context),
+        timeout: this.options.requestTimeout
+      });
+    } catch (error) {
+      this.logger.warn('Failed to record function invocation', {
+        execution_id: prepared.execution_id,
+        error: error.message
+      });
+    }
+  }
+
+  url(context, functionName, path) {
+    return `${this.options.drupalApiUrl}/api/v1/${encodeURIComponent(context.tenant_id)}/projects/${encodeURIComponent(context.project_id)}/functions/${encodeURIComponent(functionName)}/${path}`;
+  }
+
+  headers(context) {
+    return {
+      'Content-Type': 'application/json',
+      'X-BaaS-Function-Execution': context.execution_id,
+      'X-BaaS-Project-ID': context.project_id,
+      ...(this.options.apiKey && { 'X-API-Key': this.options.apiKey }),
+      ...(this.options.serviceKey && { 'X-BaaS-Service-Key': this.options.serviceKey }),
+      ...(context.traceContext && Tracing.headers(context.traceContext))
+    };
+  }
+
+  /**
+   * Waits for async invocations still running
+   */
+  async close() {
+    await Promise.allSettled(Array.from(this.pending));
+  }
+
+  static error(message, code, name = 'Error', details = null) {
+    const error = new Error(message);
+    error.name = name;
+    error.code = code;
+    if (details) {
+      error.details = details;
+    }
+    return error;
+  }
+}
+
+module.exports = FunctionCalls;
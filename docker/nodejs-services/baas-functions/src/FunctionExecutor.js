@@ -1,17 +1,51 @@
-const { VM } = require('vm2');
-const vm = require('vm');
-const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const WorkerPool = require('./WorkerPool');
+const CodeLoader = require('./CodeLoader');
+const EgressPolicy = require('./EgressPolicy');
+const FunctionResponse = require('./FunctionResponse');
+const LruCache = require('./LruCache');
+const ConcurrencyLimiter = require('./ConcurrencyLimiter');
+const Tracing = require('./Tracing');
 
 /**
- * Function Executor - Executes user functions in a secure VM2 sandbox
+ * Function Executor - Executes user functions in sandboxed worker processes
  */
 class FunctionExecutor {
-  constructor(logger) {
+  constructor(logger, options = {}) {
     this.logger = logger;
     this.defaultTimeout = 30000; // 30 seconds
     this.maxTimeout = 300000; // 5 minutes
     this.defaultMemoryLimit = 128; // MB
     this.maxMemoryLimit = 512; // MB
+    this.metrics = options.metrics || null;
+
+    // Parses ES module function source into a sandbox script
+    this.loader = options.loader || new CodeLoader();
+
+    // Loaded functions and their V8 code cache, keyed by function id + code hash
+    this.cache = options.cache || new LruCache({
+      maxEntries: parseInt(process.env.FUNCTION_CACHE_SIZE) || 100
+    });
+    this.versions = new Map(); // function id -> cache key of its current code
+    this.scriptStats = { hits: 0, misses: 0, code_cache_rejected: 0 };
+    this.warmStats = { hits: 0, misses: 0 };
+
+    // Per-function and per-project concurrency caps with a bounded wait queue
+    this.limiter = options.limiter || new ConcurrencyLimiter({
+      functionLimit: parseInt(process.env.FUNCTION_CONCURRENCY_LIMIT) || undefined,
+      projectLimit: parseInt(process.env.PROJECT_CONCURRENCY_LIMIT) || undefined,
+      maxQueue: process.env.EXECUTION_QUEUE_SIZE !== undefined ? parseInt(process.env.EXECUTION_QUEUE_SIZE) : undefined,
+      maxWait: process.env.EXECUTION_QUEUE_TIMEOUT !== undefined ? parseInt(process.env.EXECUTION_QUEUE_TIMEOUT) : undefined
+    });
+
+    // Worker processes that run the sandboxes, grouped by memory limit and project
+    this.pool = options.pool || new WorkerPool(logger, {
+      maxWorkers: parseInt(process.env.FUNCTION_WORKER_POOL_SIZE) || undefined,
+      idleTimeout: parseInt(process.env.FUNCTION_WORKER_IDLE_TIMEOUT) || undefined,
+      scriptCacheSize: parseInt(process.env.FUNCTION_SCRIPT_CACHE_SIZE) || undefined,
+      warmContexts: parseInt(process.env.FUNCTION_WARM_CONTEXTS) || undefined,
+      maxBorrowed: parseInt(process.env.FUNCTION_MAX_BORROWED_WORKERS) || undefined
+    });
   }
 
   /**
@@ -21,31 +55,94 @@ class FunctionExecutor {
    * @param {object} requestData - Request data to pass to function
    * @param {BaasContext} baasContext - BaaS context object
    * @param {object} config - Function configuration
+   * @param {object} options - { response: FunctionResponse that streams to the client (raw mode),
+   *   traceContext: parent trace context (defaults to the active one),
+   *   nested: run under the concurrency slot, and on the worker lent, of a caller waiting on this execution }
    * @returns {object} Execution result
+   * @throws {Error} RateLimitError when no concurrency slot frees up in time
    */
-  async execute(code, requestData, baasContext, config = {}) {
+  async execute(code, requestData, baasContext, config = {}, options = {}) {
     const executionId = baasContext.execution_id;
     const startTime = process.hrtime.bigint();
-    const memoryBefore = process.memoryUsage();
+    const response = options.response || new FunctionResponse();
+    let release = null;
+    let queueTime = 0;
+    let relay = null;
+
+    const span = Tracing.startSpan('function.execute', {
+      attributes: {
+        'baas.execution_id': executionId,
+        'baas.function_id': baasContext.function_id || '',
+        'baas.project_id': baasContext.project_id || ''
+      }
+    }, options.traceContext);
+    const executeContext = Tracing.contextWith(span, options.traceContext);
 
     try {
-      // Validate and prepare configuration
-      const execConfig = this.prepareConfig(config);
-      
-      // Create secure VM context
-      const vm = this.createSecureVM(execConfig);
-      
-      // Prepare execution environment
-      const environment = this.prepareEnvironment(requestData, baasContext);
-      
-      // Execute function with timeout
-      const result = await this.executeWithTimeout(vm, code, environment, execConfig.timeout);
+      const { loaded, execConfig, egressPolicy, environment } = this.prepareExecution(code, requestData, baasContext, config);
+
+      // Wait for a slot under the function and project concurrency limits;
+      // a nested call would wait on the slot its caller holds, so it uses that one
+      if (!options.nested) {
+        release = await this.limiter.acquire({
+          functionId: baasContext.function_id,
+          projectId: baasContext.project_id,
+          limit: execConfig.concurrency
+        });
+        queueTime = release.waitedMs;
+      }
+      span.setAttribute('baas.queue_time_ms', queueTime);
+
+      // Context service calls and sandbox fetches become children of the run span
+      const runSpan = Tracing.startSpan('function.run', {}, executeContext);
+      const runContext = Tracing.contextWith(runSpan, executeContext);
+      baasContext.setTraceContext(runContext);
+      relay = Tracing.enabled ? Tracing.createRelay(runContext) : null;
+
+      // Execute function in a worker with timeout and memory limits
+      let outcome;
+      try {
+        outcome = await this.pool.run({ ...this.createTask(loaded, execConfig, environment), tracing: Boolean(relay) }, {
+          projectId: baasContext.project_id,
+          memoryLimit: execConfig.memory_limit,
+          timeout: execConfig.timeout,
+          warmKey: execConfig.keep_warm ? loaded.key : null,
+          borrowed: Boolean(options.nested),
+          onCall: (method, args) => {
+            if (method.startsWith('response.')) {
+              return response.handleCall(method, args);
+            }
+            if (method.startsWith('trace.')) {
+              return this.handleTraceCall(relay, method, args);
+            }
+            return this.handleContextCall(baasContext, method, args);
+          },
+          onLog: (entry) => this.captureLog(baasContext, entry)
+        });
+      } catch (error) {
+        Tracing.endSpan(runSpan, error);
+        throw error;
+      }
+      const result = outcome.result;
+      if (outcome.timings) {
+        Tracing.recordSpan('function.compile', outcome.timings.compile_start, outcome.timings.compile_end, {
+          'baas.script_cache': outcome.script_cache
+        }, runContext);
+      }
+      runSpan.setAttribute('baas.warm', result.warm === 'hit');
+      if (result.status === 'error') {
+        Tracing.setError(runSpan, result.error || 'Function returned an error');
+        Tracing.setError(span, result.error || 'Function returned an error');
+      }
+      runSpan.end();
+      response.finish(result.status === 'error');
+      this.recordScriptCache(loaded, outcome);
+      const violations = [...egressPolicy.violations, ...(result.policy_violations || [])];
       
       // Calculate execution metrics
       const endTime = process.hrtime.bigint();
-      const executionTime = Number(endTime - startTime) / 1000000; // Convert to milliseconds
-      const memoryAfter = process.memoryUsage();
-      const memoryUsed = Math.max(0, memoryAfter.heapUsed - memoryBefore.heapUsed) / 1024 / 1024; // MB
+      const executionTime = Number(endTime - startTime) / 1000000 - queueTime; // Convert to milliseconds, without queue wait
+      const memoryUsed = outcome.heap_peak_bytes / 1024 / 1024; // MB, peak heap growth during the run
 
       this.logger.info('Function execution completed', {
         execution_id: executionId,
@@ -54,19 +151,46 @@ class FunctionExecutor {
         status: result.status
       });
 
-      return {
+      // A Response returned by the handler is reported in the envelope unless it
+      // was already streamed to the client
+      const envelope = response.started && !response.res
+        ? response.toEnvelope()
+        : { data: result.data, ...(result.response && { response: FunctionResponse.describe(result.response) }) };
+
+      const executionResult = {
         status: result.status || 'success',
-        data: result.data,
+        data: envelope.data,
         error: result.error,
         execution_time_ms: Math.round(executionTime),
         memory_used_mb: Math.round(memoryUsed * 100) / 100,
         logs: baasContext.getLogs(),
-        execution_id: executionId
+        ...(baasContext.getDroppedLogCount() > 0 && { logs_dropped: baasContext.getDroppedLogCount() }),
+        execution_id: executionId,
+        ...(queueTime > 0 && { queue_time_ms: queueTime }),
+        ...(result.warm && { warm: result.warm === 'hit' }),
+        ...(envelope.response && { response: envelope.response }),
+        ...(response.started && response.res && { streamed: true }),
+        ...(result.status === 'error' && result.error_type && { error_type: result.error_type }),
+        ...(result.status === 'error' && result.code && { code: result.code }),
+        ...(violations.length > 0 && { policy_violations: violations })
       };
+      this.recordMetrics(baasContext, executionResult);
+      return executionResult;
 
     } catch (error) {
+      Tracing.setError(span, error);
+
+      // Rejected before running; the route answers with a 429
+      if (error.name === 'RateLimitError') {
+        if (this.metrics) {
+          this.metrics.recordRejection(baasContext);
+        }
+        throw error;
+      }
+
       const endTime = process.hrtime.bigint();
-      const executionTime = Number(endTime - startTime) / 1000000;
+      const executionTime = Number(endTime - startTime) / 1000000 - queueTime;
+      response.finish(true);
 
       this.logger.error('Function execution error', {
         execution_id: executionId,
@@ -75,587 +199,392 @@ class FunctionExecutor {
         stack: error.stack
       });
 
-      return {
+      const executionResult = {
         status: 'error',
         data: null,
         error: error.message,
         execution_time_ms: Math.round(executionTime),
         memory_used_mb: 0,
         logs: baasContext.getLogs(),
+        ...(baasContext.getDroppedLogCount() > 0 && { logs_dropped: baasContext.getDroppedLogCount() }),
         execution_id: executionId,
-        error_type: error.name || 'ExecutionError'
+        error_type: error.name || 'ExecutionError',
+        ...(error.code && { code: error.code })
       };
+      this.recordMetrics(baasContext, executionResult);
+      return executionResult;
+    } finally {
+      if (release) {
+        release();
+      }
+      if (relay) {
+        relay.endAll();
+      }
+      // Roll back transactions the function left open
+      await baasContext.close();
+      span.end();
     }
   }
 
   /**
-   * Creates a secure VM2 sandbox
+   * Pre-loads a keep_warm function in up to `instances` workers
+   *
+   * The module is evaluated but the handler is not called, so the first real
+   * execution skips worker start-up, compilation and module evaluation.
    */
-  createSecureVM(config) {
-    return new VM({
-      timeout: config.timeout,
-      sandbox: {
-        console: {
-          log: (...args) => this.sandboxConsole('log', args),
-          error: (...args) => this.sandboxConsole('error', args),
-          warn: (...args) => this.sandboxConsole('warn', args),
-          info: (...args) => this.sandboxConsole('info', args)
-        },
-        setTimeout,
-        clearTimeout,
-        setInterval,
-        clearInterval,
-        JSON,
-        Math,
-        Date,
-        String,
-        Number,
-        Boolean,
-        Array,
-        Object,
-        RegExp,
-        Error,
-        TypeError,
-        ReferenceError,
-        SyntaxError,
-        Promise,
-        Buffer: {
-          from: Buffer.from.bind(Buffer),
-          alloc: Buffer.alloc.bind(Buffer),
-          isBuffer: Buffer.isBuffer.bind(Buffer)
-        },
-        // Add fetch API for HTTP requests
-        fetch: this.createFetch()
-      },
-      eval: false,
-      wasm: false,
-      fixAsync: false,
-      allowAsync: true
-    });
-  }
+  async warm(code, baasContext, config = {}, instances = 1) {
+    const { loaded, execConfig, environment } = this.prepareExecution(code, {}, baasContext, config);
 
-  /**
-   * Prepares the execution environment
-   */
-  prepareEnvironment(requestData, baasContext) {
+    if (!execConfig.keep_warm) {
+      const error = new Error('Only functions configured with keep_warm can be pre-warmed');
+      error.name = 'ValidationError';
+      error.code = 'FUNCTION_NOT_WARMABLE';
+      throw error;
+    }
+
+    const count = Math.min(Math.max(parseInt(instances) || 1, 1), this.pool.maxWorkers);
+    const task = { ...this.createTask(loaded, execConfig, environment), warmOnly: true, tracing: false };
+
+    // Concurrent runs land on different workers
+    const outcomes = await Promise.allSettled(Array.from({ length: count }, () => this.pool.run(task, {
+      projectId: baasContext.project_id,
+      memoryLimit: execConfig.memory_limit,
+      timeout: execConfig.timeout,
+      warmKey: loaded.key,
+      onCall: (method, args) => this.handleContextCall(baasContext, method, args),
+      onLog: (entry) => this.sandboxConsole(entry)
+    })));
+
+    const warmed = outcomes.filter((outcome) => outcome.status === 'fulfilled' && outcome.value.result.status === 'success');
+    warmed.forEach((outcome) => this.recordScriptCache(loaded, outcome.value));
+
+    const failure = outcomes.find((outcome) => outcome.status === 'rejected');
     return {
-      req: {
-        body: requestData.body || requestData,
-        headers: requestData.headers || {},
-        query: requestData.query || {},
-        method: requestData.method || 'POST',
-        url: requestData.url || '',
-        ip: requestData.ip || '127.0.0.1'
-      },
-      context: baasContext
+      function_id: baasContext.function_id,
+      requested: count,
+      warmed: warmed.length,
+      ...(failure && { error: failure.reason.message })
     };
   }
 
   /**
-   * Executes function with timeout protection
+   * Loads the function and builds everything an execution needs
    */
-  async executeWithTimeout(vmInstance, code, environment, timeout) {
-    return new Promise(async (resolve, reject) => {
-      const timer = setTimeout(() => {
-        reject(new Error(`Function execution timed out after ${timeout}ms`));
-      }, timeout);
+  prepareExecution(code, requestData, baasContext, config) {
+    // Parse and wrap the function source (cached per function version)
+    const loaded = this.loadFunction(baasContext.function_id, code);
 
-      try {
-        // Create secure execution context
-        const context = this.createExecutionContext(environment);
-        
-        // Check if the code contains async patterns
-        const isAsync = this.detectAsyncCode(code);
-        
-        this.logger.info('Code analysis', {
-          is_async: isAsync,
-          code_preview: code.substring(0, 100) + '...'
-        });
-        
-        let result;
-        
-        if (isAsync) {
-          // Use Node.js built-in vm for async support
-          this.logger.info('Using async execution path');
-          result = await this.executeAsyncFunction(code, context, timeout);
-        } else {
-          // Use VM2 for sync functions (more secure)
-          this.logger.info('Using sync execution path');
-          result = this.executeSyncFunction(vmInstance, code, context);
-        }
+    // Merge the platform config with the config exported by the source
+    const execConfig = this.prepareConfig(config, this.validateSourceConfig(loaded.config));
 
-        clearTimeout(timer);
-
-        // Handle both sync and async results
-        if (result && typeof result.then === 'function') {
-          try {
-            const data = await result;
-            resolve({ status: 'success', data });
-          } catch (error) {
-            resolve({ status: 'error', error: error.message });
-          }
-        } else {
-          resolve({ status: 'success', data: result });
-        }
+    // Reject the execution if required environment variables are missing
+    this.assertRequiredEnv(execConfig.env_required, baasContext.env);
 
-      } catch (error) {
-        clearTimeout(timer);
-        reject(error);
-      }
-    });
+    // Outbound network policy shared by sandbox fetch and ctx.http
+    const egressPolicy = EgressPolicy.create(baasContext.egress, execConfig.allowed_hosts);
+    baasContext.setEgressPolicy(egressPolicy);
+
+    // Prepare execution environment
+    const environment = this.prepareEnvironment(requestData, baasContext);
+    environment.egress = egressPolicy.toJSON();
+
+    return { loaded, execConfig, egressPolicy, environment };
   }
 
   /**
-   * Wraps user code in standardized function format
+   * Creates the task posted to the execution worker
    */
-  wrapUserCode(code) {
-    // Check if code exports default function
-    if (code.includes('export default')) {
-      return `
-        // Execute the exported handler function
-        (() => {
-          try {
-            // Extract the function from export default
-            const handler = (function() {
-              ${code.replace(/export\s+default\s+/, 'return ')}
-            })();
-            
-            if (typeof handler === 'function') {
-              // Call the handler and return the result (may be a Promise)
-              return handler(request, context);
-            } else {
-              throw new Error('Exported default is not a function');
-            }
-          } catch (error) {
-            throw error;
-          }
-        })();
-      `;
-    } else {
-      // Assume it's a simple function body
-      return `
-        (() => {
-          try {
-            ${code}
-          } catch (error) {
-            throw error;
-          }
-        })();
-      `;
+  createTask(loaded, execConfig, environment) {
+    return {
+      source: loaded.source,
+      script: { key: loaded.key, cachedData: loaded.cachedData },
+      keepWarm: execConfig.keep_warm,
+      environment,
+      timeout: execConfig.timeout
+    };
+  }
+
+  /**
+   * Loads function source through the cache
+   *
+   * Entries are keyed by function id and a hash of the code, so deploying a
+   * new version changes the key; the previous version's entry is dropped here
+   * and in the workers.
+   */
+  loadFunction(functionId, code) {
+    const hash = crypto.createHash('sha256').update(code).digest('hex');
+    const key = `${functionId || 'anonymous'}:${hash}`;
+
+    const cached = this.cache.get(key);
+    if (cached) {
+      return cached;
     }
+
+    const loaded = { ...this.loader.load(code), key, cachedData: null };
+
+    if (functionId) {
+      const previous = this.versions.get(functionId);
+      if (previous && previous !== key) {
+        this.invalidate(previous);
+      }
+      this.versions.set(functionId, key);
+    }
+
+    this.cache.set(key, loaded);
+    return loaded;
   }
 
   /**
-   * Detects if code contains async patterns
+   * Drops a cached function version here and in all workers
    */
-  detectAsyncCode(code) {
-    const asyncPatterns = [
-      /\basync\s+function/,
-      /\basync\s*\(/,
-      /\basync\s*\w+\s*=>/,
-      /\bawait\s+/,
-      /\.then\s*\(/,
-      /\.catch\s*\(/,
-      /new\s+Promise\s*\(/
-    ];
-    
-    return asyncPatterns.some(pattern => pattern.test(code));
+  invalidate(key) {
+    this.cache.delete(key);
+    this.pool.broadcast({ type: 'invalidate', key });
   }
 
   /**
-   * Creates execution context with all necessary globals
+   * Records a worker's script cache use and keeps the V8 code cache it produced
    */
-  createExecutionContext(environment) {
-    return {
-      // Core JavaScript globals
-      console: {
-        log: (...args) => this.sandboxConsole('log', args),
-        error: (...args) => this.sandboxConsole('error', args),
-        warn: (...args) => this.sandboxConsole('warn', args),
-        info: (...args) => this.sandboxConsole('info', args)
-      },
-      setTimeout,
-      clearTimeout,
-      setInterval,
-      clearInterval,
-      JSON,
-      Math,
-      Date,
-      String,
-      Number,
-      Boolean,
-      Array,
-      Object,
-      RegExp,
-      Error,
-      TypeError,
-      ReferenceError,
-      SyntaxError,
-      Promise,
-      Buffer: {
-        from: Buffer.from.bind(Buffer),
-        alloc: Buffer.alloc.bind(Buffer),
-        isBuffer: Buffer.isBuffer.bind(Buffer)
-      },
-      // Add fetch API for HTTP requests
-      fetch: this.createFetch(),
-      
-      // Request and context data
-      req: environment.req,
-      ctx: this.createContextObject(environment.context),
-      
-      // Global scope protection
-      global: undefined,
-      process: undefined,
-      require: undefined,
-      module: undefined,
-      exports: undefined,
-      __dirname: undefined,
-      __filename: undefined
-    };
+  recordScriptCache(loaded, outcome) {
+    if (outcome.script_cache === 'hit') {
+      this.scriptStats.hits++;
+    } else if (outcome.script_cache === 'miss') {
+      this.scriptStats.misses++;
+    }
+    if (outcome.code_cache_rejected) {
+      this.scriptStats.code_cache_rejected++;
+    }
+    if (outcome.result && outcome.result.warm === 'hit') {
+      this.warmStats.hits++;
+    } else if (outcome.result && outcome.result.warm === 'miss') {
+      this.warmStats.misses++;
+    }
+
+    // Later compiles in other workers start from this code cache
+    if (outcome.cached_data && this.cache.peek(loaded.key) === loaded) {
+      loaded.cachedData = outcome.cached_data;
+    }
   }
 
   /**
-   * Creates the context object for user functions
+   * Prepares the execution environment
    */
-  createContextObject(contextData) {
-    const serialized = contextData.serialize();
+  prepareEnvironment(requestData, baasContext) {
     return {
-      project: { id: serialized.project_id },
-      tenant: { id: serialized.tenant_id },
-      user: { id: serialized.user_id },
-      execution_id: serialized.execution_id,
-      env: serialized.env || {},
-      
-      // Response helpers
-      success: function(data, headers = {}) {
-        return {
-          status: 'success',
-          data: data,
-          headers: headers
-        };
-      },
-      error: function(message, code = 500) {
-        return {
-          status: 'error',
-          error: message,
-          code: code
-        };
-      },
-      
-      // Logging
-      log: {
-        info: (message, data) => console.log('[INFO]', message, data ? JSON.stringify(data) : ''),
-        error: (message, data) => console.error('[ERROR]', message, data ? JSON.stringify(data) : ''),
-        warn: (message, data) => console.warn('[WARN]', message, data ? JSON.stringify(data) : ''),
-        debug: (message, data) => console.log('[DEBUG]', message, data ? JSON.stringify(data) : '')
-      },
-      
-      // HTTP client (placeholder)
-      http: {
-        get: async (url, options) => {
-          throw new Error('HTTP client not implemented in sandbox');
-        },
-        post: async (url, data, options) => {
-          throw new Error('HTTP client not implemented in sandbox');
-        }
-      },
-      
-      // Database access (placeholder)
-      db: {
-        project: {
-          entities: new Proxy({}, {
-            get: (target, entityName) => ({
-              findMany: async (query, options) => {
-                throw new Error('Database access not implemented in sandbox');
-              },
-              findOne: async (query) => {
-                throw new Error('Database access not implemented in sandbox');
-              },
-              create: async (data) => {
-                throw new Error('Database access not implemented in sandbox');
-              },
-              update: async (id, data) => {
-                throw new Error('Database access not implemented in sandbox');
-              },
-              delete: async (id) => {
-                throw new Error('Database access not implemented in sandbox');
-              }
-            })
-          })
-        }
+      req: {
+        body: requestData.body || requestData,
+        headers: requestData.headers || {},
+        query: requestData.query || {},
+        method: requestData.method || 'POST',
+        url: requestData.url || '',
+        ip: requestData.ip || '127.0.0.1'
       },
-      
-      // JWT utilities (placeholder)
-      jwt: {
-        sign: (payload, expiresIn) => {
-          throw new Error('JWT signing not implemented in sandbox');
-        },
-        verify: (token) => {
-          throw new Error('JWT verification not implemented in sandbox');
-        }
-      }
+      context: baasContext.serialize()
     };
   }
 
   /**
-   * Executes async function using Node.js built-in vm
+   * Starts or ends a span for an outbound request made in the worker
    */
-  async executeAsyncFunction(code, context, timeout) {
-    const wrappedCode = this.wrapAsyncUserCode(code);
-    
-    // Create a new context for execution
-    const vmContext = vm.createContext(context);
-    
-    try {
-      // Run the code and get the result
-      const result = vm.runInContext(wrappedCode, vmContext, {
-        timeout: timeout,
-        displayErrors: true
-      });
-      
-      return result;
-    } catch (error) {
-      throw error;
+  handleTraceCall(relay, method, args) {
+    if (!relay) {
+      throw new Error('Tracing is not enabled');
+    }
+
+    switch (method) {
+      case 'trace.start':
+        return relay.start(...args);
+      case 'trace.end':
+        return relay.end(...args);
+      default:
+        throw new Error(`Unknown context method: ${method}`);
     }
   }
 
   /**
-   * Executes sync function using VM2
+   * Handles a BaaS context service call relayed from the sandbox
    */
-  executeSyncFunction(vmInstance, code, context) {
-    // Set basic context in VM2 sandbox
-    vmInstance.run(`
-      const request = ${JSON.stringify(context.request)};
-      const context = ${JSON.stringify(context.context)};
-    `);
-    
-    const wrappedCode = this.wrapSyncUserCode(code);
-    return vmInstance.run(wrappedCode);
+  async handleContextCall(baasContext, method, args) {
+    switch (method) {
+      case 'db.entity': {
+        const [entityName, operation, operationArgs = []] = args;
+        const entity = baasContext.createEntityInterface(entityName);
+
+        if (!Object.prototype.hasOwnProperty.call(entity, operation)) {
+          throw new Error(`Unknown entity operation: ${operation}`);
+        }
+        return entity[operation](...operationArgs);
+      }
+
+      case 'db.raw': {
+        const [query, params, options] = args;
+        return baasContext.db.raw(query, params, options);
+      }
+
+      case 'db.transaction': {
+        const [operation, operationArgs = []] = args;
+
+        switch (operation) {
+          case 'begin':
+            return baasContext.beginTransaction();
+          case 'query':
+            return baasContext.transactionQuery(...operationArgs);
+          case 'commit':
+          case 'rollback':
+            return baasContext.endTransaction(operationArgs[0], operation);
+          default:
+            throw new Error(`Unknown transaction operation: ${operation}`);
+        }
+      }
+
+      case 'http': {
+        const [verb, verbArgs = []] = args;
+        const client = baasContext.http;
+
+        if (!['get', 'post', 'put', 'delete'].includes(verb)) {
+          throw new Error(`Unknown HTTP method: ${verb}`);
+        }
+        return client[verb](...verbArgs);
+      }
+
+      case 'functions': {
+        const [operation, operationArgs = []] = args;
+
+        if (operation !== 'invoke') {
+          throw new Error(`Unknown functions operation: ${operation}`);
+        }
+        return baasContext.functions.invoke(...operationArgs);
+      }
+
+      case 'kv': {
+        const [operation, operationArgs = []] = args;
+
+        if (!['get', 'set', 'incr', 'delete', 'list'].includes(operation)) {
+          throw new Error(`Unknown kv operation: ${operation}`);
+        }
+        return baasContext.kv[operation](...operationArgs);
+      }
+
+      case 'jwt': {
+        const [operation, operationArgs = []] = args;
+
+        if (!['sign', 'verify'].includes(operation)) {
+          throw new Error(`Unknown JWT operation: ${operation}`);
+        }
+        return baasContext.jwt[operation](...operationArgs);
+      }
+
+      case 'files': {
+        const [operation, operationArgs = []] = args;
+
+        if (!['upload', 'download', 'delete'].includes(operation)) {
+          throw new Error(`Unknown files operation: ${operation}`);
+        }
+        return baasContext.files[operation](...operationArgs);
+      }
+
+      default:
+        throw new Error(`Unknown context method: ${method}`);
+    }
   }
 
   /**
-   * Wraps user code for async execution
+   * Records an execution result in the Prometheus metrics, when enabled
    */
-  wrapAsyncUserCode(code) {
-    if (code.includes('export default')) {
-      return `
-        (async () => {
-          try {
-            // Extract the function from export default
-            const handler = (function() {
-              ${code.replace(/export\s+default\s+/, 'return ')}
-            })();
-            
-            if (typeof handler === 'function') {
-              return await handler(req, ctx);
-            } else {
-              throw new Error('Exported default is not a function');
-            }
-          } catch (error) {
-            throw error;
-          }
-        })();
-      `;
-    } else {
-      return `
-        (async () => {
-          try {
-            ${code}
-          } catch (error) {
-            throw error;
-          }
-        })();
-      `;
+  recordMetrics(baasContext, result) {
+    if (this.metrics) {
+      this.metrics.recordExecution(baasContext, result);
     }
   }
 
   /**
-   * Wraps user code for sync execution
+   * Attaches a console/ctx.log entry from the sandbox to the execution
    */
-  wrapSyncUserCode(code) {
-    if (code.includes('export default')) {
-      return `
-        (() => {
-          try {
-            const handler = (function() {
-              ${code.replace(/export\s+default\s+/, 'return ')}
-            })();
-            
-            if (typeof handler === 'function') {
-              return handler(request, context);
-            } else {
-              throw new Error('Exported default is not a function');
-            }
-          } catch (error) {
-            throw error;
-          }
-        })();
-      `;
-    } else {
-      return `
-        (() => {
-          try {
-            ${code}
-          } catch (error) {
-            throw error;
-          }
-        })();
-      `;
-    }
+  captureLog(baasContext, entry) {
+    baasContext.addLog(entry.level, entry.message, entry.data, entry.timestamp);
   }
 
   /**
-   * Creates a context proxy for the sandbox
+   * Sandbox console implementation, for output outside an execution (pre-warming)
    */
-  createContextProxy() {
-    return `(contextData) => ({
-      project: { id: contextData.project_id },
-      tenant: { id: contextData.tenant_id },
-      user: { id: contextData.user_id },
-      execution_id: contextData.execution_id,
-      env: contextData.env || {},
-      
-      // Response helpers
-      success: (data) => ({ status: 'success', data }),
-      error: (message, code) => ({ status: 'error', error: message, code }),
-      
-      // Logging
-      log: {
-        info: (message, data) => console.log('[INFO]', message, data ? JSON.stringify(data) : ''),
-        error: (message, data) => console.error('[ERROR]', message, data ? JSON.stringify(data) : ''),
-        warn: (message, data) => console.warn('[WARN]', message, data ? JSON.stringify(data) : ''),
-        debug: (message, data) => console.log('[DEBUG]', message, data ? JSON.stringify(data) : '')
-      },
-      
-      // HTTP client (simplified)
-      http: {
-        get: async (url, options) => {
-          throw new Error('HTTP client not implemented in sandbox');
-        },
-        post: async (url, data, options) => {
-          throw new Error('HTTP client not implemented in sandbox');
-        }
-      },
-      
-      // Database access (placeholder)
-      db: {
-        project: {
-          entities: new Proxy({}, {
-            get: (target, entityName) => ({
-              findMany: async (query, options) => {
-                throw new Error('Database access not implemented in sandbox');
-              },
-              findOne: async (query) => {
-                throw new Error('Database access not implemented in sandbox');
-              },
-              create: async (data) => {
-                throw new Error('Database access not implemented in sandbox');
-              },
-              update: async (id, data) => {
-                throw new Error('Database access not implemented in sandbox');
-              },
-              delete: async (id) => {
-                throw new Error('Database access not implemented in sandbox');
-              }
-            })
-          })
-        }
-      },
-      
-      // JWT utilities (placeholder)
-      jwt: {
-        sign: (payload, expiresIn) => {
-          throw new Error('JWT signing not implemented in sandbox');
-        },
-        verify: (token) => {
-          throw new Error('JWT verification not implemented in sandbox');
-        }
-      }
-    })`;
+  sandboxConsole(entry) {
+    const meta = entry.data ? { data: entry.data } : {};
+    this.logger[entry.level] ? this.logger[entry.level](entry.message, meta) : this.logger.info(entry.message, meta);
   }
 
   /**
-   * Creates a fetch API implementation for the sandbox
+   * Prepares execution configuration
+   *
+   * Values set by the platform (the /execute payload) take precedence; the
+   * config exported by the function source fills in the rest. Service
+   * maximums always apply.
    */
-  createFetch() {
-    const https = require('https');
-    const http = require('http');
-    const url = require('url');
-    
-    return async function fetch(resource, options = {}) {
-      const parsedUrl = url.parse(resource);
-      const isHttps = parsedUrl.protocol === 'https:';
-      const client = isHttps ? https : http;
-      
-      const requestOptions = {
-        hostname: parsedUrl.hostname,
-        port: parsedUrl.port || (isHttps ? 443 : 80),
-        path: parsedUrl.path,
-        method: options.method || 'GET',
-        headers: options.headers || {}
-      };
-      
-      return new Promise((resolve, reject) => {
-        const req = client.request(requestOptions, (res) => {
-          let data = '';
-          res.on('data', (chunk) => data += chunk);
-          res.on('end', () => {
-            const response = {
-              ok: res.statusCode >= 200 && res.statusCode < 300,
-              status: res.statusCode,
-              statusText: res.statusMessage,
-              headers: res.headers,
-              json: async () => {
-                try {
-                  return JSON.parse(data);
-                } catch (error) {
-                  throw new Error('Invalid JSON response');
-                }
-              },
-              text: async () => data
-            };
-            resolve(response);
-          });
-        });
-        
-        req.on('error', reject);
-        
-        if (options.body) {
-          req.write(options.body);
-        }
-        
-        req.end();
-        
-        // Add timeout
-        req.setTimeout(options.timeout || 30000, () => {
-          req.destroy();
-          reject(new Error('Request timeout'));
-        });
-      });
+  prepareConfig(config, sourceConfig = {}) {
+    const timeout = config.timeout || sourceConfig.timeout || this.defaultTimeout;
+    const memoryLimit = config.memory_limit || sourceConfig.memory || this.defaultMemoryLimit;
+    const envRequired = new Set([...(config.env_required || []), ...(sourceConfig.env_required || [])]);
+
+    return {
+      timeout: Math.min(timeout, this.maxTimeout),
+      memory_limit: Math.min(memoryLimit, this.maxMemoryLimit),
+      env_required: Array.from(envRequired),
+      allowed_hosts: config.allowed_hosts || sourceConfig.allowed_hosts || null,
+      concurrency: config.concurrency || sourceConfig.concurrency || null,
+      keep_warm: Boolean(config.keep_warm !== undefined ? config.keep_warm : sourceConfig.keep_warm)
     };
   }
 
   /**
-   * Sandbox console implementation
+   * Validates the config object exported by the function source
    */
-  sandboxConsole(level, args) {
-    const message = args.map(arg => 
-      typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
-    ).join(' ');
-    
-    this.logger[level] ? this.logger[level](message) : this.logger.info(message);
+  validateSourceConfig(sourceConfig) {
+    if (!sourceConfig) {
+      return {};
+    }
+
+    const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+    const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string' && item.length > 0);
+    const rules = {
+      name: [(value) => typeof value === 'string', 'must be a string'],
+      description: [(value) => typeof value === 'string', 'must be a string'],
+      timeout: [isPositiveInteger, 'must be a positive number of milliseconds'],
+      memory: [isPositiveInteger, 'must be a positive number of megabytes'],
+      env_required: [isStringList, 'must be an array of variable names'],
+      allowed_hosts: [isStringList, 'must be an array of host names'],
+      concurrency: [isPositiveInteger, 'must be a positive number of concurrent executions'],
+      keep_warm: [(value) => typeof value === 'boolean', 'must be a boolean']
+    };
+
+    const errors = [];
+    Object.keys(rules).forEach((key) => {
+      const [isValid, message] = rules[key];
+      if (sourceConfig[key] !== undefined && !isValid(sourceConfig[key])) {
+        errors.push(`${key} ${message}`);
+      }
+    });
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid function config: ${errors.join(', ')}`);
+      error.name = 'ValidationError';
+      error.code = 'INVALID_FUNCTION_CONFIG';
+      throw error;
+    }
+
+    return sourceConfig;
   }
 
   /**
-   * Prepares execution configuration
+   * Ensures all required environment variables are present
    */
-  prepareConfig(config) {
-    return {
-      timeout: Math.min(config.timeout || this.defaultTimeout, this.maxTimeout),
-      memory_limit: Math.min(config.memory_limit || this.defaultMemoryLimit, this.maxMemoryLimit),
-      env_required: config.env_required || []
-    };
+  assertRequiredEnv(envRequired, env = {}) {
+    const missing = envRequired.filter((name) => env[name] === undefined || env[name] === null || env[name] === '');
+
+    if (missing.length > 0) {
+      const error = new Error(`Missing required environment variables: ${missing.join(', ')}`);
+      error.name = 'ValidationError';
+      error.code = 'MISSING_ENV_VARS';
+      throw error;
+    }
   }
 
   /**
@@ -695,8 +624,19 @@ class FunctionExecutor {
         }
       });
 
+      // Parse the source; syntax, module structure and config errors are fatal
+      let loaded = null;
+      try {
+        loaded = this.loader.load(code);
+        this.validateSourceConfig(loaded.config);
+      } catch (error) {
+        const prefix = error.name === 'SyntaxError' ? 'Syntax error' : 'Invalid function code';
+        validation.errors.push(`${prefix}: ${error.message}`);
+        validation.score -= 30;
+      }
+
       // Check for good practices
-      if (code.includes('export default')) {
+      if (loaded && loaded.mode === 'module') {
         validation.score += 10;
       } else {
         validation.warnings.push('Consider using export default function pattern');
@@ -710,15 +650,6 @@ class FunctionExecutor {
         validation.score -= 5;
       }
 
-      // Test compilation
-      try {
-        const vm = new VM({ timeout: 1000 });
-        vm.run(`(function() { ${code} })`);
-      } catch (error) {
-        validation.errors.push(`Syntax error: ${error.message}`);
-        validation.score -= 30;
-      }
-
       validation.is_valid = validation.errors.length === 0;
       validation.score = Math.max(0, Math.min(100, validation.score));
 
@@ -730,6 +661,47 @@ class FunctionExecutor {
 
     return validation;
   }
+
+  /**
+   * Lets a nested execution start while its caller holds a worker
+   *
+   * @returns {Function|null} Releases the extra capacity, or null when none is left
+   */
+  borrowWorker() {
+    return this.pool.borrow();
+  }
+
+  /**
+   * Gets worker pool statistics
+   */
+  getPoolStats() {
+    return this.pool.getStats();
+  }
+
+  /**
+   * Gets concurrency limiter statistics
+   */
+  getConcurrencyStats() {
+    return this.limiter.getStats();
+  }
+
+  /**
+   * Gets function cache statistics
+   */
+  getCacheStats() {
+    return {
+      functions: this.cache.getStats(),
+      worker_scripts: { ...this.scriptStats },
+      warm_contexts: { ...this.warmStats }
+    };
+  }
+
+  /**
+   * Shuts down the worker pool
+   */
+  async close() {
+    await this.pool.close();
+  }
 }
 
-module.exports = FunctionExecutor;
\ No newline at end of file
+module.exports = FunctionExecutor;
@@ -0,0 +1,70 @@
+const axios = require('axios');
+
+/**
+ * Function Invoker - Calls a project function through the Drupal API
+ *
+ * Triggers that run functions outside an HTTP request (schedules, database
+ * changes) go through the same endpoint as API clients, so the function's
+ * status, access checks and execution logs apply to them as well.
+ */
+class FunctionInvoker {
+  constructor(options = {}) {
+    this.drupalApiUrl = options.drupalApiUrl || process.env.DRUPAL_API_URL || 'http://localhost';
+    this.apiKey = options.apiKey || process.env.DRUPAL_API_KEY;
+    this.userAgent = options.userAgent || 'BaaS-Functions/1.0';
+  }
+
+  /**
+   * Invokes a function
+   *
+   * @param {object} target - { tenant_id, project_id, function_name }
+   * @param {object} body - Request body passed to the function
+   * @param {object} options - { timeout, headers }
+   * @returns {Promise<object>} { status: 'success'|'error', http_status, execution_id, error }
+   */
+  async invoke(target, body, options = {}) {
+    const url = `${this.drupalApiUrl}/api/v1/${encodeURIComponent(target.tenant_id)}/projects/${encodeURIComponent(target.project_id)}/functions/${encodeURIComponent(target.function_name)}`;
+
+    try {
+      const response = await axios.post(url, body, {
+        headers: {
+          'User-Agent': this.userAgent,
+          ...(this.apiKey && { 'X-API-Key': this.apiKey }),
+          ...options.headers
+        },
+        timeout: options.timeout || 300000,
+        validateStatus: () => true
+      });
+
+      // Functions returning their own HTTP response have no JSON envelope
+      const envelope = response.data && typeof response.data === 'object' ? response.data : {};
+      const result = envelope.data && typeof envelope.data === 'object' ? envelope.data : {};
+      const failed = response.status >= 400 || envelope.success === false || result.status === 'error';
+
+      return {
+        status: failed ? 'error' : 'success',
+        http_status: response.status,
+        execution_id: result.execution_id || null,
+        ...(failed && {
+          error: this.describeError(result.error || envelope.error) || `HTTP ${response.status}`
+        })
+      };
+    } catch (error) {
+      return {
+        status: 'error',
+        http_status: null,
+        execution_id: null,
+        error: error.message
+      };
+    }
+  }
+
+  describeError(error) {
+    if (!error) {
+      return null;
+    }
+    return typeof error === 'string' ? error : error.message || JSON.stringify(error);
+  }
+}
+
+module.exports = FunctionInvoker;
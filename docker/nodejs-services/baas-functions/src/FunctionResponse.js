@@ -0,0 +1,201 @@
+/**
+ * Headers that describe the connection between the worker and the service,
+ * not the function's response, and are never copied to the client
+ */
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'transfer-encoding',
+  'content-length',
+  'upgrade',
+  'trailer',
+  'te',
+  'proxy-connection'
+];
+
+const DEFAULT_MAX_BUFFERED_BYTES = 10 * 1024 * 1024; // 10MB
+
+/**
+ * Function Response - Receives the HTTP response produced by a function
+ *
+ * When a function returns a Response (or uses the ctx.response helpers) the
+ * sandbox sends the head and then the body chunk by chunk over the worker
+ * bridge. In raw mode the chunks are written straight to the client as they
+ * arrive; each write resolves once the socket has drained, which keeps the
+ * worker from producing faster than the client reads. Without a client
+ * response the body is buffered for the JSON envelope.
+ */
+class FunctionResponse {
+  constructor(options = {}) {
+    this.res = options.res || null;
+    this.maxBufferedBytes = options.maxBufferedBytes || DEFAULT_MAX_BUFFERED_BYTES;
+
+    this.head = null;
+    this.chunks = [];
+    this.bytes = 0;
+    this.finished = false;
+  }
+
+  /**
+   * Whether the function started an HTTP response
+   */
+  get started() {
+    return this.head !== null;
+  }
+
+  /**
+   * Handles a response call relayed from the sandbox
+   */
+  handleCall(method, args) {
+    switch (method) {
+      case 'response.start':
+        return this.start(args[0]);
+
+      case 'response.write':
+        return this.write(args[0]);
+
+      default:
+        throw new Error(`Unknown response method: ${method}`);
+    }
+  }
+
+  /**
+   * Sets the status and headers ({ status, headers: [[name, value], ...] })
+   */
+  start(head) {
+    if (this.started) {
+      throw new Error('Response has already been started');
+    }
+
+    const status = parseInt(head.status);
+    this.head = {
+      status: status >= 200 && status <= 599 ? status : 200,
+      headers: (head.headers || []).filter(([name]) => !HOP_BY_HOP_HEADERS.includes(String(name).toLowerCase()))
+    };
+
+    if (this.res) {
+      // setHeader keeps the function's values as they are (res.set adds charsets)
+      this.res.status(this.head.status);
+      Object.entries(FunctionResponse.describe(this.head).headers).forEach(([name, value]) => {
+        this.res.setHeader(name, value);
+      });
+      this.res.setHeader('X-BaaS-Response-Mode', 'raw');
+      this.res.flushHeaders();
+    }
+  }
+
+  /**
+   * Writes a body chunk
+   */
+  write(chunk) {
+    if (!this.started || this.finished) {
+      throw new Error('Response is not writable');
+    }
+
+    const buffer = Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+
+    if (!this.res) {
+      this.bytes += buffer.length;
+      if (this.bytes > this.maxBufferedBytes) {
+        const error = new Error(`Response body exceeds ${this.maxBufferedBytes} bytes; use raw response mode to stream it`);
+        error.name = 'ResponseTooLargeError';
+        error.code = 'RESPONSE_TOO_LARGE';
+        throw error;
+      }
+      this.chunks.push(buffer);
+      return undefined;
+    }
+
+    if (this.res.destroyed) {
+      const error = new Error('Client closed the connection');
+      error.name = 'ClientClosedError';
+      error.code = 'CLIENT_CLOSED';
+      throw error;
+    }
+
+    const flushed = this.res.write(buffer);
+    // compression buffers output; flush so streamed events reach the client
+    if (typeof this.res.flush === 'function') {
+      this.res.flush();
+    }
+    if (flushed) {
+      return undefined;
+    }
+
+    return new Promise((resolve) => {
+      const done = () => {
+        this.res.off('drain', done);
+        this.res.off('close', done);
+        resolve();
+      };
+      this.res.on('drain', done);
+      this.res.on('close', done);
+    });
+  }
+
+  /**
+   * Completes the response; an execution that failed mid-stream is cut off so
+   * the client does not mistake a truncated body for a complete one
+   */
+  finish(failed = false) {
+    if (this.finished) {
+      return;
+    }
+    this.finished = true;
+
+    if (this.res && this.started) {
+      if (failed) {
+        this.res.destroy();
+      } else {
+        this.res.end();
+      }
+    }
+  }
+
+  /**
+   * Describes the response for the JSON envelope
+   *
+   * JSON and text bodies are returned as `data`; other bodies are included
+   * base64 encoded.
+   */
+  toEnvelope() {
+    const response = FunctionResponse.describe(this.head);
+    const body = Buffer.concat(this.chunks);
+    const contentType = String(response.headers['content-type'] || '');
+
+    if (body.length === 0) {
+      return { data: null, response };
+    }
+
+    if (/[/+]json\b/i.test(contentType)) {
+      try {
+        return { data: JSON.parse(body.toString('utf8')), response };
+      } catch (error) {
+        return { data: body.toString('utf8'), response };
+      }
+    }
+
+    if (/^text\/|xml|javascript|x-www-form-urlencoded/i.test(contentType)) {
+      return { data: body.toString('utf8'), response };
+    }
+
+    response.body = body.toString('base64');
+    response.encoding = 'base64';
+    return { data: null, response };
+  }
+
+  /**
+   * Converts a response head ({ status, headers: [[name, value], ...] }) to
+   * the envelope format, with repeated headers collected into arrays
+   */
+  static describe(head) {
+    const headers = {};
+    head.headers.forEach(([name, value]) => {
+      const key = name.toLowerCase();
+      headers[key] = headers[key] !== undefined ? [].concat(headers[key], value) : value;
+    });
+    return { status: head.status, headers };
+  }
+}
+
+module.exports = FunctionResponse;
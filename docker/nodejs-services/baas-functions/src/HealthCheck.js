@@ -52,18 +52,20 @@ class HealthCheck {
       health.status = 'warning';
     }
 
-    // VM2 availability check
+    // Sandbox availability check
     try {
-      const { VM } = require('vm2');
-      new VM({ timeout: 100 }).run('1 + 1');
-      health.checks.vm2 = {
+      const vm = require('vm');
+      const CodeLoader = require('./CodeLoader');
+      const { source } = new CodeLoader().load('export default () => 1 + 1;');
+      vm.runInContext(source, vm.createContext({}), { timeout: 100 });
+      health.checks.sandbox = {
         status: 'healthy',
-        message: 'VM2 sandbox available'
+        message: 'Function sandbox available'
       };
     } catch (error) {
-      health.checks.vm2 = {
+      health.checks.sandbox = {
         status: 'error',
-        message: `VM2 error: ${error.message}`
+        message: `Sandbox error: ${error.message}`
       };
       health.status = 'unhealthy';
     }
@@ -0,0 +1,529 @@
+const crypto = require('crypto');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const Redis = require('ioredis');
+const { v4: uuidv4 } = require('uuid');
+const EgressPolicy = require('./EgressPolicy');
+
+const FINISHED_STATUSES = ['succeeded', 'failed'];
+
+// Moves jobs whose retry delay has passed back to the stream
+const REQUEUE_SCRIPT = `
+local due = redis.call('zrangebyscore', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+for _, id in ipairs(due) do
+  redis.call('xadd', KEYS[2], '*', 'job_id', id)
+  redis.call('zrem', KEYS[1], id)
+end
+return #due`;
+
+/**
+ * Job Queue - Runs asynchronous executions from a Redis stream
+ *
+ * `enqueue()` stores the job and the execution payload in Redis and returns
+ * at once; replicas read the stream as one consumer group and run jobs
+ * through the `handler` option, `concurrency` at a time. A job is acknowledged
+ * only once its result is stored and its webhook settled, so jobs held by a
+ * replica that stopped are claimed by another one after `claimIdle` ms and
+ * survive restarts. Jobs the service could not run (concurrency limits,
+ * internal errors, interruptions) are retried up to `maxAttempts` times; a
+ * function that fails is a finished job, not a retry.
+ *
+ * The payload holds the code, environment variables, JWT keys and webhook
+ * secret, so it is stored sealed with AES-256-GCM under `encryptionKey` and
+ * deleted when the job finishes; the job and its result expire after
+ * `resultTtl` seconds.
+ */
+class JobQueue {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.options = {
+      redisUrl: options.redisUrl || process.env.REDIS_URL,
+      encryptionKey: options.encryptionKey || process.env.JOB_ENCRYPTION_KEY,
+      keyPrefix: 'baas:jobs:',
+      group: 'baas-functions',
+      handler: null,
+      concurrency: 4,
+      blockTime: 5000,
+      retryInterval: 1000,
+      retryDelay: 5000,
+      maxAttempts: 3,
+      claimIdle: 360000, // longer than the longest execution
+      resultTtl: 86400, // 24 hours
+      webhookAttempts: 3,
+      webhookTimeout: 10000,
+      shutdownTimeout: 5000,
+      ...options
+    };
+
+    this.consumer = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.redis = null;
+    this.reader = null;
+    this.ownsRedis = false;
+    this.closed = false;
+
+    this.consuming = null;
+    this.retryTimer = null;
+    this.retrying = false;
+    this.claimCursor = '0-0';
+    this.active = new Set();
+
+    this.stats = {
+      enqueued: 0,
+      succeeded: 0,
+      failed: 0,
+      retried: 0,
+      webhooks_delivered: 0,
+      webhooks_failed: 0
+    };
+  }
+
+  /**
+   * Connects to Redis, creates the consumer group and starts consuming
+   */
+  async init() {
+    if (!this.options.encryptionKey) {
+      throw new Error('Job queue requires an encryption key (JOB_ENCRYPTION_KEY)');
+    }
+    this.cipherKey = crypto.createHash('sha256').update(String(this.options.encryptionKey)).digest();
+
+    if (this.options.redis) {
+      this.redis = this.options.redis;
+    } else {
+      this.redis = new Redis(this.options.redisUrl);
+      this.ownsRedis = true;
+    }
+    // Blocking reads hold their connection, so they get one of their own
+    this.reader = this.redis.duplicate();
+
+    this.redis.defineCommand('jobsRequeue', { numberOfKeys: 2, lua: REQUEUE_SCRIPT });
+
+    try {
+      await this.redis.xgroup('CREATE', this.key('queue'), this.options.group, '0', 'MKSTREAM');
+    } catch (error) {
+      if (!String(error.message).includes('BUSYGROUP')) {
+        throw error;
+      }
+    }
+
+    this.consuming = this.consume();
+    this.retryTimer = setInterval(() => this.retry(), this.options.retryInterval);
+
+    this.logger.info('Job queue initialized', {
+      consumer: this.consumer,
+      concurrency: this.options.concurrency
+    });
+  }
+
+  key(name) {
+    return `${this.options.keyPrefix}${name}`;
+  }
+
+  /**
+   * Encrypts a payload for storage
+   */
+  seal(payload) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.cipherKey, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map((part) => part.toString('base64')).join('.');
+  }
+
+  /**
+   * Decrypts a stored payload; throws when it was sealed under another key or altered
+   */
+  unseal(value) {
+    const [iv, tag, data] = value.split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.cipherKey, iv);
+    decipher.setAuthTag(tag);
+    return JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'));
+  }
+
+  /**
+   * Queues an execution
+   *
+   * @param {object} payload - The /execute request body
+   * @param {object|null} webhook - { url, secret, headers } called when the job finishes
+   * @returns {Promise<object>} The queued job
+   */
+  async enqueue(payload, webhook = null) {
+    if (webhook) {
+      this.assertWebhook(webhook, payload.context);
+    }
+
+    const job = {
+      id: `job_${uuidv4()}`,
+      status: 'queued',
+      execution_id: payload.execution_id,
+      function_id: payload.function_id,
+      function_name: payload.function_name || null,
+      project_id: (payload.context || {}).project_id || null,
+      attempts: 0,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      result: null,
+      error: null,
+      webhook: webhook ? { url: webhook.url, status: 'pending', attempts: 0 } : null
+    };
+
+    await this.redis.multi()
+      .set(this.key(`job:${job.id}`), JSON.stringify(job))
+      .set(this.key(`payload:${job.id}`), this.seal({ ...payload, webhook }))
+      .xadd(this.key('queue'), '*', 'job_id', job.id)
+      .exec();
+
+    this.stats.enqueued++;
+    return job;
+  }
+
+  /**
+   * Gets a job with its result once finished
+   */
+  async get(id) {
+    const job = await this.load(id);
+    if (!job) {
+      const error = new Error(`Job not found: ${id}`);
+      error.name = 'NotFoundError';
+      error.code = 'JOB_NOT_FOUND';
+      throw error;
+    }
+    return job;
+  }
+
+  async load(id) {
+    const value = await this.redis.get(this.key(`job:${id}`));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async save(job) {
+    const finished = FINISHED_STATUSES.includes(job.status);
+    await this.redis.set(
+      this.key(`job:${job.id}`),
+      JSON.stringify(job),
+      ...(finished ? ['EX', this.options.resultTtl] : [])
+    );
+  }
+
+  /**
+   * Checks a webhook URL against the project's egress policy
+   */
+  assertWebhook(webhook, context = {}) {
+    if (typeof webhook !== 'object' || typeof webhook.url !== 'string') {
+      const error = new Error('webhook must be an object with a url');
+      error.name = 'ValidationError';
+      error.code = 'INVALID_WEBHOOK';
+      throw error;
+    }
+    return EgressPolicy.create(context.egress).assertUrl(webhook.url);
+  }
+
+  /**
+   * Reads new jobs while slots are free, until closed
+   */
+  async consume() {
+    while (!this.closed) {
+      try {
+        const free = this.options.concurrency - this.active.size;
+        if (free <= 0) {
+          await Promise.race(Array.from(this.active));
+          continue;
+        }
+
+        const result = await this.reader.xreadgroup(
+          'GROUP', this.options.group, this.consumer,
+          'COUNT', free,
+          'BLOCK', this.options.blockTime,
+          'STREAMS', this.key('queue'), '>'
+        );
+
+        if (result) {
+          this.start(result[0][1]);
+        }
+      } catch (error) {
+        if (this.closed) {
+          break;
+        }
+        this.logger.error('Job queue read failed', { error: error.message });
+        await new Promise((resolve) => setTimeout(resolve, this.options.retryInterval));
+      }
+    }
+  }
+
+  /**
+   * Requeues jobs due for a retry and claims jobs left behind by consumers
+   * that stopped
+   */
+  async retry() {
+    if (this.retrying || this.closed) {
+      return;
+    }
+    this.retrying = true;
+
+    try {
+      await this.redis.jobsRequeue(this.key('retries'), this.key('queue'), Date.now(), 100);
+
+      const free = this.options.concurrency - this.active.size;
+      if (free > 0) {
+        const [cursor, entries] = await this.redis.xautoclaim(
+          this.key('queue'), this.options.group, this.consumer,
+          this.options.claimIdle, this.claimCursor,
+          'COUNT', free
+        );
+        this.claimCursor = cursor;
+
+        if (entries.length > 0) {
+          this.logger.warn('Claimed jobs from a stopped consumer', { count: entries.length });
+          this.start(entries);
+        }
+      }
+    } catch (error) {
+      this.logger.error('Job queue retry failed', { error: error.message });
+    } finally {
+      this.retrying = false;
+    }
+  }
+
+  start(entries) {
+    entries
+      // Claimed entries that were deleted meanwhile come back empty
+      .filter(([, fields]) => fields)
+      .forEach(([entryId, fields]) => {
+        const run = this.run(entryId, fields[fields.indexOf('job_id') + 1])
+          .catch((error) => {
+            // Left pending; another consumer claims it after claimIdle
+            this.logger.error('Job processing failed', { entry_id: entryId, error: error.message });
+          })
+          .finally(() => this.active.delete(run));
+        this.active.add(run);
+      });
+  }
+
+  /**
+   * Runs a job and settles its stream entry
+   */
+  async run(entryId, jobId) {
+    const [job, payloadValue] = await Promise.all([
+      this.load(jobId),
+      this.redis.get(this.key(`payload:${jobId}`))
+    ]);
+
+    if (!job || !payloadValue) {
+      await this.ack(entryId);
+      return;
+    }
+
+    let payload;
+    try {
+      payload = this.unseal(payloadValue);
+    } catch (error) {
+      this.finish(job, null, 'Job payload could not be decrypted');
+      await this.save(job);
+      await this.redis.del(this.key(`payload:${jobId}`));
+      await this.ack(entryId);
+      this.logger.error('Job payload could not be decrypted', { job_id: jobId, error: error.message });
+      return;
+    }
+
+    if (!FINISHED_STATUSES.includes(job.status)) {
+      // A job already running was interrupted; it is retried like any failure
+      if (job.status === 'running' && job.attempts >= this.options.maxAttempts) {
+        this.finish(job, null, `Execution was interrupted ${job.attempts} times`);
+        await this.save(job);
+      } else {
+        const retried = await this.execute(job, payload);
+        if (retried) {
+          await this.ack(entryId);
+          return;
+        }
+      }
+    }
+
+    // Finished jobs left pending by a stopped consumer only need their webhook
+    if (job.webhook && job.webhook.status === 'pending') {
+      await this.sendWebhook(job, payload);
+      await this.save(job);
+    }
+
+    await this.redis.del(this.key(`payload:${jobId}`));
+    await this.ack(entryId);
+  }
+
+  /**
+   * Executes a job through the handler
+   *
+   * @returns {Promise<boolean>} Whether the job was scheduled for a retry
+   */
+  async execute(job, payload) {
+    job.status = 'running';
+    job.attempts++;
+    job.started_at = new Date().toISOString();
+    await this.save(job);
+
+    try {
+      const result = await this.options.handler(payload, job);
+      this.finish(job, result, null);
+    } catch (error) {
+      if (job.attempts < this.options.maxAttempts) {
+        const delay = error.retryAfter ? error.retryAfter * 1000 : this.options.retryDelay * 2 ** (job.attempts - 1);
+        job.status = 'queued';
+        job.error = error.message;
+
+        this.stats.retried++;
+        this.logger.warn('Job will be retried', { job_id: job.id, attempts: job.attempts, error: error.message });
+
+        await this.save(job);
+        await this.redis.zadd(this.key('retries'), Date.now() + delay, job.id);
+        return true;
+      }
+      this.finish(job, null, error.message);
+    }
+
+    await this.save(job);
+    return false;
+  }
+
+  finish(job, result, error) {
+    const failed = Boolean(error) || (result && result.status === 'error');
+    job.status = failed ? 'failed' : 'succeeded';
+    job.finished_at = new Date().toISOString();
+    job.result = result;
+    job.error = error || (result && result.status === 'error' ? result.error : null);
+
+    this.stats[job.status]++;
+    this.logger.info('Job finished', {
+      job_id: job.id,
+      execution_id: job.execution_id,
+      status: job.status,
+      attempts: job.attempts
+    });
+  }
+
+  async ack(entryId) {
+    await this.redis.multi()
+      .xack(this.key('queue'), this.options.group, entryId)
+      .xdel(this.key('queue'), entryId)
+      .exec();
+  }
+
+  /**
+   * Posts the finished job to its webhook
+   *
+   * The body is signed with the webhook secret, if any:
+   * `X-BaaS-Signature: sha256=HMAC(secret, "<timestamp>.<body>")`.
+   */
+  async sendWebhook(job, payload) {
+    const { webhook } = payload;
+    const body = JSON.stringify({
+      job_id: job.id,
+      status: job.status,
+      execution_id: job.execution_id,
+      function_id: job.function_id,
+      finished_at: job.finished_at,
+      result: job.result,
+      error: job.error
+    });
+
+    const headers = {
+      ...webhook.headers,
+      'Content-Type': 'application/json',
+      'User-Agent': 'BaaS-Jobs/1.0',
+      'X-BaaS-Job-ID': job.id
+    };
+    if (webhook.secret) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      headers['X-BaaS-Timestamp'] = timestamp;
+      headers['X-BaaS-Signature'] = `sha256=${crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex')}`;
+    }
+
+    while (job.webhook.attempts < this.options.webhookAttempts) {
+      job.webhook.attempts++;
+
+      try {
+        const policy = this.assertWebhook(webhook, payload.context);
+        await axios.post(webhook.url, body, {
+          headers,
+          timeout: this.options.webhookTimeout,
+          // Resolved addresses are checked as well; redirects are not followed
+          httpAgent: new http.Agent({ lookup: policy.lookup }),
+          httpsAgent: new https.Agent({ lookup: policy.lookup }),
+          proxy: false,
+          maxRedirects: 0,
+          maxContentLength: 64 * 1024
+        });
+
+        job.webhook.status = 'delivered';
+        job.webhook.delivered_at = new Date().toISOString();
+        this.stats.webhooks_delivered++;
+        return;
+      } catch (error) {
+        job.webhook.last_error = error.message;
+        if (error.code === 'EGRESS_DENIED') {
+          break;
+        }
+        if (job.webhook.attempts < this.options.webhookAttempts) {
+          await new Promise((resolve) => setTimeout(resolve, 1000 * 2 ** job.webhook.attempts));
+        }
+      }
+    }
+
+    job.webhook.status = 'failed';
+    this.stats.webhooks_failed++;
+    this.logger.warn('Job webhook failed', { job_id: job.id, url: webhook.url, error: job.webhook.last_error });
+  }
+
+  /**
+   * Counts jobs not yet finished: in the stream (new or running) and waiting for a retry
+   */
+  async getBacklog() {
+    const [queued, retrying] = await Promise.all([
+      this.redis.xlen(this.key('queue')),
+      this.redis.zcard(this.key('retries'))
+    ]);
+    return { queued, retrying };
+  }
+
+  /**
+   * Gets queue statistics
+   */
+  getStats() {
+    return {
+      consumer: this.consumer,
+      active: this.active.size,
+      concurrency: this.options.concurrency,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stops consuming and waits briefly for running jobs; jobs still running
+   * stay pending and are claimed by another replica
+   */
+  async close() {
+    this.closed = true;
+    clearInterval(this.retryTimer);
+
+    if (this.reader) {
+      this.reader.disconnect();
+    }
+    await this.consuming;
+
+    if (this.active.size > 0) {
+      let timer;
+      await Promise.race([
+        Promise.allSettled(Array.from(this.active)),
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, this.options.shutdownTimeout);
+        })
+      ]);
+      clearTimeout(timer);
+    }
+
+    if (this.ownsRedis) {
+      await this.redis.quit();
+    }
+  }
+}
+
+module.exports = JobQueue;
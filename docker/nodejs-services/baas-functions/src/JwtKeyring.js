@@ -0,0 +1,134 @@
+const jwt = require('jsonwebtoken');
+
+const ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+const SIGN_OPTIONS = ['expiresIn', 'notBefore', 'audience', 'issuer', 'subject', 'jwtid', 'kid'];
+const VERIFY_OPTIONS = ['audience', 'issuer', 'subject', 'jwtid', 'maxAge', 'clockTolerance'];
+const MAX_CLOCK_TOLERANCE = 300; // seconds
+
+/**
+ * JWT Keyring - Signs and verifies JWTs with a project's keys
+ *
+ * Keys come from Drupal with the execution payload, oldest first ({ kid,
+ * algorithm, secret | private_key, public_key, status }), and stay on the main thread;
+ * user code only sees tokens and claims. New tokens are signed with the
+ * newest active key and carry its `kid`; retired keys still verify, so
+ * tokens issued before a rotation stay valid until they expire. The accepted
+ * algorithm always comes from the key, never from the token header.
+ */
+class JwtKeyring {
+  constructor(keys = []) {
+    this.keys = (Array.isArray(keys) ? keys : [])
+      .filter((key) => key && key.kid && ALGORITHMS.includes(key.algorithm));
+  }
+
+  /**
+   * Signs a payload
+   *
+   * @param {object} payload - Claims
+   * @param {object|string} options - Signing options (see SIGN_OPTIONS), or an expiresIn value
+   * @returns {string} Token
+   */
+  sign(payload, options = {}) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw this.error('JWT payload must be an object', 'INVALID_JWT_PAYLOAD');
+    }
+
+    const signOptions = this.pick(
+      typeof options === 'string' || typeof options === 'number' ? { expiresIn: options } : options,
+      SIGN_OPTIONS
+    );
+
+    const key = signOptions.kid
+      ? this.keys.find((candidate) => candidate.kid === signOptions.kid && candidate.status === 'active')
+      : this.keys.filter((candidate) => candidate.status === 'active').pop();
+    if (!key) {
+      throw this.error(
+        signOptions.kid ? `No active JWT key with kid ${signOptions.kid}` : 'No active JWT signing key for this project',
+        'JWT_KEY_NOT_FOUND'
+      );
+    }
+    delete signOptions.kid;
+
+    // A payload carrying its own exp must not get a second one
+    if (signOptions.expiresIn === undefined && payload.exp === undefined) {
+      signOptions.expiresIn = '1h';
+    }
+
+    return jwt.sign(payload, this.signingKey(key), {
+      ...signOptions,
+      algorithm: key.algorithm,
+      keyid: key.kid
+    });
+  }
+
+  /**
+   * Verifies a token
+   *
+   * @param {string} token - Token to verify
+   * @param {object} options - Claim checks (see VERIFY_OPTIONS)
+   * @returns {object} { valid: true, payload, kid } or { valid: false, error, code }
+   */
+  verify(token, options = {}) {
+    const decoded = typeof token === 'string' ? jwt.decode(token, { complete: true }) : null;
+    if (!decoded) {
+      return { valid: false, error: 'Malformed token', code: 'JWT_MALFORMED' };
+    }
+
+    // Tokens without a kid are accepted only while the project has one key
+    const kid = decoded.header.kid;
+    const key = kid
+      ? this.keys.find((candidate) => candidate.kid === kid)
+      : (this.keys.length === 1 ? this.keys[0] : null);
+    if (!key) {
+      return { valid: false, error: 'Unknown signing key', code: 'JWT_KEY_NOT_FOUND' };
+    }
+
+    const verifyOptions = this.pick(options, VERIFY_OPTIONS);
+    if (verifyOptions.clockTolerance !== undefined) {
+      verifyOptions.clockTolerance = Math.min(Math.max(Number(verifyOptions.clockTolerance) || 0, 0), MAX_CLOCK_TOLERANCE);
+    }
+
+    try {
+      const payload = jwt.verify(token, this.verificationKey(key), {
+        ...verifyOptions,
+        algorithms: [key.algorithm]
+      });
+      return { valid: true, payload, kid: key.kid };
+    } catch (error) {
+      return {
+        valid: false,
+        error: error.message,
+        code: error.name === 'TokenExpiredError' ? 'JWT_EXPIRED' : 'JWT_INVALID'
+      };
+    }
+  }
+
+  signingKey(key) {
+    return key.algorithm === 'HS256' ? key.secret : key.private_key;
+  }
+
+  verificationKey(key) {
+    return key.algorithm === 'HS256' ? key.secret : key.public_key;
+  }
+
+  pick(options, names) {
+    const picked = {};
+    if (options && typeof options === 'object') {
+      names.forEach((name) => {
+        if (options[name] !== undefined) {
+          picked[name] = options[name];
+        }
+      });
+    }
+    return picked;
+  }
+
+  error(message, code) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = JwtKeyring;
@@ -0,0 +1,268 @@
+const Redis = require('ioredis');
+
+// Drops expired names from a project's key index (run at the start of each script)
+const PRUNE = `
+local expired = redis.call('zrangebyscore', KEYS[2], '-inf', ARGV[#ARGV], 'LIMIT', 0, 1000)
+for _, name in ipairs(expired) do
+  redis.call('zrem', KEYS[1], name)
+  redis.call('zrem', KEYS[2], name)
+end`;
+
+// Stores a value; returns 0 when `nx` is set and the key exists
+const SET_SCRIPT = `${PRUNE}
+local exists = redis.call('exists', KEYS[3]) == 1
+if ARGV[4] == '1' and exists then
+  return 0
+end
+if not exists and redis.call('zcard', KEYS[1]) >= tonumber(ARGV[5]) then
+  return redis.error_reply('KV_QUOTA_EXCEEDED')
+end
+local ttl = tonumber(ARGV[3])
+if ttl > 0 then
+  redis.call('set', KEYS[3], ARGV[2], 'PX', ttl)
+  redis.call('zadd', KEYS[2], tonumber(ARGV[6]) + ttl, ARGV[1])
+else
+  redis.call('set', KEYS[3], ARGV[2])
+  redis.call('zrem', KEYS[2], ARGV[1])
+end
+redis.call('zadd', KEYS[1], 0, ARGV[1])
+return 1`;
+
+// Increments a counter; the TTL applies only when the counter is created
+const INCR_SCRIPT = `${PRUNE}
+local exists = redis.call('exists', KEYS[3]) == 1
+if not exists and redis.call('zcard', KEYS[1]) >= tonumber(ARGV[4]) then
+  return redis.error_reply('KV_QUOTA_EXCEEDED')
+end
+local value = redis.call('incrby', KEYS[3], ARGV[2])
+if not exists then
+  local ttl = tonumber(ARGV[3])
+  if ttl > 0 then
+    redis.call('pexpire', KEYS[3], ttl)
+    redis.call('zadd', KEYS[2], tonumber(ARGV[5]) + ttl, ARGV[1])
+  end
+  redis.call('zadd', KEYS[1], 0, ARGV[1])
+end
+return value`;
+
+const DELETE_SCRIPT = `
+redis.call('zrem', KEYS[1], ARGV[1])
+redis.call('zrem', KEYS[2], ARGV[1])
+return redis.call('del', KEYS[3])`;
+
+// Lists names between two lex bounds
+const LIST_SCRIPT = `${PRUNE}
+return redis.call('zrangebylex', KEYS[1], ARGV[1], ARGV[2], 'LIMIT', 0, ARGV[3])`;
+
+/**
+ * Key-Value Store - Redis-backed state for functions (ctx.kv)
+ *
+ * Keys are namespaced per project. Values are stored as JSON; counters made
+ * with `incr()` are plain integers that `get()` returns as numbers. Each
+ * project has an index of its key names (a sorted set scored 0 for prefix
+ * listing, plus one scored by expiry time), so the key quota and `list()`
+ * never scan the keyspace. All of a project's keys share a hash tag and the
+ * scripts that update the index run atomically.
+ */
+class KeyValueStore {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.options = {
+      redisUrl: options.redisUrl || process.env.REDIS_URL,
+      keyPrefix: 'baas:kv:',
+      maxKeys: parseInt(process.env.FUNCTION_KV_MAX_KEYS) || 10000,
+      maxValueBytes: parseInt(process.env.FUNCTION_KV_MAX_VALUE_BYTES) || 65536,
+      maxKeyBytes: 512,
+      maxListLimit: 1000,
+      ...options
+    };
+
+    this.redis = null;
+    this.ownsRedis = false;
+  }
+
+  /**
+   * Connects to Redis and registers the scripts
+   */
+  async init() {
+    if (this.options.redis) {
+      this.redis = this.options.redis;
+    } else {
+      this.redis = new Redis(this.options.redisUrl);
+      this.ownsRedis = true;
+    }
+
+    this.redis.defineCommand('kvSet', { numberOfKeys: 3, lua: SET_SCRIPT });
+    this.redis.defineCommand('kvIncr', { numberOfKeys: 3, lua: INCR_SCRIPT });
+    this.redis.defineCommand('kvDelete', { numberOfKeys: 3, lua: DELETE_SCRIPT });
+    this.redis.defineCommand('kvList', { numberOfKeys: 2, lua: LIST_SCRIPT });
+
+    this.logger.info('Key-value store initialized', {
+      max_keys: this.options.maxKeys,
+      max_value_bytes: this.options.maxValueBytes
+    });
+  }
+
+  /**
+   * Gets a value
+   *
+   * @param {object} scope - { tenant_id, project_id }
+   * @param {string} key - Key name
+   * @returns {Promise<*>} The value, or null when the key does not exist
+   */
+  async get(scope, key) {
+    const value = await this.client().get(this.keys(scope, key)[2]);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  /**
+   * Stores a value
+   *
+   * @param {object} scope - { tenant_id, project_id }
+   * @param {string} key - Key name
+   * @param {*} value - Any JSON-serializable value
+   * @param {object} options - { ttl: seconds, nx: only if the key does not exist }
+   * @returns {Promise<boolean>} false when `nx` is set and the key exists
+   */
+  async set(scope, key, value, options = {}) {
+    const keys = this.keys(scope, key);
+    const serialized = value === undefined ? undefined : JSON.stringify(value);
+    if (serialized === undefined) {
+      throw KeyValueStore.error('Value must be JSON-serializable', 'KV_INVALID_VALUE');
+    }
+    if (Buffer.byteLength(serialized) > this.options.maxValueBytes) {
+      throw KeyValueStore.error(`Value exceeds the ${this.options.maxValueBytes} byte limit`, 'KV_VALUE_TOO_LARGE');
+    }
+
+    const stored = await this.run(() => this.client().kvSet(
+      ...keys, key, serialized, this.ttl(options.ttl), options.nx ? '1' : '0', this.options.maxKeys, Date.now()
+    ));
+    return stored === 1;
+  }
+
+  /**
+   * Increments an integer counter, creating it at 0
+   *
+   * @param {object} scope - { tenant_id, project_id }
+   * @param {string} key - Key name
+   * @param {number} by - Increment (may be negative)
+   * @param {object} options - { ttl: seconds, set when the counter is created }
+   * @returns {Promise<number>} The new value
+   */
+  async incr(scope, key, by = 1, options = {}) {
+    const keys = this.keys(scope, key);
+    if (!Number.isSafeInteger(by)) {
+      throw KeyValueStore.error('Increment must be an integer', 'KV_INVALID_VALUE');
+    }
+
+    return this.run(() => this.client().kvIncr(
+      ...keys, key, by, this.ttl(options.ttl), this.options.maxKeys, Date.now()
+    ));
+  }
+
+  /**
+   * Deletes a key
+   *
+   * @returns {Promise<boolean>} Whether the key existed
+   */
+  async delete(scope, key) {
+    return (await this.client().kvDelete(...this.keys(scope, key), key)) === 1;
+  }
+
+  /**
+   * Lists key names in lexical order
+   *
+   * @param {object} scope - { tenant_id, project_id }
+   * @param {string} prefix - Only names starting with this
+   * @param {object} options - { limit, cursor: the `cursor` of the previous page }
+   * @returns {Promise<{keys: string[], cursor: string|null}>}
+   */
+  async list(scope, prefix = '', options = {}) {
+    if (typeof prefix !== 'string') {
+      throw KeyValueStore.error('Prefix must be a string', 'KV_INVALID_KEY');
+    }
+    const [index, expiry] = this.keys(scope, null);
+    const limit = Math.max(1, Math.min(parseInt(options.limit) || 100, this.options.maxListLimit));
+
+    // 0xff sorts after every UTF-8 byte, so it bounds all names with the prefix
+    const min = options.cursor ? `(${options.cursor}` : (prefix ? `[${prefix}` : '-');
+    const max = prefix ? Buffer.concat([Buffer.from(`[${prefix}`), Buffer.from([0xff])]) : '+';
+
+    const names = await this.client().kvList(index, expiry, min, max, limit + 1, Date.now());
+    const keys = names.slice(0, limit);
+    return {
+      keys,
+      cursor: names.length > limit ? keys[keys.length - 1] : null
+    };
+  }
+
+  /**
+   * Builds the Redis keys: [name index, expiry index, value]
+   */
+  keys(scope, key) {
+    if (!scope.tenant_id || !scope.project_id) {
+      throw KeyValueStore.error('Key-value access requires a tenant and project context', 'KV_NOT_ALLOWED');
+    }
+    if (key !== null && (typeof key !== 'string' || key === '' || Buffer.byteLength(key) > this.options.maxKeyBytes)) {
+      throw KeyValueStore.error(`Key must be a non-empty string of at most ${this.options.maxKeyBytes} bytes`, 'KV_INVALID_KEY');
+    }
+
+    // The hash tag keeps a project's keys in one cluster slot for the scripts
+    const base = `${this.options.keyPrefix}{${scope.tenant_id}:${scope.project_id}}:`;
+    return [`${base}keys`, `${base}expiry`, `${base}v:${key}`];
+  }
+
+  /**
+   * Converts a TTL in seconds to milliseconds; 0 means no expiry
+   */
+  ttl(seconds) {
+    if (seconds === undefined || seconds === null) {
+      return 0;
+    }
+    if (typeof seconds !== 'number' || !(seconds > 0) || !Number.isFinite(seconds)) {
+      throw KeyValueStore.error('TTL must be a positive number of seconds', 'KV_INVALID_TTL');
+    }
+    return Math.ceil(seconds * 1000);
+  }
+
+  client() {
+    if (!this.redis) {
+      throw KeyValueStore.error('Key-value store is not configured for this service', 'KV_NOT_CONFIGURED', 'Error');
+    }
+    return this.redis;
+  }
+
+  /**
+   * Maps script errors onto error codes
+   */
+  async run(command) {
+    try {
+      return await command();
+    } catch (error) {
+      const message = String(error.message);
+      if (message.includes('KV_QUOTA_EXCEEDED')) {
+        throw KeyValueStore.error(`Project key-value store is limited to ${this.options.maxKeys} keys`, 'KV_QUOTA_EXCEEDED', 'RateLimitError');
+      }
+      if (message.includes('not an integer')) {
+        throw KeyValueStore.error('Value is not an integer', 'KV_NOT_INTEGER');
+      }
+      throw error;
+    }
+  }
+
+  async close() {
+    if (this.ownsRedis && this.redis) {
+      await this.redis.quit();
+    }
+    this.redis = null;
+  }
+
+  static error(message, code, name = 'ValidationError') {
+    const error = new Error(message);
+    error.name = name;
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = KeyValueStore;
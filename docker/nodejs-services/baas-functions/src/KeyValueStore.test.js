@@ -0,0 +1,149 @@
+const Redis = require('ioredis');
+const KeyValueStore = require('./KeyValueStore');
+
+const logger = { info() {}, warn() {}, error() {} };
+const scope = { tenant_id: 'tenant_1', project_id: 'project_1' };
+
+// The scripts need a real Redis; point TEST_REDIS_URL at a disposable database
+const describeRedis = process.env.TEST_REDIS_URL ? describe : describe.skip;
+
+describe('KeyValueStore', () => {
+  describe('validation', () => {
+    const store = new KeyValueStore(logger, { redis: null, maxValueBytes: 16 });
+
+    it('requires a tenant and project', () => {
+      expect(() => store.keys({ tenant_id: 'tenant_1' }, 'a')).toThrow(expect.objectContaining({ code: 'KV_NOT_ALLOWED' }));
+    });
+
+    it('keeps a project\'s keys under one hash tag', () => {
+      expect(store.keys(scope, 'a')).toEqual([
+        'baas:kv:{tenant_1:project_1}:keys',
+        'baas:kv:{tenant_1:project_1}:expiry',
+        'baas:kv:{tenant_1:project_1}:v:a'
+      ]);
+    });
+
+    it('rejects empty and oversized keys', () => {
+      expect(() => store.keys(scope, '')).toThrow(expect.objectContaining({ code: 'KV_INVALID_KEY' }));
+      expect(() => store.keys(scope, 'x'.repeat(513))).toThrow(expect.objectContaining({ code: 'KV_INVALID_KEY' }));
+    });
+
+    it('rejects values that are too large or not serializable', async () => {
+      await expect(store.set(scope, 'a', 'x'.repeat(20))).rejects.toMatchObject({ code: 'KV_VALUE_TOO_LARGE' });
+      await expect(store.set(scope, 'a', undefined)).rejects.toMatchObject({ code: 'KV_INVALID_VALUE' });
+    });
+
+    it('rejects TTLs that are not positive numbers', () => {
+      expect(store.ttl(1.5)).toBe(1500);
+      expect(() => store.ttl(0)).toThrow(expect.objectContaining({ code: 'KV_INVALID_TTL' }));
+      expect(() => store.ttl('10')).toThrow(expect.objectContaining({ code: 'KV_INVALID_TTL' }));
+    });
+
+    it('fails when Redis is not configured', async () => {
+      await expect(store.get(scope, 'a')).rejects.toMatchObject({ code: 'KV_NOT_CONFIGURED' });
+    });
+  });
+
+  describeRedis('scripts', () => {
+    const keyPrefix = `baas:kv:test:${process.pid}:`;
+    let redis;
+    let store;
+
+    beforeAll(() => {
+      redis = new Redis(process.env.TEST_REDIS_URL);
+    });
+
+    beforeEach(async () => {
+      store = new KeyValueStore(logger, { redis, keyPrefix, maxKeys: 3 });
+      await store.init();
+    });
+
+    afterEach(async () => {
+      const keys = await redis.keys(`${keyPrefix}*`);
+      if (keys.length > 0) {
+        await redis.del(...keys);
+      }
+    });
+
+    afterAll(async () => {
+      await redis.quit();
+    });
+
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    it('stores JSON values and honours nx', async () => {
+      expect(await store.set(scope, 'a', { n: 1 })).toBe(true);
+      expect(await store.get(scope, 'a')).toEqual({ n: 1 });
+      expect(await store.set(scope, 'a', { n: 2 }, { nx: true })).toBe(false);
+      expect(await store.get(scope, 'a')).toEqual({ n: 1 });
+      expect(await store.get(scope, 'missing')).toBeNull();
+    });
+
+    it('enforces the key quota for new keys only', async () => {
+      await store.set(scope, 'a', 1);
+      await store.set(scope, 'b', 1);
+      await store.incr(scope, 'c');
+      await expect(store.set(scope, 'd', 1)).rejects.toMatchObject({ name: 'RateLimitError', code: 'KV_QUOTA_EXCEEDED' });
+      await expect(store.incr(scope, 'd')).rejects.toMatchObject({ code: 'KV_QUOTA_EXCEEDED' });
+      expect(await store.set(scope, 'a', 2)).toBe(true);
+
+      // Quotas are per project
+      expect(await store.set({ ...scope, project_id: 'project_2' }, 'd', 1)).toBe(true);
+    });
+
+    it('prunes expired keys from the index and the quota', async () => {
+      await store.set(scope, 'a', 1, { ttl: 0.05 });
+      await store.set(scope, 'b', 1);
+      await store.set(scope, 'c', 1);
+      await sleep(100);
+
+      expect((await store.list(scope)).keys).toEqual(['b', 'c']);
+      expect(await store.set(scope, 'd', 1)).toBe(true);
+    });
+
+    it('clears the expiry when a key is set again without a TTL', async () => {
+      await store.set(scope, 'a', 1, { ttl: 0.05 });
+      await store.set(scope, 'a', 2);
+      await sleep(100);
+
+      expect(await store.get(scope, 'a')).toBe(2);
+      expect((await store.list(scope)).keys).toEqual(['a']);
+    });
+
+    it('creates counters at 0 and sets their TTL only once', async () => {
+      expect(await store.incr(scope, 'hits', 1, { ttl: 60 })).toBe(1);
+      const [, , valueKey] = store.keys(scope, 'hits');
+      const ttl = await redis.pttl(valueKey);
+      await sleep(20);
+
+      expect(await store.incr(scope, 'hits', -3, { ttl: 3600 })).toBe(-2);
+      expect(await redis.pttl(valueKey)).toBeLessThan(ttl);
+      expect(await store.get(scope, 'hits')).toBe(-2);
+    });
+
+    it('refuses to increment values that are not integers', async () => {
+      await store.set(scope, 'name', 'x');
+      await expect(store.incr(scope, 'name')).rejects.toMatchObject({ code: 'KV_NOT_INTEGER' });
+    });
+
+    it('deletes keys and their index entries', async () => {
+      await store.set(scope, 'a', 1, { ttl: 60 });
+      expect(await store.delete(scope, 'a')).toBe(true);
+      expect(await store.delete(scope, 'a')).toBe(false);
+      expect((await store.list(scope)).keys).toEqual([]);
+      expect(await redis.zcard(store.keys(scope, null)[1])).toBe(0);
+    });
+
+    it('lists by prefix in pages', async () => {
+      store.options.maxKeys = 10;
+      for (const key of ['user:1', 'user:2', 'user:3', 'users', 'zone']) {
+        await store.set(scope, key, 1);
+      }
+
+      const first = await store.list(scope, 'user:', { limit: 2 });
+      expect(first).toEqual({ keys: ['user:1', 'user:2'], cursor: 'user:2' });
+      expect(await store.list(scope, 'user:', { limit: 2, cursor: first.cursor })).toEqual({ keys: ['user:3'], cursor: null });
+      expect((await store.list(scope, 'user')).keys).toEqual(['user:1', 'user:2', 'user:3', 'users']);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * LRU Cache - Bounded map that evicts the least recently used entry
+ *
+ * Relies on Map keeping insertion order: reading an entry re-inserts it at the
+ * end, so the first key is always the least recently used.
+ */
+class LruCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 100;
+    this.entries = new Map();
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0
+    };
+  }
+
+  /**
+   * Gets an entry and marks it as recently used
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      this.stats.misses++;
+      return undefined;
+    }
+
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    this.stats.hits++;
+    return value;
+  }
+
+  /**
+   * Gets an entry without touching its position or the statistics
+   */
+  peek(key) {
+    return this.entries.get(key);
+  }
+
+  /**
+   * Adds or replaces an entry, evicting the least recently used ones if full
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+    return this;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Lists keys from least to most recently used
+   */
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Gets cache statistics
+   */
+  getStats() {
+    return {
+      size: this.entries.size,
+      max_entries: this.maxEntries,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = LruCache;
@@ -0,0 +1,236 @@
+const client = require('prom-client');
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+const REQUEST_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Error types reported as they are; functions can name their errors anything,
+// so every other name is reported as `Error` to bound the label's cardinality
+const ERROR_TYPES = [
+  'TimeoutError',
+  'MemoryLimitError',
+  'ValidationError',
+  'RateLimitError',
+  'NotFoundError',
+  'EgressPolicyError',
+  'ResponseTooLargeError',
+  'ExecutionError',
+  'TypeError',
+  'ReferenceError',
+  'RangeError',
+  'SyntaxError'
+];
+
+/**
+ * Metrics - Prometheus metrics for function execution and realtime
+ *
+ * Counters and histograms are updated by the components as events happen;
+ * gauges read the components' stats at scrape time, so `track()` must be given
+ * every component that should be reported. Served by `GET /metrics`.
+ */
+class Metrics {
+  constructor(options = {}) {
+    this.registry = options.registry || new client.Registry();
+    this.components = {};
+    const prefix = options.prefix || 'baas_';
+    const registers = [this.registry];
+    const self = this;
+
+    if (options.defaultMetrics !== false) {
+      client.collectDefaultMetrics({ register: this.registry, prefix });
+    }
+
+    // Function execution
+    this.executions = new client.Counter({
+      name: `${prefix}function_executions_total`,
+      help: 'Function executions by outcome',
+      labelNames: ['project_id', 'function_id', 'status'],
+      registers
+    });
+
+    this.executionDuration = new client.Histogram({
+      name: `${prefix}function_execution_duration_seconds`,
+      help: 'Function execution time, excluding time spent waiting for a slot',
+      labelNames: ['project_id', 'function_id'],
+      buckets: DURATION_BUCKETS,
+      registers
+    });
+
+    this.executionErrors = new client.Counter({
+      name: `${prefix}function_errors_total`,
+      help: 'Failed function executions by error type',
+      labelNames: ['project_id', 'function_id', 'error_type'],
+      registers
+    });
+
+    this.timeouts = new client.Counter({
+      name: `${prefix}function_timeouts_total`,
+      help: 'Executions stopped for exceeding their timeout',
+      labelNames: ['project_id', 'function_id'],
+      registers
+    });
+
+    this.rejections = new client.Counter({
+      name: `${prefix}function_rejections_total`,
+      help: 'Executions rejected by the concurrency limits',
+      labelNames: ['project_id', 'function_id'],
+      registers
+    });
+
+    new client.Gauge({
+      name: `${prefix}function_workers`,
+      help: 'Function worker processes by state',
+      labelNames: ['state'],
+      registers,
+      collect() {
+        const executor = self.components.executor;
+        if (executor) {
+          const stats = executor.getPoolStats();
+          this.set({ state: 'busy' }, stats.busy);
+          this.set({ state: 'idle' }, stats.idle);
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: `${prefix}function_queue_depth`,
+      help: 'Executions waiting, for a concurrency slot or for a worker',
+      labelNames: ['queue'],
+      registers,
+      collect() {
+        const executor = self.components.executor;
+        if (executor) {
+          this.set({ queue: 'concurrency' }, executor.getConcurrencyStats().queued);
+          this.set({ queue: 'workers' }, executor.getPoolStats().queued);
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: `${prefix}jobs_backlog`,
+      help: 'Async jobs not yet finished, queued or waiting to be retried',
+      labelNames: ['state'],
+      registers,
+      async collect() {
+        const jobs = self.components.jobs;
+        if (jobs) {
+          const backlog = await jobs.getBacklog();
+          this.set({ state: 'queued' }, backlog.queued);
+          this.set({ state: 'retrying' }, backlog.retrying);
+        }
+      }
+    });
+
+    // Realtime
+    new client.Gauge({
+      name: `${prefix}realtime_connections`,
+      help: 'Open WebSocket connections',
+      registers,
+      collect() {
+        if (self.components.realtime) {
+          this.set(self.components.realtime.connections.size);
+        }
+      }
+    });
+
+    new client.Gauge({
+      name: `${prefix}realtime_channels`,
+      help: 'Channels with at least one subscriber',
+      registers,
+      collect() {
+        if (self.components.realtime) {
+          this.set(self.components.realtime.subscriptions.size);
+        }
+      }
+    });
+
+    this.joins = new client.Counter({
+      name: `${prefix}realtime_joins_total`,
+      help: 'Channel join requests by result',
+      labelNames: ['result'],
+      registers
+    });
+
+    this.messages = new client.Counter({
+      name: `${prefix}realtime_messages_total`,
+      help: 'Change and broadcast messages fanned out to subscribers',
+      labelNames: ['event'],
+      registers
+    });
+
+    this.drupalRequests = new client.Histogram({
+      name: `${prefix}realtime_drupal_request_duration_seconds`,
+      help: 'Latency of realtime auth, subscribe and filter calls to Drupal',
+      labelNames: ['call', 'outcome'],
+      buckets: REQUEST_BUCKETS,
+      registers
+    });
+  }
+
+  /**
+   * Sets the components gauges are read from ({ executor, jobs, realtime })
+   */
+  track(components) {
+    Object.assign(this.components, components);
+  }
+
+  /**
+   * Records a finished execution from its result
+   */
+  recordExecution(baasContext, result) {
+    const labels = {
+      project_id: baasContext.project_id || 'unknown',
+      function_id: baasContext.function_id || 'unknown'
+    };
+
+    this.executions.inc({ ...labels, status: result.status === 'error' ? 'error' : 'success' });
+    this.executionDuration.observe(labels, (result.execution_time_ms || 0) / 1000);
+
+    if (result.status === 'error') {
+      this.executionErrors.inc({ ...labels, error_type: ERROR_TYPES.includes(result.error_type) ? result.error_type : 'Error' });
+      if (result.error_type === 'TimeoutError') {
+        this.timeouts.inc(labels);
+      }
+    }
+  }
+
+  /**
+   * Records an execution rejected by the concurrency limits
+   */
+  recordRejection(baasContext) {
+    this.rejections.inc({
+      project_id: baasContext.project_id || 'unknown',
+      function_id: baasContext.function_id || 'unknown'
+    });
+  }
+
+  /**
+   * Times a call to Drupal and records its latency and outcome
+   *
+   * @param {string} call - auth, subscribe or filter
+   * @param {Function} fn - Performs the request
+   */
+  async timeDrupalRequest(call, fn) {
+    const end = this.drupalRequests.startTimer({ call });
+    try {
+      const response = await fn();
+      end({ outcome: response && response.data && response.data.success ? 'success' : 'rejected' });
+      return response;
+    } catch (error) {
+      end({ outcome: 'error' });
+      throw error;
+    }
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  /**
+   * Renders all metrics in the Prometheus exposition format
+   */
+  render() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = Metrics;
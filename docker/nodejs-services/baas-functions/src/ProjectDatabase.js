@@ -0,0 +1,278 @@
+const { Pool } = require('pg');
+const SqlGuard = require('./SqlGuard');
+
+// SQLSTATE codes reported with their own error code
+const SQL_ERROR_CODES = {
+  '57014': 'SQL_TIMEOUT',
+  '25006': 'SQL_READ_ONLY',
+  '42P01': 'SQL_TABLE_NOT_FOUND',
+  '42501': 'SQL_PERMISSION_DENIED'
+};
+
+/**
+ * Project Database - Runs functions' SQL against their project's tables
+ *
+ * Statements go through SqlGuard and run on a pooled connection inside a
+ * transaction with a local statement_timeout and an empty search_path.
+ * `query()` is read-only and returns at most `maxRows` rows; writes go through
+ * `openTransaction()`, whose handle the caller must commit or roll back.
+ *
+ * Raw SQL only runs on its own connection (`FUNCTION_SQL_DATABASE_URL`), never
+ * on the service's `DATABASE_URL`, and the first connection checks that its
+ * role is not a superuser and cannot bypass row security or create roles. Use
+ * a role that can only read and write the project tables: the guard confines
+ * statements, the role is what the database enforces.
+ */
+class ProjectDatabase {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.options = {
+      connectionString: options.connectionString || process.env.FUNCTION_SQL_DATABASE_URL,
+      schema: options.schema || process.env.FUNCTION_SQL_SCHEMA || 'public',
+      poolSize: parseInt(process.env.FUNCTION_SQL_POOL_SIZE) || 10,
+      statementTimeout: parseInt(process.env.FUNCTION_SQL_STATEMENT_TIMEOUT) || 5000,
+      maxStatementTimeout: parseInt(process.env.FUNCTION_SQL_MAX_STATEMENT_TIMEOUT) || 30000,
+      maxRows: parseInt(process.env.FUNCTION_SQL_MAX_ROWS) || 1000,
+      connectionTimeout: 10000,
+      ...options
+    };
+
+    this.pool = null;
+    // Outcome of the role check, made once on the first connection
+    this.roleCheck = null;
+  }
+
+  get configured() {
+    return Boolean(this.options.connectionString) && this.options.connectionString !== process.env.DATABASE_URL;
+  }
+
+  getPool() {
+    if (!this.configured) {
+      throw ProjectDatabase.error(
+        'Raw SQL is not configured for this service; set FUNCTION_SQL_DATABASE_URL to a dedicated low-privilege role',
+        'SQL_NOT_CONFIGURED',
+        'Error'
+      );
+    }
+
+    if (!this.pool) {
+      this.pool = new Pool({
+        connectionString: this.options.connectionString,
+        max: this.options.poolSize,
+        connectionTimeoutMillis: this.options.connectionTimeout,
+        idleTimeoutMillis: 30000,
+        application_name: 'baas-functions'
+      });
+      // Idle clients that lose their connection must not crash the process
+      this.pool.on('error', (error) => {
+        this.logger.error('Function SQL pool error', { error: error.message });
+      });
+    }
+    return this.pool;
+  }
+
+  /**
+   * Runs a read-only query
+   *
+   * @param {object} scope - { tenant_id, project_id }
+   * @param {string} sql - SELECT statement with $1, $2... placeholders
+   * @param {Array} params - Placeholder values
+   * @param {object} options - { timeout, maxRows }
+   * @returns {Promise<{rows: object[], rowCount: number, fields: string[], truncated: boolean}>}
+   */
+  async query(scope, sql, params = [], options = {}) {
+    const statement = this.guard(scope).check(sql, 'read');
+    const values = this.normalizeParams(params);
+    const maxRows = this.rowLimit(options.maxRows);
+
+    const client = await this.begin(true);
+    try {
+      await this.setTimeout(client, options.timeout);
+      // One extra row tells whether the result was cut off
+      const result = await client.query(`SELECT * FROM (\n${statement}\n) AS baas_query LIMIT ${maxRows + 1}`, values);
+      await client.query('COMMIT');
+      client.release();
+      return this.formatResult(result, maxRows);
+    } catch (error) {
+      await this.abort(client);
+      throw this.queryError(error);
+    }
+  }
+
+  /**
+   * Opens a read-write transaction
+   *
+   * @param {object} scope - { tenant_id, project_id }
+   * @returns {Promise<{query: Function, commit: Function, rollback: Function}>}
+   */
+  async openTransaction(scope) {
+    const guard = this.guard(scope);
+    const client = await this.begin(false);
+    let closed = false;
+
+    const end = async (command) => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      try {
+        await client.query(command);
+        client.release();
+      } catch (error) {
+        await this.abort(client);
+        throw this.queryError(error);
+      }
+    };
+
+    return {
+      query: async (sql, params = [], options = {}) => {
+        if (closed) {
+          throw ProjectDatabase.error('Transaction is already closed', 'SQL_TRANSACTION_CLOSED');
+        }
+        const statement = guard.check(sql, 'write');
+        const values = this.normalizeParams(params);
+
+        try {
+          await this.setTimeout(client, options.timeout);
+          const result = await client.query(statement, values);
+          return this.formatResult(result, this.rowLimit(options.maxRows));
+        } catch (error) {
+          throw this.queryError(error);
+        }
+      },
+      commit: () => end('COMMIT'),
+      rollback: () => end('ROLLBACK')
+    };
+  }
+
+  guard(scope) {
+    return new SqlGuard(scope.tenant_id, scope.project_id, this.options.schema);
+  }
+
+  async begin(readOnly) {
+    let client;
+    try {
+      client = await this.getPool().connect();
+    } catch (error) {
+      throw this.queryError(error);
+    }
+
+    try {
+      await this.checkRole(client);
+      await client.query(readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+      // Unqualified names resolve nowhere; SqlGuard qualifies the project tables
+      await client.query("SELECT set_config('search_path', '', true)");
+    } catch (error) {
+      client.release(true);
+      throw this.queryError(error);
+    }
+    return client;
+  }
+
+  /**
+   * Refuses to run statements as a privileged role
+   *
+   * The result is kept, so a misconfigured service keeps failing with
+   * SQL_NOT_CONFIGURED instead of checking on every statement.
+   */
+  checkRole(client) {
+    if (!this.roleCheck) {
+      this.roleCheck = client.query(
+        'SELECT current_user AS name, rolsuper, rolbypassrls, rolcreaterole FROM pg_catalog.pg_roles WHERE rolname = current_user'
+      ).then((result) => {
+        const role = result.rows[0];
+        if (!role || role.rolsuper || role.rolbypassrls || role.rolcreaterole) {
+          this.logger.error('Refusing raw SQL with a privileged database role', { role: role && role.name });
+          throw ProjectDatabase.error(
+            `Raw SQL is not configured for this service; role ${role ? role.name : 'unknown'} is privileged`,
+            'SQL_NOT_CONFIGURED',
+            'Error'
+          );
+        }
+      }, (error) => {
+        // A failed lookup is retried on the next connection
+        this.roleCheck = null;
+        throw error;
+      });
+    }
+    return this.roleCheck;
+  }
+
+  async setTimeout(client, timeout) {
+    const requested = parseInt(timeout) || this.options.statementTimeout;
+    const ms = Math.max(1, Math.min(requested, this.options.maxStatementTimeout));
+    await client.query("SELECT set_config('statement_timeout', $1, true)", [String(ms)]);
+  }
+
+  /**
+   * Rolls back and releases a client; one that cannot roll back is discarded
+   */
+  async abort(client) {
+    try {
+      await client.query('ROLLBACK');
+      client.release();
+    } catch (error) {
+      client.release(true);
+    }
+  }
+
+  rowLimit(maxRows) {
+    const requested = parseInt(maxRows) || this.options.maxRows;
+    return Math.max(1, Math.min(requested, this.options.maxRows));
+  }
+
+  normalizeParams(params) {
+    if (!Array.isArray(params)) {
+      throw ProjectDatabase.error('SQL parameters must be an array', 'SQL_INVALID_PARAMS');
+    }
+    // Buffers reach the main thread as plain Uint8Arrays
+    return params.map((value) => (ArrayBuffer.isView(value) && !Buffer.isBuffer(value)
+      ? Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+      : value));
+  }
+
+  formatResult(result, maxRows) {
+    const rows = result.rows || [];
+    return {
+      rows: rows.slice(0, maxRows),
+      rowCount: result.command === 'SELECT' ? Math.min(rows.length, maxRows) : result.rowCount,
+      fields: (result.fields || []).map((field) => field.name),
+      truncated: rows.length > maxRows
+    };
+  }
+
+  queryError(error) {
+    if (error.code && /^SQL_/.test(error.code)) {
+      return error;
+    }
+
+    // Errors reported by the server carry a severity and SQLSTATE; anything else is a connection failure
+    const sqlState = error.severity && error.code ? error.code : null;
+    const wrapped = ProjectDatabase.error(
+      sqlState ? error.message : `Database unavailable: ${error.message}`,
+      sqlState ? (SQL_ERROR_CODES[sqlState] || 'SQL_ERROR') : 'SQL_UNAVAILABLE',
+      'DatabaseError'
+    );
+    if (sqlState) {
+      wrapped.details = { sqlstate: sqlState };
+    }
+    return wrapped;
+  }
+
+  async close() {
+    if (this.pool) {
+      const pool = this.pool;
+      this.pool = null;
+      await pool.end();
+    }
+  }
+
+  static error(message, code, name = 'ValidationError') {
+    const error = new Error(message);
+    error.name = name;
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = ProjectDatabase;
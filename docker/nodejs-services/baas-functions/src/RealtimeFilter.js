@@ -0,0 +1,221 @@
+const EVENT_TYPES = ['INSERT', 'UPDATE', 'DELETE'];
+const OPERATORS = ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'in', 'nin'];
+
+/**
+ * Realtime Filter - Decides in-process which change notifications a channel
+ * subscriber receives
+ *
+ * Compiled when a channel is joined from the subscription's filter and event
+ * types, then given the row access rules Drupal returns for the subscriber
+ * (the same checks as its /realtime/filter endpoint): rows of another project
+ * or tenant, and other users' rows of user-private tables, are dropped, and
+ * sensitive fields are removed unless the subscriber may view them.
+ *
+ * Filters are a Supabase-style string (`status=eq.active`,
+ * `id=in.(1,2,3)`) or an object mapping columns to a value (equality) or to
+ * operators (`{ total: { gte: 100 } }`).
+ */
+class RealtimeFilter {
+  /**
+   * @param {string|object|null} filters - Row filter
+   * @param {string[]} eventTypes - Change types to deliver; all when empty
+   * @throws {Error} INVALID_FILTER when the filter cannot be parsed
+   */
+  constructor(filters = null, eventTypes = null) {
+    this.conditions = RealtimeFilter.parse(filters);
+    this.eventTypes = Array.isArray(eventTypes) && eventTypes.length > 0
+      ? eventTypes.map((type) => String(type).toUpperCase())
+      : EVENT_TYPES;
+    this.access = null;
+  }
+
+  /**
+   * Sets the subscriber's row access rules; until then no rows are delivered
+   *
+   * @param {object} access - { project_id, tenant_id, user_id, user_private, sensitive_fields }
+   */
+  authorize(access) {
+    this.access = access || null;
+  }
+
+  /**
+   * Filters a notification payload
+   *
+   * @param {object} payload - `realtime_changes` or `realtime_broadcast` payload
+   * @returns {object|null} The payload to send, or null when it is filtered out
+   */
+  apply(payload) {
+    const type = String(payload.type || '').toUpperCase();
+    if (EVENT_TYPES.includes(type) && !this.eventTypes.includes(type)) {
+      return null;
+    }
+
+    const record = payload.record || null;
+    const row = record || payload.old_record || null;
+    if (row && !this.allows(row)) {
+      return null;
+    }
+
+    if (this.conditions.length > 0) {
+      if (!row || !this.conditions.every((condition) => RealtimeFilter.test(condition, row))) {
+        return null;
+      }
+    }
+
+    const hidden = (this.access && this.access.sensitive_fields) || [];
+    if (hidden.length === 0) {
+      return payload;
+    }
+    return {
+      ...payload,
+      ...(record && { record: RealtimeFilter.omit(record, hidden) }),
+      ...(payload.old_record && { old_record: RealtimeFilter.omit(payload.old_record, hidden) })
+    };
+  }
+
+  /**
+   * Row level security, as in Drupal's RealtimePermissionChecker
+   */
+  allows(record) {
+    const access = this.access;
+    if (!access) {
+      return false;
+    }
+
+    const same = (a, b) => String(a) === String(b);
+    if (record.project_id !== undefined && record.project_id !== null && !same(record.project_id, access.project_id)) {
+      return false;
+    }
+    if (record.user_id !== undefined && record.user_id !== null && access.user_private) {
+      return same(record.user_id, access.user_id);
+    }
+    if (record.tenant_id !== undefined && record.tenant_id !== null) {
+      return same(record.tenant_id, access.tenant_id);
+    }
+    return true;
+  }
+
+  /**
+   * Parses a filter into [{ column, operator, expected }]
+   */
+  static parse(filters) {
+    if (filters === null || filters === undefined || filters === '') {
+      return [];
+    }
+
+    if (typeof filters === 'string') {
+      const match = /^([^=]+)=([a-z]+)\.(.*)$/s.exec(filters);
+      if (!match || !OPERATORS.includes(match[2])) {
+        throw RealtimeFilter.error(`Invalid filter: ${filters}`);
+      }
+      const [, column, operator, value] = match;
+      return [{
+        column: column.trim(),
+        operator,
+        expected: ['in', 'nin'].includes(operator) ? RealtimeFilter.parseList(value) : value
+      }];
+    }
+
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      throw RealtimeFilter.error('Filter must be a string or an object');
+    }
+
+    const conditions = [];
+    Object.entries(filters).forEach(([column, condition]) => {
+      const operators = condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+        ? condition
+        : { eq: condition };
+
+      Object.entries(operators).forEach(([operator, expected]) => {
+        if (!OPERATORS.includes(operator) || (['in', 'nin'].includes(operator) && !Array.isArray(expected))) {
+          throw RealtimeFilter.error(`Invalid filter operator for ${column}: ${operator}`);
+        }
+        conditions.push({ column, operator, expected });
+      });
+    });
+    return conditions;
+  }
+
+  /**
+   * Parses an `in` list: (a,b,"c,d")
+   */
+  static parseList(value) {
+    const match = /^\((.*)\)$/s.exec(value);
+    if (!match) {
+      throw RealtimeFilter.error(`Invalid filter list: ${value}`);
+    }
+
+    const items = [];
+    const pattern = /\s*(?:"((?:[^"\\]|\\.)*)"|([^,]*))\s*(,|$)/gy;
+    let part;
+    while (pattern.lastIndex < match[1].length && (part = pattern.exec(match[1]))) {
+      items.push(part[1] !== undefined ? part[1].replace(/\\(.)/g, '$1') : part[2].trim());
+    }
+    return items;
+  }
+
+  static test({ column, operator, expected }, row) {
+    const value = row[column];
+    switch (operator) {
+      case 'eq':
+        return RealtimeFilter.compare(value, expected) === 0;
+      case 'neq':
+        return RealtimeFilter.compare(value, expected) !== 0;
+      case 'in':
+        return expected.some((item) => RealtimeFilter.compare(value, item) === 0);
+      case 'nin':
+        return !expected.some((item) => RealtimeFilter.compare(value, item) === 0);
+      case 'gt':
+        return RealtimeFilter.compare(value, expected) > 0;
+      case 'gte':
+        return RealtimeFilter.compare(value, expected) >= 0;
+      case 'lt':
+        return RealtimeFilter.compare(value, expected) < 0;
+      case 'lte':
+        return RealtimeFilter.compare(value, expected) <= 0;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Compares a row value with a filter value; NaN when either is null
+   *
+   * Values from filter strings are text, so they are read as the row value's
+   * type (numbers and booleans); anything else compares as text.
+   */
+  static compare(value, expected) {
+    if (value === null || value === undefined || expected === null || expected === undefined) {
+      return (value === null || value === undefined) && (expected === null || expected === undefined || expected === 'null') ? 0 : NaN;
+    }
+
+    let target = expected;
+    if (typeof value === 'number' && typeof target === 'string' && target.trim() !== '' && !Number.isNaN(Number(target))) {
+      target = Number(target);
+    } else if (typeof value === 'boolean' && (target === 'true' || target === 'false')) {
+      target = target === 'true';
+    }
+
+    const [a, b] = typeof value === typeof target && typeof value !== 'object'
+      ? [value, target]
+      : [typeof value === 'object' ? JSON.stringify(value) : String(value), typeof target === 'object' ? JSON.stringify(target) : String(target)];
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+
+  static omit(record, fields) {
+    const copy = { ...record };
+    fields.forEach((field) => {
+      delete copy[field];
+    });
+    return copy;
+  }
+
+  static error(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    error.code = 'INVALID_FILTER';
+    return error;
+  }
+}
+
+module.exports = RealtimeFilter;
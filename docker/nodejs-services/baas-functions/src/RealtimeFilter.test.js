@@ -0,0 +1,97 @@
+const RealtimeFilter = require('./RealtimeFilter');
+
+describe('RealtimeFilter', () => {
+  const access = { project_id: 'project_1', tenant_id: 'tenant_1', user_id: 7, user_private: false, sensitive_fields: [] };
+  const change = (record, extra = {}) => ({ type: 'INSERT', table: 'orders', record, ...extra });
+
+  const filter = (filters, eventTypes, rules = access) => {
+    const compiled = new RealtimeFilter(filters, eventTypes);
+    compiled.authorize(rules);
+    return compiled;
+  };
+
+  describe('row access', () => {
+    it('delivers nothing until authorized', () => {
+      expect(new RealtimeFilter().apply(change({ id: 1 }))).toBeNull();
+    });
+
+    it('drops rows of other projects and tenants', () => {
+      const compiled = filter();
+      expect(compiled.apply(change({ id: 1, project_id: 'project_1' }))).not.toBeNull();
+      expect(compiled.apply(change({ id: 1, project_id: 'project_2' }))).toBeNull();
+      expect(compiled.apply(change({ id: 1, tenant_id: 'tenant_2' }))).toBeNull();
+    });
+
+    it('keeps other users\' rows of user-private tables out', () => {
+      const compiled = filter(null, null, { ...access, user_private: true });
+      expect(compiled.apply(change({ id: 1, user_id: '7' }))).not.toBeNull();
+      expect(compiled.apply(change({ id: 1, user_id: 8 }))).toBeNull();
+      expect(filter().apply(change({ id: 1, user_id: 8 }))).not.toBeNull();
+    });
+
+    it('checks the old record of deletes', () => {
+      const compiled = filter();
+      expect(compiled.apply({ type: 'DELETE', record: null, old_record: { id: 1, project_id: 'project_2' } })).toBeNull();
+    });
+
+    it('removes sensitive fields from both records', () => {
+      const compiled = filter(null, null, { ...access, sensitive_fields: ['password'] });
+      const result = compiled.apply({ type: 'UPDATE', record: { id: 1, password: 'new' }, old_record: { id: 1, password: 'old' } });
+      expect(result.record).toEqual({ id: 1 });
+      expect(result.old_record).toEqual({ id: 1 });
+    });
+  });
+
+  describe('event types', () => {
+    it('delivers only the requested change types', () => {
+      const compiled = filter(null, ['insert']);
+      expect(compiled.apply(change({ id: 1 }))).not.toBeNull();
+      expect(compiled.apply(change({ id: 1 }, { type: 'UPDATE' }))).toBeNull();
+    });
+
+    it('does not filter broadcasts by change type', () => {
+      expect(filter(null, ['INSERT']).apply({ type: 'broadcast', event: 'ping' })).not.toBeNull();
+    });
+  });
+
+  describe('string filters', () => {
+    it('reads values as the row value\'s type', () => {
+      expect(filter('total=gte.100').apply(change({ total: 150 }))).not.toBeNull();
+      expect(filter('total=gte.100').apply(change({ total: 20 }))).toBeNull();
+      expect(filter('done=eq.true').apply(change({ done: true }))).not.toBeNull();
+      expect(filter('status=eq.paid').apply(change({ status: 'open' }))).toBeNull();
+    });
+
+    it('parses in and nin lists, quoted items included', () => {
+      expect(filter('id=in.(1,2,3)').apply(change({ id: 2 }))).not.toBeNull();
+      expect(filter('id=nin.(1,2,3)').apply(change({ id: 2 }))).toBeNull();
+      expect(filter('name=in.("a,b",c)').apply(change({ name: 'a,b' }))).not.toBeNull();
+    });
+
+    it('matches null only with eq.null', () => {
+      expect(filter('deleted_at=eq.null').apply(change({ deleted_at: null }))).not.toBeNull();
+      expect(filter('total=gt.1').apply(change({ total: null }))).toBeNull();
+    });
+
+    it('rejects unknown operators and malformed filters', () => {
+      expect(() => new RealtimeFilter('status=like.paid')).toThrow(expect.objectContaining({ code: 'INVALID_FILTER' }));
+      expect(() => new RealtimeFilter('status')).toThrow(expect.objectContaining({ code: 'INVALID_FILTER' }));
+      expect(() => new RealtimeFilter('id=in.1,2')).toThrow(expect.objectContaining({ code: 'INVALID_FILTER' }));
+    });
+  });
+
+  describe('object filters', () => {
+    it('combines equality and operators on several columns', () => {
+      const compiled = filter({ status: 'paid', total: { gte: 100, lt: 500 } });
+      expect(compiled.apply(change({ status: 'paid', total: 200 }))).not.toBeNull();
+      expect(compiled.apply(change({ status: 'paid', total: 600 }))).toBeNull();
+      expect(compiled.apply(change({ status: 'open', total: 200 }))).toBeNull();
+    });
+
+    it('rejects unknown operators and in without a list', () => {
+      expect(() => new RealtimeFilter({ total: { like: 1 } })).toThrow(expect.objectContaining({ code: 'INVALID_FILTER' }));
+      expect(() => new RealtimeFilter({ id: { in: 1 } })).toThrow(expect.objectContaining({ code: 'INVALID_FILTER' }));
+      expect(() => new RealtimeFilter(['status'])).toThrow(expect.objectContaining({ code: 'INVALID_FILTER' }));
+    });
+  });
+});
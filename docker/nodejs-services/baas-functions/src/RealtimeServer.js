@@ -1,11 +1,34 @@
+const crypto = require('crypto');
+const os = require('os');
 const WebSocket = require('ws');
 const { Client } = require('pg');
 const Redis = require('ioredis');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
+const Tracing = require('./Tracing');
+const RealtimeFilter = require('./RealtimeFilter');
+const ChangeTriggers = require('./ChangeTriggers');
+
+// 仅当键仍属于本节点时续期/释放
+const RENEW_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
 
 /**
  * BaaS实时WebSocket服务器
+ *
+ * 配置Redis时以集群方式运行：客户端广播、在线状态变更和数据库通知经Redis
+ * pub/sub 发给所有节点，由各节点转发给本地连接；只有持有监听租约的节点
+ * LISTEN数据库通知并执行清理任务。每个节点在内存中保存全部在线状态，
+ * 启动时向其他节点请求同步，节点心跳超时后移除其在线状态。
  */
 class RealtimeServer {
   constructor(logger, options = {}) {
@@ -16,6 +39,14 @@ class RealtimeServer {
       jwtSecret: options.jwtSecret || process.env.JWT_SECRET,
       pgConnectionString: options.pgConnectionString || process.env.DATABASE_URL,
       redisUrl: options.redisUrl || process.env.REDIS_URL,
+      maxBroadcastBytes: parseInt(process.env.REALTIME_MAX_BROADCAST_BYTES) || 65536,
+      maxEventNameLength: 255,
+      maxPresenceBytes: parseInt(process.env.REALTIME_MAX_PRESENCE_BYTES) || 4096,
+      clusterChannel: 'baas:realtime:cluster',
+      listenerKey: 'baas:realtime:listener',
+      listenerTtl: parseInt(process.env.REALTIME_LISTENER_TTL) || 10000,
+      nodeHeartbeatInterval: 5000,
+      nodeTimeout: 15000,
       ...options
     };
 
@@ -25,15 +56,31 @@ class RealtimeServer {
     // 连接管理
     this.connections = new Map();
     this.subscriptions = new Map();
+
+    // postgres_changes 绑定：表频道 -> 绑定了该表的连接ID
+    this.changeSubscribers = new Map();
+    this.nextBindingId = 1;
+
+    // 在线状态（含其他节点）：项目ID:频道 -> { projectId, topic, entries: 连接ID -> { key, ref, meta, node } }
+    this.presence = new Map();
     
     // 数据库连接
     this.pgClient = null;
     this.pgListener = null;
     this.redis = null;
+    this.redisSubscriber = null;
+
+    // 集群：本节点ID、其他节点最后活跃时间、是否持有通知转发租约
+    this.nodeId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.nodes = new Map();
+    this.isListener = false;
+    this.electing = false;
     
     // 心跳检测
     this.heartbeatInterval = null;
     this.cleanupInterval = null;
+    this.leaseInterval = null;
+    this.nodeHeartbeatTimer = null;
   }
 
   /**
@@ -94,7 +141,21 @@ class RealtimeServer {
   async initRedis() {
     if (this.options.redisUrl) {
       this.redis = new Redis(this.options.redisUrl);
-      this.logger.info('Redis connection established');
+      this.redis.defineCommand('realtimeRenew', { numberOfKeys: 1, lua: RENEW_SCRIPT });
+      this.redis.defineCommand('realtimeRelease', { numberOfKeys: 1, lua: RELEASE_SCRIPT });
+
+      // 订阅需要单独的连接
+      this.redisSubscriber = this.redis.duplicate();
+      this.redisSubscriber.on('message', (channel, message) => {
+        this.handleClusterMessage(message);
+      });
+      await this.redisSubscriber.subscribe(this.options.clusterChannel);
+
+      // 向其他节点请求当前的在线状态
+      this.publish({ kind: 'sync_request' });
+      this.startNodeHeartbeat();
+
+      this.logger.info('Redis connection established', { nodeId: this.nodeId });
     }
   }
 
@@ -102,17 +163,68 @@ class RealtimeServer {
    * 设置数据库监听器
    */
   async setupDatabaseListeners() {
+    this.pgListener.on('notification', (msg) => {
+      this.handleDatabaseNotification(msg);
+    });
+
+    // 每个节点都监听，函数触发器按负载哈希去重，不依赖租约
+    await this.listen();
+
+    if (this.redis) {
+      // 集群中只由持有租约的节点向WebSocket订阅者转发，再经Redis分发
+      await this.electListener();
+      this.leaseInterval = setInterval(() => this.electListener(), Math.floor(this.options.listenerTtl / 3));
+    } else {
+      this.isListener = true;
+    }
+    
+    this.logger.info('Database listeners setup complete', { listener: this.isListener });
+  }
+
+  /**
+   * 监听数据库通知
+   */
+  async listen() {
     // 监听实时数据变更
     await this.pgListener.query('LISTEN realtime_changes');
     
     // 监听广播消息
     await this.pgListener.query('LISTEN realtime_broadcast');
-    
-    this.pgListener.on('notification', (msg) => {
-      this.handleDatabaseNotification(msg);
-    });
-    
-    this.logger.info('Database listeners setup complete');
+
+    // 监听权限变更
+    await this.pgListener.query('LISTEN realtime_permissions');
+  }
+
+  /**
+   * 获取或续期通知转发租约
+   */
+  async electListener() {
+    if (this.electing) {
+      return;
+    }
+    this.electing = true;
+
+    try {
+      if (this.isListener) {
+        const renewed = await this.redis.realtimeRenew(this.options.listenerKey, this.nodeId, this.options.listenerTtl);
+        if (renewed) {
+          return;
+        }
+        this.isListener = false;
+        this.logger.warn('Realtime listener lease lost', { nodeId: this.nodeId });
+      }
+
+      const acquired = await this.redis.set(this.options.listenerKey, this.nodeId, 'PX', this.options.listenerTtl, 'NX');
+      if (acquired) {
+        this.isListener = true;
+        this.logger.info('Realtime listener lease acquired', { nodeId: this.nodeId });
+      }
+    } catch (error) {
+      // Redis不可用时保持现状：已持有租约的节点继续转发（与新持有者重复推送好过丢失推送）
+      this.logger.error('Realtime listener election failed', { error: error.message });
+    } finally {
+      this.electing = false;
+    }
   }
 
   /**
@@ -198,7 +310,7 @@ class RealtimeServer {
       }
 
       // 调用Drupal API验证连接（使用项目级端点）
-      const connectionData = await this.authenticateConnection(apikey, accessToken, tenantId, projectId);
+      const connectionData = await this.authenticateConnection(apikey, accessToken, tenantId, projectId, Tracing.extract(req.headers));
       if (!connectionData) {
         ws.close(1008, 'Authentication failed');
         return;
@@ -219,7 +331,7 @@ class RealtimeServer {
         permissions: connectionData.permissions,
         apikey: apikey,        // 保存API Key用于后续API调用
         accessToken: accessToken,  // 保存Access Token用于后续API调用
-        subscriptions: new Set(),
+        subscriptions: new Map(),  // 频道 -> 加入时的配置
         lastHeartbeat: Date.now(),
         ipAddress: req.socket.remoteAddress,
         userAgent: req.headers['user-agent'],
@@ -271,7 +383,7 @@ class RealtimeServer {
   /**
    * 验证连接
    */
-  async authenticateConnection(apikey, accessToken, tenantId, projectId) {
+  async authenticateConnection(apikey, accessToken, tenantId, projectId, traceContext) {
     try {
       // 使用项目级别的认证端点
       const authUrl = `${this.options.drupalApiUrl}/api/v1/${tenantId}/projects/${projectId}/realtime/auth`;
@@ -284,17 +396,22 @@ class RealtimeServer {
         hasAccessToken: !!accessToken
       });
       
-      const response = await axios.post(authUrl, {
+      // 链路追踪：沿用客户端握手请求中的 traceparent
+      const response = await Tracing.withSpan('realtime.auth', {
+        kind: Tracing.SpanKind.CLIENT,
+        attributes: { 'baas.tenant_id': tenantId, 'baas.project_id': projectId }
+      }, () => this.timeDrupalRequest('auth', () => axios.post(authUrl, {
         apikey: apikey,
         access_token: accessToken
       }, {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${accessToken}`,
-          'X-API-Key': apikey
+          'X-API-Key': apikey,
+          ...Tracing.headers()
         },
         timeout: 5000
-      });
+      })), traceContext);
 
       if (response.data.success) {
         this.logger.info('WebSocket authentication successful:', response.data.data);
@@ -323,8 +440,9 @@ class RealtimeServer {
       return;
     }
 
+    let message;
     try {
-      const message = JSON.parse(data.toString());
+      message = JSON.parse(data.toString());
       
       switch (message.event) {
         case 'heartbeat':
@@ -340,11 +458,16 @@ class RealtimeServer {
           break;
           
         case 'broadcast':
-          await this.handleBroadcast(connectionId, message);
+          this.handleBroadcast(connectionId, message);
           break;
           
+        case 'presence':
         case 'presence_update':
-          await this.handlePresenceUpdate(connectionId, message);
+          this.handlePresenceUpdate(connectionId, message);
+          break;
+
+        case 'access_token':
+          this.handleAccessToken(connectionId, message);
           break;
           
         default:
@@ -379,6 +502,39 @@ class RealtimeServer {
     }
   }
 
+  /**
+   * 处理客户端刷新的访问令牌（@supabase/realtime-js 定期在已加入的频道上发送 access_token）
+   *
+   * 新令牌须属于同一用户且未过期；之后调用Drupal时改用新令牌，由Drupal验证其签名
+   */
+  handleAccessToken(connectionId, message) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) {
+      return;
+    }
+
+    const token = message.payload && message.payload.access_token;
+    if (token === connection.accessToken) {
+      return;
+    }
+
+    const claims = typeof token === 'string' ? jwt.decode(token) : null;
+    if (!claims || String(claims.sub) !== String(connection.userId) || (claims.exp && claims.exp * 1000 <= Date.now())) {
+      this.sendMessage(connection.ws, {
+        event: 'phx_reply',
+        topic: message.topic,
+        payload: {
+          status: 'error',
+          response: { error: 'Invalid access token' }
+        },
+        ref: message.ref
+      });
+      return;
+    }
+
+    connection.accessToken = token;
+  }
+
   /**
    * 处理频道加入
    */
@@ -390,11 +546,43 @@ class RealtimeServer {
 
     try {
       const topic = message.topic;
+      const payload = message.payload || {};
+
+      // 编译行过滤条件或postgres_changes绑定（格式错误时直接拒绝，不调用Drupal）
+      let filter = null;
+      let bindings;
+      try {
+        bindings = this.parseChangeBindings(connection, payload);
+        if (!bindings) {
+          filter = new RealtimeFilter(payload.filters, payload.event_types);
+        }
+      } catch (error) {
+        this.recordJoin('denied');
+        this.sendMessage(connection.ws, {
+          event: 'phx_reply',
+          topic: topic,
+          payload: {
+            status: 'error',
+            response: { error: error.message }
+          },
+          ref: message.ref
+        });
+        return;
+      }
       
-      // 调用Drupal API验证订阅权限
-      const canSubscribe = await this.validateSubscription(connectionId, topic, message.payload);
+      // Supabase风格的频道配置和编译后的过滤器
+      const config = {
+        ...this.parseChannelConfig(payload),
+        payload: payload,
+        filter: filter,
+        bindings: bindings
+      };
+
+      // 调用Drupal API验证订阅权限，并获取行级访问规则
+      const allowed = await this.authorizeSubscription(connection, topic, config);
+      this.recordJoin(allowed ? 'ok' : 'denied');
       
-      if (!canSubscribe) {
+      if (!allowed) {
         this.sendMessage(connection.ws, {
           event: 'phx_reply',
           topic: topic,
@@ -407,25 +595,45 @@ class RealtimeServer {
         return;
       }
 
-      // 添加订阅
-      connection.subscriptions.add(topic);
+      // 添加订阅（重复加入时替换原有配置）
+      const previous = connection.subscriptions.get(topic);
+      connection.subscriptions.set(topic, config);
+      this.unbindChanges(connection, previous);
       
       if (!this.subscriptions.has(topic)) {
         this.subscriptions.set(topic, new Set());
       }
       this.subscriptions.get(topic).add(connectionId);
 
-      // 发送成功响应
+      (bindings || []).forEach((binding) => {
+        if (!this.changeSubscribers.has(binding.channel)) {
+          this.changeSubscribers.set(binding.channel, new Set());
+        }
+        this.changeSubscribers.get(binding.channel).add(connectionId);
+      });
+
+      // 发送成功响应（有绑定时返回绑定ID，客户端据此匹配变更消息）
       this.sendMessage(connection.ws, {
         event: 'phx_reply',
         topic: topic,
         payload: { 
           status: 'ok', 
-          response: { subscribed: true }
+          response: {
+            subscribed: true,
+            ...(bindings && { postgres_changes: bindings.map((binding) => binding.reply) })
+          }
         },
         ref: message.ref
       });
 
+      // 发送频道当前的在线状态
+      this.sendMessage(connection.ws, {
+        event: 'presence_state',
+        topic: topic,
+        payload: this.getPresenceState(connection.projectId, topic),
+        ref: null
+      });
+
       this.logger.debug('Channel subscription added', {
         connectionId: connectionId,
         topic: topic,
@@ -433,6 +641,7 @@ class RealtimeServer {
       });
 
     } catch (error) {
+      this.recordJoin('error');
       this.logger.error('Channel join failed:', error);
       this.sendMessage(connection.ws, {
         event: 'phx_reply',
@@ -447,21 +656,15 @@ class RealtimeServer {
   }
 
   /**
-   * 处理频道离开
+   * 移除连接的频道订阅及其在线状态
    */
-  async handleChannelLeave(connectionId, message) {
-    const connection = this.connections.get(connectionId);
-    if (!connection) {
-      return;
-    }
-
-    const topic = message.topic;
-    
-    // 移除订阅
+  removeSubscription(connection, topic) {
+    const config = connection.subscriptions.get(topic);
     connection.subscriptions.delete(topic);
+    this.unbindChanges(connection, config);
     
     if (this.subscriptions.has(topic)) {
-      this.subscriptions.get(topic).delete(connectionId);
+      this.subscriptions.get(topic).delete(connection.id);
       
       // 如果没有订阅者了，删除主题
       if (this.subscriptions.get(topic).size === 0) {
@@ -469,6 +672,116 @@ class RealtimeServer {
       }
     }
 
+    this.untrackPresence(connection, topic);
+  }
+
+  /**
+   * 移除已失效频道配置的postgres_changes绑定（连接的其他频道仍绑定该表时保留）
+   */
+  unbindChanges(connection, config) {
+    ((config && config.bindings) || []).forEach((binding) => {
+      const subscribers = this.changeSubscribers.get(binding.channel);
+      const stillBound = [...connection.subscriptions.values()].some((other) => (other.bindings || [])
+        .some((item) => item.channel === binding.channel));
+      if (subscribers && !stillBound) {
+        subscribers.delete(connection.id);
+        if (subscribers.size === 0) {
+          this.changeSubscribers.delete(binding.channel);
+        }
+      }
+    });
+  }
+
+  /**
+   * 获取Drupal授权时使用的频道名（Drupal按 table:、presence:、broadcast: 前缀区分频道类型）
+   *
+   * @supabase/realtime-js 加入的主题为 realtime:<名称>，不带 postgres_changes 绑定时
+   * 只用于广播和在线状态，按 broadcast:<名称> 授权
+   */
+  authorizationChannel(topic) {
+    return typeof topic === 'string' && topic.startsWith('realtime:') ? `broadcast:${topic.slice('realtime:'.length)}` : topic;
+  }
+
+  /**
+   * 解析加入频道时的配置（payload.config）
+   */
+  parseChannelConfig(payload) {
+    const config = (payload && payload.config) || {};
+    const broadcast = config.broadcast || {};
+    const presence = config.presence || {};
+
+    return {
+      broadcast: {
+        self: broadcast.self === true,  // 是否也发给发送者自己
+        ack: broadcast.ack === true     // 是否回复发送确认
+      },
+      presence: {
+        // 在线状态的分组键，默认使用用户ID
+        key: typeof presence.key === 'string' && presence.key !== '' ? presence.key : null
+      }
+    };
+  }
+
+  /**
+   * 解析 config.postgres_changes 绑定（@supabase/realtime-js 的 on('postgres_changes')）
+   *
+   * 每个绑定对应一张项目表（表名为实体名，如 todos），有各自的事件类型、
+   * 过滤条件和ID；回复中按原样返回绑定并附上ID。
+   *
+   * @returns {Array|null} 绑定列表，未提供或为空数组时为null（按普通频道授权）
+   * @throws {Error} INVALID_FILTER 绑定格式错误时
+   */
+  parseChangeBindings(connection, payload) {
+    const changes = payload.config && payload.config.postgres_changes;
+    if (!Array.isArray(changes) || changes.length === 0) {
+      return null;
+    }
+
+    if (!connection.projectId) {
+      throw RealtimeFilter.error('postgres_changes requires a project connection');
+    }
+
+    return changes.map((change) => {
+      if (!change || typeof change !== 'object' || typeof change.table !== 'string' || change.table === '' || change.table === '*') {
+        throw RealtimeFilter.error('postgres_changes bindings require a table');
+      }
+      if (change.schema !== undefined && change.schema !== 'public') {
+        throw RealtimeFilter.error(`Unsupported schema: ${change.schema}`);
+      }
+      const event = String(change.event || '*').toUpperCase();
+      if (!['*', 'INSERT', 'UPDATE', 'DELETE'].includes(event)) {
+        throw RealtimeFilter.error(`Invalid postgres_changes event: ${change.event}`);
+      }
+
+      const id = this.nextBindingId++;
+      return {
+        id: id,
+        channel: `table:${ChangeTriggers.tableName(connection.tenantId, connection.projectId, change.table)}`,
+        event_types: event === '*' ? null : [event],
+        filter: new RealtimeFilter(change.filter || null, event === '*' ? null : [event]),
+        reply: {
+          id: id,
+          event: change.event,
+          schema: change.schema,
+          table: change.table,
+          ...(change.filter !== undefined && { filter: change.filter })
+        }
+      };
+    });
+  }
+
+  /**
+   * 处理频道离开
+   */
+  async handleChannelLeave(connectionId, message) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) {
+      return;
+    }
+
+    const topic = message.topic;
+    this.removeSubscription(connection, topic);
+
     this.sendMessage(connection.ws, {
       event: 'phx_reply',
       topic: topic,
@@ -486,15 +799,334 @@ class RealtimeServer {
     });
   }
 
+  /**
+   * 处理客户端广播
+   *
+   * 临时消息：只转发给当前在线的订阅者，不写入数据库
+   */
+  handleBroadcast(connectionId, message) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) {
+      return;
+    }
+
+    const topic = message.topic;
+    const reject = (error) => {
+      this.sendMessage(connection.ws, {
+        event: 'phx_reply',
+        topic: topic,
+        payload: {
+          status: 'error',
+          response: { error }
+        },
+        ref: message.ref
+      });
+    };
+
+    // 只能向已加入的频道广播
+    const channel = connection.subscriptions.get(topic);
+    if (!channel) {
+      reject('Not subscribed to topic');
+      return;
+    }
+
+    if (!this.hasPermission(connection, 'broadcast realtime messages')) {
+      reject('Broadcast not allowed');
+      return;
+    }
+
+    const body = message.payload || {};
+    if (typeof body.event !== 'string' || body.event === '' || body.event.length > this.options.maxEventNameLength) {
+      reject('Invalid broadcast event');
+      return;
+    }
+
+    const data = body.payload === undefined ? null : body.payload;
+    if (Buffer.byteLength(JSON.stringify(data)) > this.options.maxBroadcastBytes) {
+      reject(`Broadcast payload exceeds ${this.options.maxBroadcastBytes} bytes`);
+      return;
+    }
+
+    this.fanOut(topic, 'broadcast', {
+      type: 'broadcast',
+      event: body.event,
+      payload: data
+    }, {
+      projectId: connection.projectId,
+      exclude: channel.broadcast.self ? null : connectionId
+    });
+
+    if (channel.broadcast.ack) {
+      this.sendMessage(connection.ws, {
+        event: 'phx_reply',
+        topic: topic,
+        payload: { status: 'ok', response: {} },
+        ref: message.ref
+      });
+    }
+  }
+
+  /**
+   * 处理在线状态更新（track / untrack）
+   */
+  handlePresenceUpdate(connectionId, message) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) {
+      return;
+    }
+
+    const topic = message.topic;
+    const reply = (status, response) => {
+      this.sendMessage(connection.ws, {
+        event: 'phx_reply',
+        topic: topic,
+        payload: { status, response },
+        ref: message.ref
+      });
+    };
+
+    if (!connection.subscriptions.has(topic)) {
+      reply('error', { error: 'Not subscribed to topic' });
+      return;
+    }
+
+    const body = message.payload || {};
+    if (body.event === 'track') {
+      const meta = body.payload === undefined || body.payload === null ? {} : body.payload;
+      if (typeof meta !== 'object' || Array.isArray(meta)) {
+        reply('error', { error: 'Presence metadata must be an object' });
+        return;
+      }
+      if (Buffer.byteLength(JSON.stringify(meta)) > this.options.maxPresenceBytes) {
+        reply('error', { error: `Presence metadata exceeds ${this.options.maxPresenceBytes} bytes` });
+        return;
+      }
+      this.trackPresence(connection, topic, meta);
+    } else if (body.event === 'untrack') {
+      this.untrackPresence(connection, topic);
+    } else {
+      reply('error', { error: 'Invalid presence event' });
+      return;
+    }
+
+    reply('ok', {});
+  }
+
+  /**
+   * 记录连接在频道中的在线状态；再次track时替换原有元数据
+   */
+  trackPresence(connection, topic, meta) {
+    const entry = {
+      key: connection.subscriptions.get(topic).presence.key || String(connection.userId),
+      ref: this.generatePresenceRef(),
+      meta: meta,
+      node: this.nodeId
+    };
+
+    this.applyPresence(connection.projectId, topic, connection.id, entry);
+    this.publish({ kind: 'presence', projectId: connection.projectId, topic, connectionId: connection.id, entry });
+  }
+
+  /**
+   * 移除连接在频道中的在线状态
+   */
+  untrackPresence(connection, topic) {
+    const group = this.presence.get(`${connection.projectId}:${topic}`);
+    if (!group || !group.entries.has(connection.id)) {
+      return;
+    }
+
+    this.applyPresence(connection.projectId, topic, connection.id, null);
+    this.publish({ kind: 'presence', projectId: connection.projectId, topic, connectionId: connection.id, entry: null });
+  }
+
+  /**
+   * 更新在线状态（entry 为 null 时移除），并向本地订阅者发送 presence_diff
+   */
+  applyPresence(projectId, topic, connectionId, entry) {
+    const presenceKey = `${projectId}:${topic}`;
+    if (!this.presence.has(presenceKey)) {
+      this.presence.set(presenceKey, { projectId, topic, entries: new Map() });
+    }
+    const entries = this.presence.get(presenceKey).entries;
+    const previous = entries.get(connectionId);
+
+    // 重复的同步消息不产生变更
+    if ((!entry && !previous) || (entry && previous && entry.ref === previous.ref)) {
+      if (entries.size === 0) {
+        this.presence.delete(presenceKey);
+      }
+      return;
+    }
+
+    if (entry) {
+      entries.set(connectionId, entry);
+    } else {
+      entries.delete(connectionId);
+      if (entries.size === 0) {
+        this.presence.delete(presenceKey);
+      }
+    }
+
+    this.sendToTopic(topic, 'presence_diff', {
+      joins: entry ? this.groupPresence([entry]) : {},
+      leaves: previous ? this.groupPresence([previous]) : {}
+    }, { projectId });
+  }
+
+  /**
+   * 获取项目频道的完整在线状态
+   */
+  getPresenceState(projectId, topic) {
+    const group = this.presence.get(`${projectId}:${topic}`);
+    return group ? this.groupPresence(group.entries.values()) : {};
+  }
+
+  /**
+   * 本节点连接的在线状态，用于同步给其他节点
+   */
+  getLocalPresence() {
+    const local = [];
+    this.presence.forEach(({ projectId, topic, entries }) => {
+      entries.forEach((entry, connectionId) => {
+        if (entry.node === this.nodeId) {
+          local.push({ projectId, topic, connectionId, entry });
+        }
+      });
+    });
+    return local;
+  }
+
+  /**
+   * 移除某个节点的全部在线状态
+   */
+  dropNodePresence(nodeId) {
+    const removed = [];
+    this.presence.forEach(({ projectId, topic, entries }) => {
+      entries.forEach((entry, connectionId) => {
+        if (entry.node === nodeId) {
+          removed.push([projectId, topic, connectionId]);
+        }
+      });
+    });
+    removed.forEach(([projectId, topic, connectionId]) => {
+      this.applyPresence(projectId, topic, connectionId, null);
+    });
+  }
+
+  /**
+   * 按分组键整理在线状态：{ key: { metas: [{ phx_ref, ...meta }] } }
+   */
+  groupPresence(entries) {
+    const state = {};
+    for (const entry of entries) {
+      if (!state[entry.key]) {
+        state[entry.key] = { metas: [] };
+      }
+      state[entry.key].metas.push({ phx_ref: entry.ref, ...entry.meta });
+    }
+    return state;
+  }
+
+  /**
+   * 向所有节点上频道的订阅者发送消息
+   */
+  fanOut(topic, event, payload, options = {}) {
+    this.publish({ kind: 'send', topic, event, payload, options });
+    return this.sendToTopic(topic, event, payload, options);
+  }
+
+  /**
+   * 向频道的本地订阅者发送消息
+   *
+   * 频道名不区分项目，客户端发起的消息通过 options.projectId 限定在同一项目内
+   *
+   * @param {object} options - { projectId, exclude: 不接收的连接ID }
+   * @returns {number} 收到消息的连接数
+   */
+  sendToTopic(topic, event, payload, options = {}) {
+    const subscribers = this.subscriptions.get(topic);
+    if (!subscribers) {
+      return 0;
+    }
+
+    let delivered = 0;
+    subscribers.forEach((connectionId) => {
+      const connection = this.connections.get(connectionId);
+      if (connectionId === options.exclude || !connection || connection.ws.readyState !== WebSocket.OPEN) {
+        return;
+      }
+      if (options.projectId && connection.projectId !== options.projectId) {
+        return;
+      }
+      this.sendMessage(connection.ws, {
+        event: event,
+        topic: topic,
+        payload: payload,
+        ref: null
+      });
+      delivered++;
+    });
+
+    if (delivered > 0 && this.options.metrics) {
+      this.options.metrics.messages.inc({ event }, delivered);
+    }
+    return delivered;
+  }
+
+  /**
+   * 检查连接是否具有项目实时权限（拥有 manage realtime 视为具备全部权限）
+   */
+  hasPermission(connection, permission) {
+    const permissions = connection.permissions || {};
+    if (Array.isArray(permissions)) {
+      return permissions.includes(permission) || permissions.includes('manage realtime');
+    }
+    return permissions[permission] === true || permissions['manage realtime'] === true;
+  }
+
+  /**
+   * 验证频道订阅并设置过滤器的行级访问规则
+   *
+   * 有postgres_changes绑定时按每个绑定的表频道验证，任一被拒绝即无权限；
+   * 全部通过后才更新规则。
+   *
+   * @returns {Promise<boolean>} 是否有权限
+   */
+  async authorizeSubscription(connection, topic, config) {
+    const targets = config.bindings
+      ? config.bindings.map((binding) => ({
+        channel: binding.channel,
+        payload: { filters: binding.reply.filter, event_types: binding.event_types },
+        filter: binding.filter
+      }))
+      : [{ channel: this.authorizationChannel(topic), payload: config.payload, filter: config.filter }];
+
+    const subscriptions = await Promise.all(targets.map((target) => this.validateSubscription(connection.id, target.channel, target.payload)));
+    if (subscriptions.some((subscription) => !subscription)) {
+      return false;
+    }
+
+    subscriptions.forEach((subscription, index) => {
+      targets[index].filter.authorize(subscription.access);
+      if (subscription.permissions) {
+        connection.permissions = subscription.permissions;
+      }
+    });
+    return true;
+  }
+
   /**
    * 验证订阅权限
+   *
+   * @returns {Promise<object|null>} Drupal返回的订阅信息（含 access 和 permissions），无权限时为null
    */
   async validateSubscription(connectionId, topic, payload) {
     try {
       // 获取连接信息以确定正确的API URL
       const connection = this.connections.get(connectionId);
       if (!connection) {
-        return false;
+        return null;
       }
 
       const tenantId = connection.tenantId;
@@ -508,7 +1140,10 @@ class RealtimeServer {
         subscribeUrl = `${this.options.drupalApiUrl}/api/v1/${tenantId}/realtime/subscribe`;
       }
 
-      const response = await axios.post(subscribeUrl, {
+      const response = await Tracing.withSpan('realtime.subscribe', {
+        kind: Tracing.SpanKind.CLIENT,
+        attributes: { 'baas.project_id': projectId || '', 'baas.realtime.channel': topic }
+      }, () => this.timeDrupalRequest('subscribe', () => axios.post(subscribeUrl, {
         connection_id: connectionId,
         channel: topic,
         filters: payload.filters || {},
@@ -517,19 +1152,65 @@ class RealtimeServer {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${connection.accessToken}`,
-          'X-API-Key': connection.apikey
+          'X-API-Key': connection.apikey,
+          ...Tracing.headers()
         },
         timeout: 5000
-      });
+      })));
 
-      return response.data.success;
+      return response.data.success ? response.data.data || {} : null;
 
     } catch (error) {
+      // Drupal拒绝订阅时返回null，其他错误（如Drupal不可用）向上抛出
+      if (error.response && error.response.status >= 400 && error.response.status < 500) {
+        return null;
+      }
       this.logger.error('Subscription validation failed:', error);
-      return false;
+      throw error;
     }
   }
 
+  /**
+   * 项目成员权限变更后，重新验证受影响连接的订阅并更新过滤规则
+   *
+   * @param {object} change - realtime_permissions 通知（project_id，user_id为空时表示项目内所有用户）
+   */
+  async refreshPermissions(change) {
+    const affected = [...this.connections.values()].filter((connection) => (change.user_id
+      ? String(connection.userId) === String(change.user_id)
+      : connection.projectId === change.project_id));
+
+    await Promise.all(affected.map(async (connection) => {
+      for (const [topic, config] of connection.subscriptions) {
+        try {
+          if (!(await this.authorizeSubscription(connection, topic, config))) {
+            // 失去权限：关闭频道
+            this.removeSubscription(connection, topic);
+            this.sendMessage(connection.ws, {
+              event: 'phx_close',
+              topic: topic,
+              payload: { reason: 'Access revoked' },
+              ref: null
+            });
+          }
+        } catch (error) {
+          // 刷新失败时保留原有规则，等待下一次变更通知
+          this.logger.error('Permission refresh failed:', {
+            connectionId: connection.id,
+            topic,
+            error: error.message
+          });
+        }
+      }
+    }));
+
+    this.logger.info('Realtime permissions refreshed', {
+      projectId: change.project_id,
+      userId: change.user_id,
+      connections: affected.length
+    });
+  }
+
   /**
    * 处理数据库通知
    */
@@ -541,6 +1222,40 @@ class RealtimeServer {
       });
       
       const payload = JSON.parse(notification.payload);
+
+      // 数据变更同时交给函数触发器处理（与是否有订阅者、是否持有租约无关）
+      if (notification.channel === 'realtime_changes' && this.options.onChange) {
+        Promise.resolve(this.options.onChange(payload)).catch((error) => {
+          this.logger.error('Change trigger publish failed:', error);
+        });
+      }
+
+      // 其余由持有租约的节点经Redis转发给集群中的所有节点
+      if (!this.isListener) {
+        return;
+      }
+
+      // 权限变更：各节点刷新本地连接的订阅规则
+      if (notification.channel === 'realtime_permissions') {
+        this.publish({ kind: 'permissions', payload });
+        this.refreshPermissions(payload);
+        return;
+      }
+
+      // 集群中其他节点也要转发给各自的订阅者
+      this.publish({ kind: 'notification', payload });
+      this.deliverNotification(payload);
+
+    } catch (error) {
+      this.logger.error('Database notification handling failed:', error);
+    }
+  }
+
+  /**
+   * 将数据库通知转发给本节点的订阅者
+   */
+  deliverNotification(payload) {
+    try {
       const channelName = this.getChannelNameFromPayload(payload);
       
       this.logger.info('Processing notification for channel:', {
@@ -554,9 +1269,10 @@ class RealtimeServer {
         return;
       }
 
-      // 获取订阅此频道的连接
-      const subscribers = this.subscriptions.get(channelName);
-      if (!subscribers || subscribers.size === 0) {
+      // 获取订阅此频道的连接，以及postgres_changes绑定了此表的连接
+      const subscribers = this.subscriptions.get(channelName) || new Set();
+      const bound = this.changeSubscribers.get(channelName) || new Set();
+      if (subscribers.size === 0 && bound.size === 0) {
         this.logger.info('No subscribers for channel:', {
           channelName,
           totalChannels: this.subscriptions.size,
@@ -567,20 +1283,119 @@ class RealtimeServer {
 
       this.logger.info('Broadcasting to subscribers:', {
         channelName,
-        subscriberCount: subscribers.size
+        subscriberCount: subscribers.size + bound.size
       });
 
-      // 过滤并发送消息给订阅者
-      subscribers.forEach(async (connectionId) => {
+      const span = Tracing.startSpan('realtime.broadcast', {
+        attributes: {
+          'baas.realtime.channel': channelName,
+          'baas.realtime.event': payload.type || '',
+          'baas.realtime.subscribers': subscribers.size + bound.size
+        }
+      });
+
+      // 按订阅时编译的过滤器在本地过滤并发送
+      let delivered = 0;
+      subscribers.forEach((connectionId) => {
         const connection = this.connections.get(connectionId);
-        if (connection && connection.ws.readyState === WebSocket.OPEN) {
-          await this.filterAndSendMessage(connection, payload, channelName);
+        if (connection && connection.ws.readyState === WebSocket.OPEN && this.filterAndSendMessage(connection, payload, channelName)) {
+          delivered++;
         }
       });
+      bound.forEach((connectionId) => {
+        const connection = this.connections.get(connectionId);
+        if (connection && connection.ws.readyState === WebSocket.OPEN && this.sendPostgresChanges(connection, payload, channelName)) {
+          delivered++;
+        }
+      });
+
+      span.setAttribute('baas.realtime.delivered', delivered);
+      span.end();
 
     } catch (error) {
-      this.logger.error('Database notification handling failed:', error);
+      this.logger.error('Notification delivery failed:', error);
+    }
+  }
+
+  /**
+   * 向集群中的其他节点发布消息（未配置Redis时忽略）
+   */
+  publish(message) {
+    if (!this.redis) {
+      return;
+    }
+    this.redis.publish(this.options.clusterChannel, JSON.stringify({ ...message, node: this.nodeId })).catch((error) => {
+      this.logger.error('Cluster publish failed:', error);
+    });
+  }
+
+  /**
+   * 处理其他节点发布的消息
+   */
+  handleClusterMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      this.logger.error('Invalid cluster message:', error);
+      return;
     }
+
+    if (message.node === this.nodeId) {
+      return;
+    }
+    this.nodes.set(message.node, Date.now());
+
+    switch (message.kind) {
+      case 'notification':
+        this.deliverNotification(message.payload);
+        break;
+
+      case 'permissions':
+        this.refreshPermissions(message.payload);
+        break;
+
+      case 'send':
+        this.sendToTopic(message.topic, message.event, message.payload, message.options);
+        break;
+
+      case 'presence':
+        this.applyPresence(message.projectId, message.topic, message.connectionId, message.entry);
+        break;
+
+      case 'sync_request':
+        this.publish({ kind: 'presence_sync', entries: this.getLocalPresence() });
+        break;
+
+      case 'presence_sync':
+        message.entries.forEach(({ projectId, topic, connectionId, entry }) => {
+          this.applyPresence(projectId, topic, connectionId, entry);
+        });
+        break;
+
+      case 'node_down':
+        this.nodes.delete(message.node);
+        this.dropNodePresence(message.node);
+        break;
+    }
+  }
+
+  /**
+   * 定时发布节点心跳，并移除心跳超时节点的在线状态
+   */
+  startNodeHeartbeat() {
+    this.nodeHeartbeatTimer = setInterval(() => {
+      this.publish({ kind: 'heartbeat' });
+
+      const now = Date.now();
+      this.nodes.forEach((lastSeen, nodeId) => {
+        if (now - lastSeen > this.options.nodeTimeout) {
+          this.logger.warn('Realtime node timed out:', nodeId);
+          this.nodes.delete(nodeId);
+          this.dropNodePresence(nodeId);
+        }
+      });
+    }, this.options.nodeHeartbeatInterval);
   }
 
   /**
@@ -600,44 +1415,93 @@ class RealtimeServer {
 
   /**
    * 过滤并发送消息
+   *
+   * @returns {boolean} 是否已发送
    */
-  async filterAndSendMessage(connection, payload, channelName) {
-    try {
-      const tenantId = connection.tenantId;
-      const projectId = connection.projectId;
-      
-      // 使用项目级API端点（如果有项目ID），否则使用租户级端点
-      let filterUrl;
-      if (projectId) {
-        filterUrl = `${this.options.drupalApiUrl}/api/v1/${tenantId}/projects/${projectId}/realtime/filter`;
-      } else {
-        filterUrl = `${this.options.drupalApiUrl}/api/v1/${tenantId}/realtime/filter`;
+  filterAndSendMessage(connection, payload, channelName) {
+    const subscription = connection.subscriptions.get(channelName);
+    const filtered = subscription && subscription.filter && subscription.filter.apply(payload);
+    if (!filtered) {
+      return false;
+    }
+
+    this.sendMessage(connection.ws, {
+      event: payload.type || 'message',
+      topic: channelName,
+      payload: filtered,
+      ref: null
+    });
+    if (this.options.metrics) {
+      this.options.metrics.messages.inc({ event: payload.type || 'message' });
+    }
+    return true;
+  }
+
+  /**
+   * 按连接各频道的postgres_changes绑定过滤并发送变更，消息带上匹配的绑定ID
+   *
+   * @returns {boolean} 是否已发送
+   */
+  sendPostgresChanges(connection, payload, channelName) {
+    let sent = false;
+    connection.subscriptions.forEach((config, topic) => {
+      const matched = (config.bindings || [])
+        .filter((binding) => binding.channel === channelName)
+        .map((binding) => ({ binding, change: binding.filter.apply(payload) }))
+        .filter((match) => match.change);
+      if (matched.length === 0) {
+        return;
       }
 
-      // 调用Drupal API进行消息过滤
-      const response = await axios.post(filterUrl, {
-        connection_id: connection.id,
-        payload: payload
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${connection.accessToken}`,
-          'X-API-Key': connection.apikey
+      this.sendMessage(connection.ws, {
+        event: 'postgres_changes',
+        topic: topic,
+        payload: {
+          ids: matched.map((match) => match.binding.id),
+          data: this.formatPostgresChange(matched[0].change, matched[0].binding)
         },
-        timeout: 5000
+        ref: null
       });
-
-      if (response.data.success && response.data.data) {
-        this.sendMessage(connection.ws, {
-          event: payload.type || 'message',
-          topic: channelName,
-          payload: response.data.data,
-          ref: null
-        });
+      if (this.options.metrics) {
+        this.options.metrics.messages.inc({ event: 'postgres_changes' });
       }
+      sent = true;
+    });
+    return sent;
+  }
 
-    } catch (error) {
-      this.logger.error('Message filtering failed:', error);
+  /**
+   * 转换为Supabase的变更格式（表名使用绑定中的实体名）
+   */
+  formatPostgresChange(change, binding) {
+    const type = String(change.type || '').toUpperCase();
+    return {
+      schema: binding.reply.schema || 'public',
+      table: binding.reply.table,
+      commit_timestamp: new Date(change.timestamp ? change.timestamp * 1000 : Date.now()).toISOString(),
+      type: type,
+      // 未提供列类型，客户端按JSON原样使用各字段值
+      columns: [],
+      errors: null,
+      ...(type !== 'DELETE' && { record: change.record || {} }),
+      // 部分触发器的DELETE通知只在record中携带旧行
+      ...(type !== 'INSERT' && { old_record: change.old_record || (type === 'DELETE' && change.record) || {} })
+    };
+  }
+
+  /**
+   * 记录Drupal调用耗时（启用指标时）
+   */
+  timeDrupalRequest(call, request) {
+    return this.options.metrics ? this.options.metrics.timeDrupalRequest(call, request) : request();
+  }
+
+  /**
+   * 记录频道加入结果（启用指标时）
+   */
+  recordJoin(result) {
+    if (this.options.metrics) {
+      this.options.metrics.joins.inc({ result });
     }
   }
 
@@ -650,14 +1514,9 @@ class RealtimeServer {
       return;
     }
 
-    // 清理订阅
-    connection.subscriptions.forEach(topic => {
-      if (this.subscriptions.has(topic)) {
-        this.subscriptions.get(topic).delete(connectionId);
-        if (this.subscriptions.get(topic).size === 0) {
-          this.subscriptions.delete(topic);
-        }
-      }
+    // 清理订阅和在线状态，并通知频道内其他连接
+    [...connection.subscriptions.keys()].forEach((topic) => {
+      this.removeSubscription(connection, topic);
     });
 
     // 移除连接
@@ -705,6 +1564,11 @@ class RealtimeServer {
    */
   startCleanupTasks() {
     this.cleanupInterval = setInterval(async () => {
+      // 集群中只由监听节点执行
+      if (!this.isListener) {
+        return;
+      }
+
       // 清理数据库中的过期连接
       try {
         await this.pgClient.query(`
@@ -738,6 +1602,13 @@ class RealtimeServer {
     return `sock_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * 生成在线状态引用
+   */
+  generatePresenceRef() {
+    return `pres_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   /**
    * 关闭服务器
    */
@@ -750,6 +1621,14 @@ class RealtimeServer {
       clearInterval(this.cleanupInterval);
     }
 
+    if (this.leaseInterval) {
+      clearInterval(this.leaseInterval);
+    }
+
+    if (this.nodeHeartbeatTimer) {
+      clearInterval(this.nodeHeartbeatTimer);
+    }
+
     if (this.wss) {
       this.wss.close();
     }
@@ -763,9 +1642,19 @@ class RealtimeServer {
     }
 
     if (this.redis) {
+      // 通知其他节点立即移除本节点的在线状态，并让出监听租约
+      await this.redis.publish(this.options.clusterChannel, JSON.stringify({ kind: 'node_down', node: this.nodeId })).catch(() => {});
+      if (this.isListener) {
+        await this.redis.realtimeRelease(this.options.listenerKey, this.nodeId).catch(() => {});
+        this.isListener = false;
+      }
       this.redis.disconnect();
     }
 
+    if (this.redisSubscriber) {
+      this.redisSubscriber.disconnect();
+    }
+
     this.logger.info('Realtime server closed');
   }
 
@@ -776,6 +1665,10 @@ class RealtimeServer {
     return {
       connections: this.connections.size,
       subscriptions: this.subscriptions.size,
+      presence_channels: this.presence.size,
+      node_id: this.nodeId,
+      cluster_nodes: this.redis ? this.nodes.size + 1 : 1,
+      listener: this.isListener,
       uptime: process.uptime(),
       memory: process.memoryUsage()
     };
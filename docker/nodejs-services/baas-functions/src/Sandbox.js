@@ -0,0 +1,568 @@
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+const EgressPolicy = require('./EgressPolicy');
+const SandboxFetch = require('./SandboxFetch');
+const LruCache = require('./LruCache');
+const FileBody = require('./FileBody');
+
+/**
+ * Sandbox - Runs user function code inside an execution worker
+ *
+ * Lives on the worker process side of the WorkerPool. Everything that needs the
+ * host (BaaS context services, logging) goes through the `bridge`, which relays
+ * calls to the main process over the worker's IPC channel.
+ *
+ * The objects passed into the `vm` context belong to the worker's own realm,
+ * so user code can reach the worker's Node.js runtime through them. The worker
+ * process is the security boundary (see WorkerPool); nothing that is not the
+ * current execution's own data may be kept in it.
+ */
+class Sandbox {
+  constructor(bridge, options = {}) {
+    this.bridge = bridge;
+    this.timers = new Map();
+    this.nextTimerId = 1;
+    this.helperResults = new WeakSet();
+    this.fetcher = null;
+
+    // Evaluated modules of keep_warm functions, keyed by function version
+    this.warm = new LruCache({ maxEntries: options.warmContexts || 10 });
+  }
+
+  /**
+   * Executes a loaded function and normalizes the result
+   *
+   * @param {vm.Script} script - Compiled script produced by CodeLoader
+   * @param {object} environment - Request data and serialized BaaS context
+   * @param {number} timeout - Timeout for the synchronous module evaluation
+   * @param {object} options - { warmKey: reuse/keep the instance under this key,
+   *   warmOnly: evaluate the module without calling the handler,
+   *   tracing: report outbound fetches as spans }
+   * @returns {object} Execution result
+   */
+  async run(script, environment, timeout, options = {}) {
+    const policy = new EgressPolicy(environment.egress);
+    this.fetcher = new SandboxFetch(policy, options.tracing ? this.createTracer() : null);
+    this.helperResults = new WeakSet();
+
+    try {
+      const req = environment.req;
+      const ctx = this.createContextObject(environment.context);
+      const instance = await this.instantiate(script, { req, ctx }, timeout, options.warmKey);
+
+      if (options.warmOnly) {
+        return { status: 'success', data: null, warm: instance.warm, policy_violations: policy.violations };
+      }
+
+      // A warm instance keeps its globals; only the request data is replaced
+      instance.context.req = req;
+      instance.context.ctx = ctx;
+
+      try {
+        const data = await instance.handler(req, ctx);
+
+        if (data instanceof Response) {
+          const head = await this.sendResponse(data);
+          return { status: 'success', data: null, response: head, warm: instance.warm, policy_violations: policy.violations };
+        }
+
+        return {
+          status: 'success',
+          data,
+          ...(this.helperResults.has(data) && { response: this.describeHelperResult(data) }),
+          warm: instance.warm,
+          policy_violations: policy.violations
+        };
+      } catch (error) {
+        return {
+          status: 'error',
+          error: error && error.message ? error.message : String(error),
+          error_type: error && error.name,
+          code: error && error.code,
+          warm: instance.warm,
+          policy_violations: policy.violations
+        };
+      }
+    } finally {
+      this.clearTimers();
+      this.fetcher.abortAll();
+    }
+  }
+
+  /**
+   * Evaluates the function module in a new context, or reuses a warm one
+   *
+   * Module state of a warm instance survives between executions of the same
+   * function version, like a reused container in other FaaS platforms.
+   */
+  async instantiate(script, globals, timeout, warmKey) {
+    const cached = warmKey ? this.warm.get(warmKey) : undefined;
+    if (cached) {
+      return { ...cached, warm: 'hit' };
+    }
+
+    const context = vm.createContext(this.createExecutionContext(globals), {
+      codeGeneration: { strings: false, wasm: false }
+    });
+
+    const factory = script.runInContext(context, {
+      timeout: timeout,
+      displayErrors: true
+    });
+
+    const moduleExports = await factory();
+    const handler = moduleExports.default;
+    if (typeof handler !== 'function') {
+      throw new TypeError('Exported default is not a function');
+    }
+
+    const instance = { context, handler };
+    if (warmKey) {
+      this.warm.set(warmKey, instance);
+    }
+    return { ...instance, warm: warmKey ? 'miss' : null };
+  }
+
+  /**
+   * Drops a warm instance
+   */
+  dropWarm(key) {
+    this.warm.delete(key);
+  }
+
+  /**
+   * Lists the function versions this sandbox holds warm
+   */
+  warmKeys() {
+    return this.warm.keys();
+  }
+
+  /**
+   * Creates execution context with all necessary globals
+   */
+  createExecutionContext(globals) {
+    return {
+      // Core JavaScript globals
+      console: this.createConsole(),
+      ...this.createTimers(),
+      JSON,
+      Math,
+      Date,
+      String,
+      Number,
+      Boolean,
+      Array,
+      Object,
+      RegExp,
+      Error,
+      TypeError,
+      ReferenceError,
+      SyntaxError,
+      Promise,
+      Buffer: {
+        from: Buffer.from.bind(Buffer),
+        alloc: Buffer.alloc.bind(Buffer),
+        isBuffer: Buffer.isBuffer.bind(Buffer)
+      },
+      // Web platform APIs, as in edge runtimes
+      ...this.createWebGlobals(),
+      // Always uses the current execution's egress policy, even in warm instances
+      fetch: (input, init) => this.fetcher.fetch(input, init),
+
+      // Request and context data
+      req: globals.req,
+      ctx: globals.ctx,
+
+      // Global scope protection
+      global: undefined,
+      process: undefined,
+      require: undefined,
+      module: undefined,
+      exports: undefined,
+      __dirname: undefined,
+      __filename: undefined
+    };
+  }
+
+  /**
+   * Creates the span hooks for SandboxFetch; spans live on the main thread
+   */
+  createTracer() {
+    return {
+      start: (name, attributes) => this.bridge.call('trace.start', [name, attributes]),
+      end: (id, attributes, error) => this.bridge.call('trace.end', [id, attributes, error]).catch(() => {})
+    };
+  }
+
+  /**
+   * Creates the console exposed to user code
+   */
+  createConsole() {
+    return {
+      log: (...args) => this.sandboxConsole('info', args),
+      error: (...args) => this.sandboxConsole('error', args),
+      warn: (...args) => this.sandboxConsole('warn', args),
+      info: (...args) => this.sandboxConsole('info', args),
+      debug: (...args) => this.sandboxConsole('debug', args)
+    };
+  }
+
+  /**
+   * Creates timer functions tracked per execution
+   *
+   * Workers are reused between executions, so anything user code leaves
+   * scheduled is cleared once the execution finishes.
+   */
+  createTimers() {
+    const schedule = (create, clear, repeat) => (callback, delay, ...args) => {
+      const id = this.nextTimerId++;
+      const handle = create(() => {
+        if (!repeat) {
+          this.timers.delete(id);
+        }
+        callback(...args);
+      }, delay);
+      this.timers.set(id, { handle, clear });
+      return id;
+    };
+    const cancel = (id) => {
+      const timer = this.timers.get(id);
+      if (timer) {
+        timer.clear(timer.handle);
+        this.timers.delete(id);
+      }
+    };
+
+    return {
+      setTimeout: schedule(setTimeout, clearTimeout, false),
+      clearTimeout: cancel,
+      setInterval: schedule(setInterval, clearInterval, true),
+      clearInterval: cancel
+    };
+  }
+
+  /**
+   * Clears timers left behind by the last execution
+   */
+  clearTimers() {
+    this.timers.forEach(({ handle, clear }) => clear(handle));
+    this.timers.clear();
+  }
+
+  /**
+   * Creates the context object for user functions
+   */
+  createContextObject(serialized) {
+    return {
+      project: { id: serialized.project_id },
+      tenant: { id: serialized.tenant_id },
+      user: { id: serialized.user_id },
+      execution_id: serialized.execution_id,
+      env: serialized.env || {},
+
+      // Response helpers
+      success: (data, headers = {}) => this.trackHelperResult({
+        status: 'success',
+        data: data,
+        headers: headers
+      }),
+      error: (message, code = 500) => this.trackHelperResult({
+        status: 'error',
+        error: message,
+        code: code
+      }),
+      response: this.createResponseHelpers(),
+
+      // Logging
+      log: {
+        info: (message, data) => this.sandboxLog('info', message, data),
+        error: (message, data) => this.sandboxLog('error', message, data),
+        warn: (message, data) => this.sandboxLog('warn', message, data),
+        debug: (message, data) => this.sandboxLog('debug', message, data)
+      },
+
+      // HTTP client, bridged to BaasContext (subject to the egress policy)
+      http: {
+        get: (url, options) => this.bridge.call('http', ['get', [url, options]]),
+        post: (url, data, options) => this.bridge.call('http', ['post', [url, data, options]]),
+        put: (url, data, options) => this.bridge.call('http', ['put', [url, data, options]]),
+        delete: (url, options) => this.bridge.call('http', ['delete', [url, options]])
+      },
+
+      // Database access, bridged to the project-scoped BaasContext entity API
+      db: {
+        project: {
+          entities: this.createEntityBridge()
+        },
+        raw: (query, params, options) => this.bridge.call('db.raw', [query, params, options]),
+        transaction: (callback) => this.runTransaction(callback)
+      },
+
+      // Other functions of the project, run by the main thread
+      functions: {
+        invoke: (functionName, payload, options) => this.bridge.call('functions', ['invoke', [functionName, payload, options]])
+      },
+
+      // Project key-value store, bridged to BaasContext
+      kv: {
+        get: (key) => this.bridge.call('kv', ['get', [key]]),
+        set: (key, value, options) => this.bridge.call('kv', ['set', [key, value, options]]),
+        incr: (key, by, options) => this.bridge.call('kv', ['incr', [key, by, options]]),
+        delete: (key) => this.bridge.call('kv', ['delete', [key]]),
+        list: (prefix, options) => this.bridge.call('kv', ['list', [prefix, options]])
+      },
+
+      // JWT utilities, bridged to BaasContext (keys never enter the sandbox)
+      jwt: {
+        sign: (payload, options) => this.bridge.call('jwt', ['sign', [payload, options]]),
+        verify: (token, options) => this.bridge.call('jwt', ['verify', [token, options]])
+      },
+
+      // File storage, bridged to BaasContext; streams and Blobs are read here
+      files: {
+        upload: async (data, options = {}) => {
+          const defaults = {
+            filename: data && typeof data.name === 'string' ? data.name : undefined,
+            mimeType: data instanceof Blob && data.type ? data.type : undefined
+          };
+          return this.bridge.call('files', ['upload', [await FileBody.read(data), { ...defaults, ...options }]]);
+        },
+        download: (fileId, options) => this.bridge.call('files', ['download', [fileId, options]]),
+        delete: (fileId) => this.bridge.call('files', ['delete', [fileId]])
+      }
+    };
+  }
+
+  /**
+   * Creates the ctx.response helpers, which build standard Response objects
+   */
+  createResponseHelpers() {
+    const withType = (init, type) => {
+      const headers = new Headers(init && init.headers);
+      if (!headers.has('content-type')) {
+        headers.set('content-type', type);
+      }
+      return { ...init, headers };
+    };
+
+    return {
+      json: (data, init = {}) => Response.json(data, init),
+      text: (body, init = {}) => new Response(String(body), withType(init, 'text/plain; charset=utf-8')),
+      html: (body, init = {}) => new Response(String(body), withType(init, 'text/html; charset=utf-8')),
+      binary: (body, init = {}) => new Response(body, withType(init, 'application/octet-stream')),
+      redirect: (location, status = 302) => new Response(null, {
+        status,
+        headers: { location: String(location) }
+      }),
+
+      /**
+       * Streams a response produced by `producer(writer)`; the writer's
+       * `write()` waits while the client is slower than the function
+       */
+      stream: (producer, init = {}) => {
+        const { readable, writable } = new TransformStream();
+        const writer = writable.getWriter();
+        const encoder = new TextEncoder();
+
+        Promise.resolve()
+          .then(() => producer({
+            write: (chunk) => writer.write(typeof chunk === 'string' ? encoder.encode(chunk) : chunk),
+            close: () => writer.close()
+          }))
+          .then(
+            () => writer.close().catch(() => {}),
+            (error) => writer.abort(error).catch(() => {})
+          );
+
+        return new Response(readable, withType(init, 'application/octet-stream'));
+      }
+    };
+  }
+
+  /**
+   * Marks an object returned by ctx.success / ctx.error
+   */
+  trackHelperResult(result) {
+    this.helperResults.add(result);
+    return result;
+  }
+
+  /**
+   * Gets the HTTP status and headers requested through ctx.success / ctx.error
+   */
+  describeHelperResult(result) {
+    if (result.status === 'error') {
+      const code = parseInt(result.code);
+      return { status: code >= 400 && code <= 599 ? code : 500, headers: [] };
+    }
+
+    const headers = [];
+    Object.entries(result.headers || {}).forEach(([name, value]) => {
+      [].concat(value).forEach((item) => headers.push([name, String(item)]));
+    });
+    return { status: 200, headers };
+  }
+
+  /**
+   * Sends a Response returned by the handler to the main thread
+   *
+   * The body is read chunk by chunk and each chunk waits for the main thread,
+   * so streams are forwarded as they are produced.
+   */
+  async sendResponse(response) {
+    const head = {
+      status: response.status,
+      headers: Array.from(response.headers)
+    };
+    await this.bridge.call('response.start', [head]);
+
+    if (response.body) {
+      const reader = response.body.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        if (typeof value === 'string') {
+          await this.bridge.call('response.write', [Buffer.from(value)]);
+        } else if (ArrayBuffer.isView(value)) {
+          await this.bridge.call('response.write', [value]);
+        } else {
+          throw new TypeError('Response body chunks must be strings or Uint8Arrays');
+        }
+      }
+    }
+
+    return head;
+  }
+
+  /**
+   * Runs a callback in a database transaction held open on the main thread,
+   * committing when it resolves and rolling back when it throws
+   */
+  async runTransaction(callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('db.transaction() requires a callback');
+    }
+
+    const id = await this.bridge.call('db.transaction', ['begin']);
+    const tx = {
+      query: (query, params, options) => this.bridge.call('db.transaction', ['query', [id, query, params, options]])
+    };
+    try {
+      const result = await callback(tx);
+      await this.bridge.call('db.transaction', ['commit', [id]]);
+      return result;
+    } catch (error) {
+      await this.bridge.call('db.transaction', ['rollback', [id]]).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Creates the ctx.db.project.entities proxy for the sandbox
+   *
+   * Only the entity methods are exposed; tenant and project always come from
+   * the BaasContext on the main thread, so user code cannot reach another
+   * project's data.
+   */
+  createEntityBridge() {
+    const methods = ['findMany', 'findOne', 'create', 'update', 'delete', 'count'];
+
+    return new Proxy({}, {
+      get: (target, entityName) => {
+        // Ignore symbol lookups and thenable probes (e.g. `await ctx.db.project.entities`)
+        if (typeof entityName !== 'string' || entityName === 'then') {
+          return undefined;
+        }
+
+        const bridge = {};
+        methods.forEach((method) => {
+          bridge[method] = (...args) => this.bridge.call('db.entity', [entityName, method, args]);
+        });
+        return Object.freeze(bridge);
+      },
+      set: () => false,
+      defineProperty: () => false
+    });
+  }
+
+  /**
+   * Creates the web platform globals (fetch types, URL, encoding, streams, crypto)
+   */
+  createWebGlobals() {
+    return {
+      Request,
+      Response,
+      Headers,
+      FormData,
+      Blob,
+      File,
+      URL,
+      URLSearchParams,
+      TextEncoder,
+      TextDecoder,
+      AbortController,
+      AbortSignal,
+      DOMException,
+      Event,
+      EventTarget,
+      ReadableStream,
+      WritableStream,
+      TransformStream,
+      crypto: webcrypto,
+      atob,
+      btoa,
+      structuredClone,
+      queueMicrotask
+    };
+  }
+
+  /**
+   * Sandbox console implementation
+   */
+  sandboxConsole(level, args) {
+    this.sandboxLog(level, args.map(arg => this.formatLogArg(arg)).join(' '));
+  }
+
+  /**
+   * Sends a log entry to the main thread, which attaches it to the execution
+   *
+   * The timestamp is taken here so entries keep the time they were written,
+   * and data is reduced to plain JSON so it survives postMessage.
+   */
+  sandboxLog(level, message, data) {
+    let entryData = null;
+    if (data !== undefined && data !== null) {
+      try {
+        entryData = JSON.parse(JSON.stringify(data));
+      } catch (error) {
+        entryData = { unserializable: String(data) };
+      }
+    }
+
+    this.bridge.log({
+      level,
+      message: typeof message === 'string' ? message : this.formatLogArg(message),
+      data: entryData,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  formatLogArg(arg) {
+    // Errors from the sandbox realm fail instanceof checks
+    if (arg && typeof arg === 'object' && typeof arg.stack === 'string' && typeof arg.message === 'string') {
+      return arg.stack;
+    }
+    if (typeof arg !== 'object' || arg === null) {
+      return String(arg);
+    }
+    try {
+      return JSON.stringify(arg);
+    } catch (error) {
+      return String(arg);
+    }
+  }
+}
+
+module.exports = Sandbox;
@@ -0,0 +1,262 @@
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+const DEFAULT_SOCKET_TIMEOUT = 30000;
+
+/**
+ * Sandbox Fetch - WHATWG fetch for function code
+ *
+ * Built on http/https instead of the runtime's fetch so every connection goes
+ * through the execution's egress policy: URLs are checked before each request
+ * and redirect hop, resolved addresses are checked in `lookup`, and response
+ * bodies are capped at the policy's byte limit (after decompression).
+ *
+ * Returns standard Request/Response/Headers objects, so code written for edge
+ * runtimes can use streaming bodies, `arrayBuffer()`, `blob()`, redirects and
+ * AbortController unchanged. Requests still open when an execution finishes
+ * are aborted by `abortAll()`, since workers are reused.
+ *
+ * With a `tracer` each call is reported as a client span and carries its
+ * `traceparent` header.
+ */
+class SandboxFetch {
+  constructor(policy, tracer = null) {
+    this.policy = policy;
+    this.tracer = tracer;
+    this.active = new Set();
+    this.fetch = this.fetch.bind(this);
+  }
+
+  /**
+   * Performs a request
+   *
+   * @param {string|URL|Request} input - Resource to fetch
+   * @param {object} init - Standard RequestInit, plus `timeout` (socket idle timeout in ms)
+   * @returns {Promise<Response>}
+   */
+  async fetch(input, init = {}) {
+    if (!this.tracer) {
+      return this.perform(input, init);
+    }
+
+    const request = new Request(input, init);
+    const span = await this.tracer.start(`fetch ${request.method}`, {
+      'http.request.method': request.method,
+      'url.full': request.url.split('?')[0]
+    });
+
+    try {
+      const headers = new Headers(request.headers);
+      Object.entries(span.headers).forEach(([name, value]) => headers.set(name, value));
+      const response = await this.perform(request, { headers, timeout: init.timeout });
+      this.tracer.end(span.id, { 'http.response.status_code': response.status }, response.status >= 500 ? `HTTP ${response.status}` : null);
+      return response;
+    } catch (error) {
+      this.tracer.end(span.id, {}, error && error.message ? error.message : String(error));
+      throw error;
+    }
+  }
+
+  /**
+   * Performs a request without tracing
+   */
+  async perform(input, init) {
+    const request = new Request(input, init);
+    const signal = request.signal;
+
+    if (signal.aborted) {
+      throw signal.reason;
+    }
+
+    let url = this.policy.assertUrl(request.url);
+    let method = request.method;
+    let body = request.body ? Buffer.from(await request.arrayBuffer()) : null;
+    const headers = new Headers(request.headers);
+    if (!headers.has('accept')) {
+      headers.set('accept', '*/*');
+    }
+    if (!headers.has('accept-encoding')) {
+      headers.set('accept-encoding', 'gzip, deflate, br');
+    }
+
+    for (let redirects = 0; ; redirects++) {
+      const res = await this.send(url, method, headers, body, signal, init.timeout);
+
+      const location = res.headers.location;
+      if (!REDIRECT_STATUSES.includes(res.statusCode) || !location || request.redirect === 'manual') {
+        return this.createResponse(res, url, redirects > 0, signal);
+      }
+
+      res.resume();
+
+      if (request.redirect === 'error') {
+        throw new TypeError(`Redirect to ${location} is not allowed (redirect: "error")`);
+      }
+      if (redirects >= this.policy.maxRedirects) {
+        throw this.policy.tooManyRedirects(url.href);
+      }
+
+      const next = this.policy.assertUrl(new URL(location, url));
+
+      // 303, and 301/302 after a POST, continue as a GET without a body
+      if (res.statusCode === 303 || ((res.statusCode === 301 || res.statusCode === 302) && method === 'POST')) {
+        if (method !== 'HEAD') {
+          method = 'GET';
+        }
+        body = null;
+        ['content-type', 'content-length', 'content-encoding', 'content-language', 'content-location']
+          .forEach((name) => headers.delete(name));
+      }
+
+      // Credentials are not forwarded to another origin
+      if (next.origin !== url.origin) {
+        ['authorization', 'cookie', 'proxy-authorization'].forEach((name) => headers.delete(name));
+      }
+
+      url = next;
+    }
+  }
+
+  /**
+   * Sends a single request and resolves with the response head
+   */
+  send(url, method, headers, body, signal, timeout) {
+    const isHttps = url.protocol === 'https:';
+    const client = isHttps ? https : http;
+
+    const requestHeaders = {};
+    headers.forEach((value, name) => {
+      requestHeaders[name] = value;
+    });
+    if (body) {
+      requestHeaders['content-length'] = String(body.length);
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = client.request({
+        protocol: url.protocol,
+        hostname: url.hostname.replace(/^\[|\]$/g, ''),
+        port: url.port || (isHttps ? 443 : 80),
+        path: url.pathname + url.search,
+        method,
+        headers: requestHeaders,
+        lookup: this.policy.lookup,
+        agent: false
+      });
+
+      const onAbort = () => req.destroy(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      this.active.add(req);
+      req.on('close', () => {
+        this.active.delete(req);
+        signal.removeEventListener('abort', onAbort);
+      });
+
+      req.on('response', resolve);
+      req.on('error', (error) => {
+        if (signal.aborted) {
+          reject(signal.reason);
+        } else if (error.code === 'EGRESS_DENIED') {
+          reject(error);
+        } else {
+          reject(new TypeError(`fetch failed: ${error.message}`, { cause: error }));
+        }
+      });
+
+      req.setTimeout(timeout || DEFAULT_SOCKET_TIMEOUT, () => {
+        req.destroy(new Error('Request timeout'));
+      });
+
+      req.end(body || undefined);
+    });
+  }
+
+  /**
+   * Wraps a response head and its streamed body in a standard Response
+   */
+  createResponse(res, url, redirected, signal) {
+    const headers = new Headers();
+    for (let i = 0; i < res.rawHeaders.length; i += 2) {
+      headers.append(res.rawHeaders[i], res.rawHeaders[i + 1]);
+    }
+
+    let body = null;
+    if (!NULL_BODY_STATUSES.includes(res.statusCode)) {
+      const decoder = this.createDecoder(headers.get('content-encoding'));
+      const stream = decoder ? res.pipe(decoder) : res;
+      if (decoder) {
+        res.on('error', (error) => decoder.destroy(error));
+        // The decoded body no longer matches these headers
+        headers.delete('content-encoding');
+        headers.delete('content-length');
+      }
+
+      const limited = stream.pipe(this.createLimiter(url.href));
+      stream.on('error', (error) => limited.destroy(error));
+      signal.addEventListener('abort', () => limited.destroy(signal.reason), { once: true });
+      body = Readable.toWeb(limited);
+    } else {
+      res.resume();
+    }
+
+    const response = new Response(body, {
+      status: res.statusCode,
+      statusText: res.statusMessage,
+      headers
+    });
+
+    // url and redirected are read-only on Response, set them on the instance
+    Object.defineProperty(response, 'url', { value: url.href, enumerable: true });
+    Object.defineProperty(response, 'redirected', { value: redirected, enumerable: true });
+    return response;
+  }
+
+  /**
+   * Creates a decompression stream for a content encoding, if supported
+   */
+  createDecoder(encoding) {
+    switch ((encoding || '').trim().toLowerCase()) {
+      case 'gzip':
+      case 'x-gzip':
+        return zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      case 'deflate':
+        return zlib.createInflate({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      case 'br':
+        return zlib.createBrotliDecompress({ finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH });
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Creates a stream that fails once the body exceeds the policy's byte limit
+   */
+  createLimiter(target) {
+    let received = 0;
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        received += chunk.length;
+        if (received > this.policy.maxResponseBytes) {
+          callback(this.policy.responseTooLarge(target));
+          return;
+        }
+        callback(null, chunk);
+      }
+    });
+  }
+
+  /**
+   * Aborts requests left open by the last execution
+   */
+  abortAll() {
+    this.active.forEach((req) => req.destroy());
+    this.active.clear();
+  }
+}
+
+module.exports = SandboxFetch;
@@ -0,0 +1,627 @@
+const crypto = require('crypto');
+const os = require('os');
+const Redis = require('ioredis');
+const cronParser = require('cron-parser');
+const { v4: uuidv4 } = require('uuid');
+const FunctionInvoker = require('./FunctionInvoker');
+
+const OVERLAP_POLICIES = ['skip', 'allow'];
+const MISSED_RUN_POLICIES = ['skip', 'run_once', 'run_all'];
+
+// Upper bound on occurrences examined when a schedule is behind
+const MAX_SCAN = 1000;
+const LOCK_MARGIN = 5000;
+
+// Deletes a key, or extends it, only while it still holds the caller's token
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+const RENEW_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+// Moves a schedule to its next run unless that run was already claimed
+const CLAIM_SCRIPT = `
+if redis.call('zscore', KEYS[1], ARGV[1]) == ARGV[2] then
+  redis.call('zadd', KEYS[1], ARGV[3], ARGV[1])
+  return 1
+end
+return 0`;
+
+/**
+ * Scheduler - Runs functions on cron schedules configured per project
+ *
+ * Schedules are stored in Redis, with their next run times in a sorted set.
+ * Every replica runs a scheduler, but only the one holding the leader lease
+ * fires runs; a replica that dies stops renewing the lease and another one
+ * takes over within `leaderTtl` ms. Each run is claimed atomically before it
+ * fires, so a handover never fires the same run twice.
+ *
+ * Runs invoke the function through the Drupal API, the same way an HTTP call
+ * does, so they are written to the function's execution logs with the
+ * `BaaS-Scheduler` user agent. The scheduler keeps its own short history per
+ * schedule, which also records runs that were skipped or missed.
+ */
+class Scheduler {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.options = {
+      redisUrl: options.redisUrl || process.env.REDIS_URL,
+      drupalApiUrl: options.drupalApiUrl || process.env.DRUPAL_API_URL || 'http://localhost',
+      apiKey: options.apiKey || process.env.DRUPAL_API_KEY,
+      keyPrefix: 'baas:scheduler:',
+      tickInterval: 1000,
+      leaderTtl: 15000,
+      missedRunThreshold: 60000, // a run later than this counts as missed
+      maxCatchUp: 10,
+      historySize: 100,
+      defaultTimeout: 300000,
+      shutdownTimeout: 5000,
+      ...options
+    };
+
+    this.invoker = new FunctionInvoker({
+      drupalApiUrl: this.options.drupalApiUrl,
+      apiKey: this.options.apiKey,
+      userAgent: 'BaaS-Scheduler/1.0'
+    });
+
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.redis = null;
+    this.ownsRedis = false;
+    this.isLeader = false;
+
+    this.tickTimer = null;
+    this.leaseTimer = null;
+    this.ticking = false;
+
+    // Runs waiting out their jitter, and runs in progress
+    this.pending = new Set();
+    this.running = new Set();
+
+    this.stats = {
+      fired: 0,
+      succeeded: 0,
+      failed: 0,
+      skipped: 0,
+      missed: 0
+    };
+  }
+
+  /**
+   * Connects to Redis and starts the election and tick loops
+   */
+  async init() {
+    if (this.options.redis) {
+      this.redis = this.options.redis;
+    } else {
+      this.redis = new Redis(this.options.redisUrl);
+      this.ownsRedis = true;
+    }
+
+    this.redis.defineCommand('schedulerRelease', { numberOfKeys: 1, lua: RELEASE_SCRIPT });
+    this.redis.defineCommand('schedulerRenew', { numberOfKeys: 1, lua: RENEW_SCRIPT });
+    this.redis.defineCommand('schedulerClaim', { numberOfKeys: 1, lua: CLAIM_SCRIPT });
+
+    await this.elect();
+
+    this.leaseTimer = setInterval(() => this.elect(), Math.floor(this.options.leaderTtl / 3));
+    this.tickTimer = setInterval(() => this.tick(), this.options.tickInterval);
+
+    this.logger.info('Scheduler initialized', {
+      instance_id: this.instanceId,
+      leader: this.isLeader
+    });
+  }
+
+  key(name) {
+    return `${this.options.keyPrefix}${name}`;
+  }
+
+  /**
+   * Acquires or renews the leader lease
+   */
+  async elect() {
+    const leaderKey = this.key('leader');
+
+    try {
+      if (this.isLeader) {
+        const renewed = await this.redis.schedulerRenew(leaderKey, this.instanceId, this.options.leaderTtl);
+        if (!renewed) {
+          this.isLeader = false;
+          this.logger.warn('Scheduler lost leadership', { instance_id: this.instanceId });
+        }
+        return;
+      }
+
+      const acquired = await this.redis.set(leaderKey, this.instanceId, 'PX', this.options.leaderTtl, 'NX');
+      if (acquired) {
+        this.isLeader = true;
+        this.logger.info('Scheduler elected leader', { instance_id: this.instanceId });
+      }
+    } catch (error) {
+      // Without Redis the lease cannot be renewed, so stop firing until it can
+      this.isLeader = false;
+      this.logger.error('Scheduler leader election failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Fires the runs that are due
+   */
+  async tick() {
+    if (!this.isLeader || this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const now = Date.now();
+      const due = await this.redis.zrangebyscore(this.key('due'), '-inf', now, 'WITHSCORES', 'LIMIT', 0, 100);
+
+      for (let i = 0; i < due.length; i += 2) {
+        await this.processDue(due[i], due[i + 1], now);
+      }
+    } catch (error) {
+      this.logger.error('Scheduler tick failed', { error: error.message });
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Claims a due schedule, moves it to its next run and fires it according
+   * to its missed-run policy
+   */
+  async processDue(id, score, now) {
+    const schedule = await this.load(id);
+    if (!schedule || !schedule.enabled) {
+      await this.redis.zrem(this.key('due'), id);
+      return;
+    }
+
+    const { fire, missed } = this.collectRuns(schedule, Number(score), now);
+    const nextRunAt = this.nextRunAt(schedule, now);
+
+    const claimed = await this.redis.schedulerClaim(this.key('due'), id, score, nextRunAt);
+    if (!claimed) {
+      return;
+    }
+
+    if (missed.length > 0) {
+      this.stats.missed += missed.length;
+      await this.record(schedule.id, {
+        run_id: `run_${uuidv4()}`,
+        schedule_id: schedule.id,
+        function_name: schedule.function_name,
+        scheduled_at: new Date(missed[0]).toISOString(),
+        status: 'missed',
+        missed_count: missed.length,
+        last_missed_at: new Date(missed[missed.length - 1]).toISOString()
+      });
+    }
+
+    if (fire.length > 0) {
+      this.dispatch(schedule, fire);
+    }
+  }
+
+  /**
+   * Splits the occurrences between a schedule's due time and now into runs to
+   * fire and runs missed, following its missed-run policy
+   */
+  collectRuns(schedule, dueAt, now) {
+    const occurrences = [dueAt];
+    const interval = cronParser.parseExpression(schedule.cron, {
+      currentDate: new Date(dueAt),
+      endDate: new Date(now),
+      tz: schedule.timezone
+    });
+    while (occurrences.length < MAX_SCAN && interval.hasNext()) {
+      occurrences.push(interval.next().getTime());
+    }
+
+    const latest = occurrences[occurrences.length - 1];
+    let fire;
+    switch (schedule.missed_runs) {
+      case 'run_all':
+        fire = occurrences.slice(-this.options.maxCatchUp);
+        break;
+      case 'run_once':
+        fire = [latest];
+        break;
+      default:
+        fire = now - latest > this.options.missedRunThreshold ? [] : [latest];
+    }
+
+    return {
+      fire,
+      missed: occurrences.filter((time) => !fire.includes(time))
+    };
+  }
+
+  /**
+   * Gets the first occurrence after a time, in ms
+   */
+  nextRunAt(schedule, after) {
+    return cronParser.parseExpression(schedule.cron, {
+      currentDate: new Date(after),
+      tz: schedule.timezone
+    }).next().getTime();
+  }
+
+  /**
+   * Fires runs after the schedule's random jitter
+   */
+  dispatch(schedule, times) {
+    const delay = schedule.jitter_ms > 0 ? crypto.randomInt(schedule.jitter_ms + 1) : 0;
+
+    const timer = setTimeout(() => {
+      this.pending.delete(timer);
+
+      const run = this.runAll(schedule, times)
+        .catch((error) => {
+          this.logger.error('Scheduled run failed', { schedule_id: schedule.id, error: error.message });
+        })
+        .finally(() => this.running.delete(run));
+      this.running.add(run);
+    }, delay);
+
+    this.pending.add(timer);
+  }
+
+  /**
+   * Runs the given occurrences one after another, holding the schedule's
+   * overlap lock unless overlapping runs are allowed
+   */
+  async runAll(schedule, times) {
+    const preventOverlap = schedule.overlap !== 'allow';
+    const lockKey = this.key(`lock:${schedule.id}`);
+    const token = uuidv4();
+
+    if (preventOverlap) {
+      const ttl = schedule.timeout_ms * times.length + LOCK_MARGIN;
+      const locked = await this.redis.set(lockKey, token, 'PX', ttl, 'NX');
+
+      if (!locked) {
+        for (const time of times) {
+          this.stats.skipped++;
+          await this.record(schedule.id, {
+            run_id: `run_${uuidv4()}`,
+            schedule_id: schedule.id,
+            function_name: schedule.function_name,
+            scheduled_at: new Date(time).toISOString(),
+            status: 'skipped',
+            reason: 'Previous run is still in progress'
+          });
+        }
+        return;
+      }
+    }
+
+    try {
+      for (const time of times) {
+        await this.invoke(schedule, time);
+      }
+    } finally {
+      if (preventOverlap) {
+        await this.redis.schedulerRelease(lockKey, token);
+      }
+    }
+  }
+
+  /**
+   * Invokes the function through the Drupal API and records the run
+   */
+  async invoke(schedule, scheduledAt) {
+    const startedAt = Date.now();
+    const run = {
+      run_id: `run_${uuidv4()}`,
+      schedule_id: schedule.id,
+      function_name: schedule.function_name,
+      scheduled_at: new Date(scheduledAt).toISOString(),
+      started_at: new Date(startedAt).toISOString()
+    };
+
+    // The function sees the schedule next to its payload
+    const body = {
+      schedule: {
+        id: schedule.id,
+        cron: schedule.cron,
+        scheduled_at: run.scheduled_at,
+        run_id: run.run_id
+      },
+      payload: schedule.payload
+    };
+
+    this.stats.fired++;
+
+    Object.assign(run, await this.invoker.invoke(schedule, body, {
+      timeout: schedule.timeout_ms,
+      headers: { 'X-BaaS-Schedule-ID': schedule.id }
+    }));
+
+    run.finished_at = new Date().toISOString();
+    run.duration_ms = Date.now() - startedAt;
+
+    if (run.status === 'success') {
+      this.stats.succeeded++;
+    } else {
+      this.stats.failed++;
+      this.logger.warn('Scheduled run failed', {
+        schedule_id: schedule.id,
+        function_name: schedule.function_name,
+        error: run.error
+      });
+    }
+
+    await this.record(schedule.id, run);
+    return run;
+  }
+
+  /**
+   * Adds an entry to a schedule's run history, newest first
+   */
+  async record(id, entry) {
+    const historyKey = this.key(`runs:${id}`);
+    await this.redis.multi()
+      .lpush(historyKey, JSON.stringify(entry))
+      .ltrim(historyKey, 0, this.options.historySize - 1)
+      .exec();
+  }
+
+  /**
+   * Creates a schedule
+   */
+  async create(input) {
+    const now = new Date().toISOString();
+    const schedule = this.validate({
+      id: `sch_${uuidv4()}`,
+      tenant_id: input.tenant_id,
+      project_id: input.project_id,
+      function_name: input.function_name,
+      cron: input.cron,
+      timezone: input.timezone || 'UTC',
+      enabled: input.enabled !== undefined ? input.enabled : true,
+      payload: input.payload !== undefined ? input.payload : {},
+      overlap: input.overlap || 'skip',
+      missed_runs: input.missed_runs || 'skip',
+      jitter_ms: input.jitter_ms !== undefined ? input.jitter_ms : 0,
+      timeout_ms: input.timeout_ms !== undefined ? input.timeout_ms : this.options.defaultTimeout,
+      created_at: now,
+      updated_at: now
+    });
+
+    await this.save(schedule);
+    return this.get(schedule.id);
+  }
+
+  /**
+   * Updates a schedule; the project it belongs to cannot change
+   */
+  async update(id, changes) {
+    const existing = await this.load(id);
+    if (!existing) {
+      throw this.notFound(id);
+    }
+
+    const updatable = ['function_name', 'cron', 'timezone', 'enabled', 'payload', 'overlap', 'missed_runs', 'jitter_ms', 'timeout_ms'];
+    const schedule = { ...existing, updated_at: new Date().toISOString() };
+    updatable.forEach((field) => {
+      if (changes[field] !== undefined) {
+        schedule[field] = changes[field];
+      }
+    });
+
+    await this.save(this.validate(schedule));
+    return this.get(id);
+  }
+
+  /**
+   * Deletes a schedule and its run history
+   */
+  async delete(id) {
+    const existing = await this.load(id);
+    if (!existing) {
+      throw this.notFound(id);
+    }
+
+    await this.redis.multi()
+      .hdel(this.key('schedules'), id)
+      .zrem(this.key('due'), id)
+      .srem(this.key(`project:${existing.project_id}`), id)
+      .del(this.key(`runs:${id}`))
+      .exec();
+  }
+
+  /**
+   * Gets a schedule with its next run and last run
+   */
+  async get(id) {
+    const schedule = await this.load(id);
+    if (!schedule) {
+      throw this.notFound(id);
+    }
+
+    const [[, score], [, lastRun]] = await this.redis.multi()
+      .zscore(this.key('due'), id)
+      .lindex(this.key(`runs:${id}`), 0)
+      .exec();
+
+    return {
+      ...schedule,
+      next_run_at: score !== null ? new Date(Number(score)).toISOString() : null,
+      last_run: lastRun ? JSON.parse(lastRun) : null
+    };
+  }
+
+  /**
+   * Lists a project's schedules
+   */
+  async list(projectId) {
+    const ids = await this.redis.smembers(this.key(`project:${projectId}`));
+    const schedules = [];
+
+    for (const id of ids.sort()) {
+      try {
+        schedules.push(await this.get(id));
+      } catch (error) {
+        if (error.code !== 'SCHEDULE_NOT_FOUND') {
+          throw error;
+        }
+      }
+    }
+    return schedules;
+  }
+
+  /**
+   * Gets a schedule's run history, newest first
+   */
+  async getRuns(id, limit = 20) {
+    if (!(await this.load(id))) {
+      throw this.notFound(id);
+    }
+
+    const count = Math.min(Math.max(parseInt(limit) || 20, 1), this.options.historySize);
+    const entries = await this.redis.lrange(this.key(`runs:${id}`), 0, count - 1);
+    return entries.map((entry) => JSON.parse(entry));
+  }
+
+  async load(id) {
+    const value = await this.redis.hget(this.key('schedules'), id);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Stores a schedule and queues its next run from now
+   */
+  async save(schedule) {
+    const transaction = this.redis.multi()
+      .hset(this.key('schedules'), schedule.id, JSON.stringify(schedule))
+      .sadd(this.key(`project:${schedule.project_id}`), schedule.id);
+
+    if (schedule.enabled) {
+      transaction.zadd(this.key('due'), this.nextRunAt(schedule, Date.now()), schedule.id);
+    } else {
+      transaction.zrem(this.key('due'), schedule.id);
+    }
+
+    await transaction.exec();
+  }
+
+  /**
+   * Validates a schedule
+   */
+  validate(schedule) {
+    const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+    const isInteger = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+
+    const rules = {
+      tenant_id: [isNonEmptyString, 'is required'],
+      project_id: [isNonEmptyString, 'is required'],
+      function_name: [isNonEmptyString, 'is required'],
+      cron: [isNonEmptyString, 'is required'],
+      timezone: [(value) => this.isValidTimezone(value), 'must be an IANA time zone'],
+      enabled: [(value) => typeof value === 'boolean', 'must be a boolean'],
+      overlap: [(value) => OVERLAP_POLICIES.includes(value), `must be one of: ${OVERLAP_POLICIES.join(', ')}`],
+      missed_runs: [(value) => MISSED_RUN_POLICIES.includes(value), `must be one of: ${MISSED_RUN_POLICIES.join(', ')}`],
+      jitter_ms: [isInteger(0, 3600000), 'must be between 0 and 3600000'],
+      timeout_ms: [isInteger(1000, 900000), 'must be between 1000 and 900000']
+    };
+
+    const errors = [];
+    Object.keys(rules).forEach((key) => {
+      const [isValid, message] = rules[key];
+      if (!isValid(schedule[key])) {
+        errors.push(`${key} ${message}`);
+      }
+    });
+
+    if (errors.length === 0) {
+      try {
+        cronParser.parseExpression(schedule.cron, { tz: schedule.timezone });
+      } catch (error) {
+        errors.push(`cron is not a valid expression (${error.message})`);
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error(`Invalid schedule: ${errors.join(', ')}`);
+      error.name = 'ValidationError';
+      error.code = 'INVALID_SCHEDULE';
+      throw error;
+    }
+
+    return schedule;
+  }
+
+  isValidTimezone(timezone) {
+    if (typeof timezone !== 'string') {
+      return false;
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  notFound(id) {
+    const error = new Error(`Schedule not found: ${id}`);
+    error.name = 'NotFoundError';
+    error.code = 'SCHEDULE_NOT_FOUND';
+    return error;
+  }
+
+  /**
+   * Gets scheduler statistics
+   */
+  getStats() {
+    return {
+      instance_id: this.instanceId,
+      leader: this.isLeader,
+      pending: this.pending.size,
+      running: this.running.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Stops firing, waits briefly for runs in progress and hands over the lease
+   */
+  async close() {
+    clearInterval(this.tickTimer);
+    clearInterval(this.leaseTimer);
+    this.pending.forEach((timer) => clearTimeout(timer));
+    this.pending.clear();
+
+    if (this.running.size > 0) {
+      let timer;
+      await Promise.race([
+        Promise.allSettled(Array.from(this.running)),
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, this.options.shutdownTimeout);
+        })
+      ]);
+      clearTimeout(timer);
+    }
+
+    if (this.redis) {
+      if (this.isLeader) {
+        await this.redis.schedulerRelease(this.key('leader'), this.instanceId).catch(() => {});
+        this.isLeader = false;
+      }
+      if (this.ownsRedis) {
+        await this.redis.quit();
+      }
+    }
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,517 @@
+const ChangeTriggers = require('./ChangeTriggers');
+
+// Statements a function may run; everything else, DDL included, is rejected
+const READ_STATEMENTS = new Set(['SELECT', 'WITH', 'VALUES', 'TABLE']);
+const WRITE_STATEMENTS = new Set([...READ_STATEMENTS, 'INSERT', 'UPDATE', 'DELETE']);
+const DDL_STATEMENTS = new Set([
+  'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'GRANT', 'REVOKE', 'COMMENT', 'SECURITY',
+  'REINDEX', 'CLUSTER', 'VACUUM', 'ANALYZE', 'REFRESH', 'IMPORT'
+]);
+const WRITE_KEYWORDS = new Set(['INSERT', 'UPDATE', 'DELETE', 'MERGE']);
+
+// Keywords followed by a table reference, and those that end a FROM list
+const TABLE_KEYWORDS = new Set(['FROM', 'JOIN', 'INTO', 'UPDATE', 'USING', 'TABLE']);
+const LIST_END_KEYWORDS = new Set([
+  'WHERE', 'GROUP', 'HAVING', 'WINDOW', 'ORDER', 'LIMIT', 'OFFSET', 'FETCH', 'FOR',
+  'UNION', 'INTERSECT', 'EXCEPT', 'RETURNING', 'SET'
+]);
+
+// Keywords that end a table reference, so they are not taken for an alias
+const CLAUSE_KEYWORDS = new Set([
+  'WHERE', 'GROUP', 'ORDER', 'LIMIT', 'OFFSET', 'HAVING', 'WINDOW', 'UNION', 'INTERSECT',
+  'EXCEPT', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL', 'ON', 'USING',
+  'SET', 'RETURNING', 'VALUES', 'SELECT', 'DEFAULT', 'FOR', 'FETCH', 'TABLESAMPLE', 'WITH',
+  'OVERRIDING', 'AND', 'OR', 'NOT', 'AS'
+]);
+
+// Functions whose FROM is not a table reference, e.g. EXTRACT(YEAR FROM created)
+const FROM_FUNCTIONS = new Set(['EXTRACT', 'SUBSTRING', 'TRIM', 'OVERLAY', 'NORMALIZE']);
+
+// Functions a statement may call. Anything else is rejected, since functions
+// such as ts_stat() or query_to_xml() run SQL given to them as a string
+const ALLOWED_FUNCTIONS = new Set([
+  // Aggregates and window functions
+  'count', 'sum', 'avg', 'min', 'max', 'array_agg', 'string_agg', 'json_agg', 'jsonb_agg',
+  'json_object_agg', 'jsonb_object_agg', 'bool_and', 'bool_or', 'every', 'bit_and', 'bit_or',
+  'stddev', 'stddev_pop', 'stddev_samp', 'variance', 'var_pop', 'var_samp', 'corr',
+  'percentile_cont', 'percentile_disc', 'mode', 'row_number', 'rank', 'dense_rank',
+  'percent_rank', 'cume_dist', 'ntile', 'lag', 'lead', 'first_value', 'last_value', 'nth_value',
+  // Conditionals and conversions
+  'coalesce', 'nullif', 'greatest', 'least', 'cast', 'to_char', 'to_number', 'to_date',
+  'to_timestamp',
+  // Strings
+  'lower', 'upper', 'initcap', 'length', 'char_length', 'character_length', 'octet_length',
+  'concat', 'concat_ws', 'left', 'right', 'lpad', 'rpad', 'trim', 'ltrim', 'rtrim', 'btrim',
+  'substring', 'substr', 'position', 'strpos', 'overlay', 'replace', 'translate', 'reverse',
+  'repeat', 'split_part', 'starts_with', 'format', 'normalize', 'md5', 'encode', 'decode',
+  'regexp_replace', 'regexp_match', 'regexp_matches', 'regexp_split_to_array',
+  'regexp_split_to_table', 'quote_ident', 'quote_literal', 'quote_nullable',
+  // Numbers
+  'abs', 'ceil', 'ceiling', 'floor', 'round', 'trunc', 'mod', 'div', 'power', 'sqrt', 'cbrt',
+  'exp', 'ln', 'log', 'sign', 'pi', 'random', 'width_bucket',
+  // Dates and times
+  'now', 'clock_timestamp', 'statement_timestamp', 'transaction_timestamp', 'age', 'extract',
+  'date_part', 'date_trunc', 'date_bin', 'make_date', 'make_time', 'make_timestamp',
+  'make_timestamptz', 'make_interval', 'justify_days', 'justify_hours', 'justify_interval',
+  'isfinite', 'timezone',
+  // JSON
+  'to_json', 'to_jsonb', 'row_to_json', 'array_to_json', 'json_build_object',
+  'jsonb_build_object', 'json_build_array', 'jsonb_build_array', 'json_object', 'jsonb_object',
+  'json_array_length', 'jsonb_array_length', 'json_typeof', 'jsonb_typeof',
+  'json_extract_path', 'jsonb_extract_path', 'json_extract_path_text', 'jsonb_extract_path_text',
+  'json_array_elements', 'jsonb_array_elements', 'json_array_elements_text',
+  'jsonb_array_elements_text', 'json_each', 'jsonb_each', 'json_each_text', 'jsonb_each_text',
+  'json_object_keys', 'jsonb_object_keys', 'jsonb_set', 'jsonb_insert', 'jsonb_strip_nulls',
+  'jsonb_pretty', 'jsonb_path_exists', 'jsonb_path_match', 'jsonb_path_query',
+  'jsonb_path_query_array', 'jsonb_path_query_first',
+  // Arrays and set-returning functions
+  'array_length', 'array_lower', 'array_upper', 'array_dims', 'array_position',
+  'array_positions', 'array_append', 'array_prepend', 'array_cat', 'array_remove',
+  'array_replace', 'array_to_string', 'string_to_array', 'cardinality', 'unnest',
+  'generate_series', 'generate_subscripts',
+  // Full text search on the statement's own columns
+  'to_tsvector', 'to_tsquery', 'plainto_tsquery', 'phraseto_tsquery', 'websearch_to_tsquery',
+  'setweight', 'ts_rank', 'ts_rank_cd', 'ts_headline',
+  'gen_random_uuid'
+]);
+
+// Keywords that may be followed by a parenthesis without being a function call
+const PAREN_KEYWORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'EXISTS', 'ANY', 'ALL', 'SOME', 'ARRAY',
+  'ROW', 'VALUES', 'AS', 'ON', 'USING', 'JOIN', 'LATERAL', 'OVER', 'FILTER', 'GROUP', 'BY',
+  'WITH', 'RECURSIVE', 'MATERIALIZED', 'INTO', 'SET', 'RETURNING', 'CONFLICT', 'DO', 'WHEN',
+  'THEN', 'ELSE', 'CASE', 'HAVING', 'UNION', 'INTERSECT', 'EXCEPT', 'IS', 'LIKE', 'ILIKE',
+  'BETWEEN', 'DISTINCT', 'ONLY', 'LIMIT', 'OFFSET', 'WINDOW', 'PARTITION', 'ORDER', 'END'
+]);
+
+/**
+ * SQL Guard - Confines a function's SQL statement to its own project
+ *
+ * The statement is tokenized (strings, quoted identifiers, dollar quoting and
+ * comments included) and must be a single SELECT, or a single INSERT, UPDATE
+ * or DELETE in write mode. Table references are entity names: each one is
+ * rewritten to the schema-qualified project table, so `FROM orders` reads
+ * `"public"."baas_1a2b3c_orders"`. Schema-qualified names, other projects'
+ * tables and system catalogs are rejected, and only functions on an
+ * allow-list may be called.
+ *
+ * ProjectDatabase runs the rewritten statement with an empty search_path, so
+ * a reference the guard did not recognize fails instead of reaching a table
+ * outside the project.
+ */
+class SqlGuard {
+  constructor(tenantId, projectId, schema = 'public') {
+    if (!tenantId || !projectId) {
+      throw SqlGuard.error('SQL access requires a tenant and project context', 'SQL_NOT_ALLOWED');
+    }
+
+    this.tenantId = String(tenantId);
+    this.projectId = String(projectId);
+    this.schema = schema;
+    this.prefix = ChangeTriggers.tableName(this.tenantId, this.projectId, '');
+  }
+
+  /**
+   * Validates a statement and rewrites its table references
+   *
+   * @param {string} sql - Statement with $1, $2... placeholders
+   * @param {string} mode - 'read' or 'write'
+   * @returns {string} Statement to run, without a trailing semicolon
+   */
+  check(sql, mode = 'read') {
+    if (typeof sql !== 'string' || sql.trim() === '') {
+      throw SqlGuard.error('SQL query must be a non-empty string', 'SQL_INVALID');
+    }
+
+    const tokens = SqlGuard.tokenize(sql);
+    while (tokens.length > 0 && SqlGuard.isPunct(tokens[tokens.length - 1], ';')) {
+      tokens.pop();
+    }
+    if (tokens.length === 0) {
+      throw SqlGuard.error('SQL query must be a non-empty string', 'SQL_INVALID');
+    }
+    if (tokens.some((token) => SqlGuard.isPunct(token, ';'))) {
+      throw SqlGuard.error('Only a single SQL statement is allowed', 'SQL_MULTIPLE_STATEMENTS');
+    }
+
+    this.checkStatement(tokens, mode);
+
+    const tables = this.findTables(tokens);
+    this.checkNames(tokens, tables);
+
+    // Splice the project table names into the original text
+    let statement = '';
+    let offset = 0;
+    for (const index of [...tables.keys()].sort((a, b) => a - b)) {
+      const token = tokens[index];
+      statement += sql.slice(offset, token.start) + tables.get(index);
+      offset = token.end;
+    }
+    return statement + sql.slice(offset, tokens[tokens.length - 1].end);
+  }
+
+  checkStatement(tokens, mode) {
+    const statement = SqlGuard.keyword(tokens[0]);
+
+    if (DDL_STATEMENTS.has(statement)) {
+      throw SqlGuard.error(`${statement} statements are not allowed`, 'SQL_DDL_NOT_ALLOWED');
+    }
+    const allowed = mode === 'write' ? WRITE_STATEMENTS : READ_STATEMENTS;
+    if (!allowed.has(statement)) {
+      throw SqlGuard.error(
+        mode === 'write'
+          ? 'Only SELECT, INSERT, UPDATE and DELETE statements are allowed'
+          : 'Only SELECT statements are allowed; use ctx.db.transaction() for writes',
+        mode !== 'write' && WRITE_STATEMENTS.has(statement) ? 'SQL_READ_ONLY' : 'SQL_STATEMENT_NOT_ALLOWED'
+      );
+    }
+
+    tokens.forEach((token, index) => {
+      const keyword = SqlGuard.keyword(token);
+
+      if (mode !== 'write' && WRITE_KEYWORDS.has(keyword)) {
+        throw SqlGuard.error(`${keyword} is not allowed in a read-only query; use ctx.db.transaction() for writes`, 'SQL_READ_ONLY');
+      }
+      // SELECT ... INTO creates a table
+      if (keyword === 'INTO' && SqlGuard.keyword(tokens[index - 1]) !== 'INSERT') {
+        throw SqlGuard.error('SELECT INTO is not allowed', 'SQL_DDL_NOT_ALLOWED');
+      }
+    });
+  }
+
+  /**
+   * Finds table references and resolves each to a project table
+   *
+   * @returns {Map<number, string>} Token index => replacement text
+   */
+  findTables(tokens) {
+    const ctes = this.findCteNames(tokens);
+    const tables = new Map();
+    const parens = [];
+    // Parenthesis depths whose FROM list is open, where a comma starts another table
+    const fromLists = new Set();
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (SqlGuard.isPunct(token, '(')) {
+        parens.push(SqlGuard.keyword(tokens[i - 1]));
+        continue;
+      }
+      if (SqlGuard.isPunct(token, ')')) {
+        fromLists.delete(parens.length);
+        parens.pop();
+        continue;
+      }
+      if (SqlGuard.isPunct(token, ',') && fromLists.has(parens.length)) {
+        this.readTable(tokens, i + 1, 'FROM', ctes, tables);
+        continue;
+      }
+
+      const keyword = SqlGuard.keyword(token);
+      if (LIST_END_KEYWORDS.has(keyword)) {
+        fromLists.delete(parens.length);
+      }
+      if (!TABLE_KEYWORDS.has(keyword)) {
+        continue;
+      }
+
+      const previous = SqlGuard.keyword(tokens[i - 1]);
+      if (
+        (keyword === 'FROM' && (previous === 'DISTINCT' || FROM_FUNCTIONS.has(parens[parens.length - 1]))) ||
+        (keyword === 'UPDATE' && ['FOR', 'KEY', 'DO'].includes(previous)) ||
+        (keyword === 'USING' && SqlGuard.isPunct(tokens[i + 1], '('))
+      ) {
+        continue;
+      }
+
+      if (keyword === 'FROM' || keyword === 'USING') {
+        fromLists.add(parens.length);
+      }
+      this.readTable(tokens, i + 1, keyword, ctes, tables);
+    }
+
+    return tables;
+  }
+
+  /**
+   * Resolves the table reference starting at `index`, if it names a table
+   */
+  readTable(tokens, index, keyword, ctes, tables) {
+    let i = index;
+    while (['ONLY', 'LATERAL'].includes(SqlGuard.keyword(tokens[i]))) {
+      i++;
+    }
+
+    const token = tokens[i];
+    // Subqueries and parenthesized joins are scanned on their own
+    if (!token || (token.type !== 'word' && token.type !== 'ident')) {
+      return;
+    }
+    // Set-returning function such as generate_series(1, 10)
+    if (SqlGuard.isPunct(tokens[i + 1], '(') && (keyword === 'FROM' || keyword === 'JOIN')) {
+      return;
+    }
+    if (SqlGuard.isPunct(tokens[i + 1], '.')) {
+      throw SqlGuard.error(
+        `Schema-qualified table names are not allowed: ${token.value}.${tokens[i + 2] ? tokens[i + 2].value : ''}`,
+        'SQL_TABLE_NOT_ALLOWED'
+      );
+    }
+
+    const name = SqlGuard.identifier(token);
+    if (ctes.has(name)) {
+      return;
+    }
+
+    tables.set(i, this.resolveTable(name));
+
+    // ONLY orders * (the star is legacy syntax for "with descendants")
+    let last = i;
+    if (SqlGuard.isOperator(tokens[i + 1], '*')) {
+      last = i + 1;
+      tables.set(last, '*');
+    }
+
+    const next = tokens[last + 1];
+    const aliased = next && (
+      next.type === 'ident' ||
+      (next.type === 'word' && (SqlGuard.keyword(next) === 'AS' || !CLAUSE_KEYWORDS.has(SqlGuard.keyword(next))))
+    );
+    // Keep the written name usable as a column qualifier (orders.id)
+    if (!aliased && keyword !== 'TABLE') {
+      tables.set(last, `${tables.get(last)} AS ${SqlGuard.quote(name)}`);
+    }
+  }
+
+  /**
+   * Collects the names defined by WITH, which are not entity tables
+   */
+  findCteNames(tokens) {
+    const names = new Set();
+
+    tokens.forEach((token, i) => {
+      if (token.type !== 'word' && token.type !== 'ident') {
+        return;
+      }
+      const previous = tokens[i - 1];
+      if (!['WITH', 'RECURSIVE'].includes(SqlGuard.keyword(previous)) && !SqlGuard.isPunct(previous, ',')) {
+        return;
+      }
+
+      let next = i + 1;
+      if (SqlGuard.isPunct(tokens[next], '(')) {
+        next = SqlGuard.skipParens(tokens, next);
+      }
+      const body = tokens[next + 1];
+      if (SqlGuard.keyword(tokens[next]) === 'AS' && (SqlGuard.isPunct(body, '(') || ['NOT', 'MATERIALIZED'].includes(SqlGuard.keyword(body)))) {
+        names.add(SqlGuard.identifier(token));
+      }
+    });
+
+    return names;
+  }
+
+  resolveTable(name) {
+    if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(name)) {
+      throw SqlGuard.error(`Invalid table name: ${name}`, 'SQL_TABLE_NOT_ALLOWED');
+    }
+
+    let table;
+    if (name.startsWith(this.prefix)) {
+      table = name;
+    } else if (name.startsWith('baas_') || name.startsWith('pg_')) {
+      throw SqlGuard.error(`Table ${name} does not belong to this project`, 'SQL_TABLE_NOT_ALLOWED');
+    } else {
+      table = ChangeTriggers.tableName(this.tenantId, this.projectId, name);
+    }
+
+    return `${SqlGuard.quote(this.schema)}.${SqlGuard.quote(table)}`;
+  }
+
+  /**
+   * Rejects system catalogs and functions off the allow-list anywhere in the statement
+   */
+  checkNames(tokens, tables) {
+    const ctes = this.findCteNames(tokens);
+
+    tokens.forEach((token, i) => {
+      if ((token.type !== 'word' && token.type !== 'ident') || tables.has(i)) {
+        return;
+      }
+      const name = SqlGuard.identifier(token).toLowerCase();
+
+      if (SqlGuard.isPunct(tokens[i + 1], '(') && this.isCall(tokens, i, ctes)) {
+        if (SqlGuard.isPunct(tokens[i - 1], '.')) {
+          throw SqlGuard.error(`Schema-qualified function calls are not allowed: ${name}`, 'SQL_FUNCTION_NOT_ALLOWED');
+        }
+        if (token.type === 'ident' ? !ALLOWED_FUNCTIONS.has(token.value) : !ALLOWED_FUNCTIONS.has(name)) {
+          throw SqlGuard.error(`Function ${name}() is not allowed`, 'SQL_FUNCTION_NOT_ALLOWED');
+        }
+      }
+      if (name.startsWith('pg_') || name === 'information_schema') {
+        throw SqlGuard.error(`Access to ${name} is not allowed`, 'SQL_TABLE_NOT_ALLOWED');
+      }
+    });
+  }
+
+  /**
+   * Tells whether the name at `index`, which is followed by a parenthesis,
+   * calls a function rather than opening a keyword's list, a CTE or alias
+   * column list, or a type modifier such as `::numeric(10, 2)`
+   */
+  isCall(tokens, index, ctes) {
+    const token = tokens[index];
+    const previous = tokens[index - 1];
+
+    if (token.type === 'word' && PAREN_KEYWORDS.has(SqlGuard.keyword(token))) {
+      return false;
+    }
+    if (SqlGuard.keyword(previous) === 'AS' || SqlGuard.isOperator(previous, '::')) {
+      return false;
+    }
+    return !ctes.has(SqlGuard.identifier(token));
+  }
+
+  /**
+   * Splits SQL into tokens, dropping whitespace and comments
+   *
+   * @returns {Array<{type: string, value: string, text: string, start: number, end: number}>}
+   */
+  static tokenize(sql) {
+    const tokens = [];
+    const push = (type, start, end, value = sql.slice(start, end)) => {
+      tokens.push({ type, value, text: sql.slice(start, end), start, end });
+      return end;
+    };
+    const match = (pattern, start) => {
+      pattern.lastIndex = start;
+      const result = pattern.exec(sql);
+      return result ? result[0] : null;
+    };
+
+    let i = 0;
+    while (i < sql.length) {
+      const ch = sql[i];
+      const next = sql[i + 1];
+
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '-' && next === '-') {
+        const end = sql.indexOf('\n', i);
+        i = end === -1 ? sql.length : end + 1;
+      } else if (ch === '/' && next === '*') {
+        i = SqlGuard.skipComment(sql, i);
+      } else if (ch === "'") {
+        i = push('string', i, SqlGuard.readQuoted(sql, i + 1, "'", false));
+      } else if ((ch === 'E' || ch === 'e') && next === "'") {
+        i = push('string', i, SqlGuard.readQuoted(sql, i + 2, "'", true));
+      } else if (ch === '"') {
+        const end = SqlGuard.readQuoted(sql, i + 1, '"', false);
+        i = push('ident', i, end, sql.slice(i + 1, end - 1).replace(/""/g, '"'));
+      } else if (ch === '$') {
+        const param = match(/\$\d+/y, i);
+        const tag = !param && match(/\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/y, i);
+        if (param) {
+          i = push('param', i, i + param.length);
+        } else if (tag) {
+          const end = sql.indexOf(tag, i + tag.length);
+          if (end === -1) {
+            throw SqlGuard.error('Unterminated dollar-quoted string', 'SQL_INVALID');
+          }
+          i = push('string', i, end + tag.length);
+        } else {
+          i = push('op', i, i + 1);
+        }
+      } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next))) {
+        i = push('number', i, i + match(/(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y, i).length);
+      } else if (/[A-Za-z_\u0080-\uffff]/.test(ch)) {
+        i = push('word', i, i + match(/[A-Za-z_\u0080-\uffff][A-Za-z0-9_$\u0080-\uffff]*/y, i).length);
+      } else if ('(),;.[]'.includes(ch)) {
+        i = push('punct', i, i + 1);
+      } else {
+        i = push('op', i, i + match(/[-+*/<>=~!@#%^&|`?:]+|./y, i).length);
+      }
+    }
+
+    return tokens;
+  }
+
+  static readQuoted(sql, start, quote, backslashes) {
+    for (let i = start; i < sql.length; i++) {
+      if (backslashes && sql[i] === '\\') {
+        i++;
+      } else if (sql[i] === quote) {
+        if (sql[i + 1] !== quote) {
+          return i + 1;
+        }
+        i++;
+      }
+    }
+    throw SqlGuard.error(quote === '"' ? 'Unterminated quoted identifier' : 'Unterminated string literal', 'SQL_INVALID');
+  }
+
+  static skipComment(sql, start) {
+    let depth = 0;
+    for (let i = start; i < sql.length - 1; i++) {
+      if (sql[i] === '/' && sql[i + 1] === '*') {
+        depth++;
+        i++;
+      } else if (sql[i] === '*' && sql[i + 1] === '/') {
+        depth--;
+        i++;
+        if (depth === 0) {
+          return i + 1;
+        }
+      }
+    }
+    throw SqlGuard.error('Unterminated comment', 'SQL_INVALID');
+  }
+
+  /**
+   * Gets the index after the parenthesis opened at `index`
+   */
+  static skipParens(tokens, index) {
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+      if (SqlGuard.isPunct(tokens[i], '(')) {
+        depth++;
+      } else if (SqlGuard.isPunct(tokens[i], ')') && --depth === 0) {
+        return i + 1;
+      }
+    }
+    throw SqlGuard.error('Unbalanced parentheses', 'SQL_INVALID');
+  }
+
+  static keyword(token) {
+    return token && token.type === 'word' ? token.value.toUpperCase() : null;
+  }
+
+  /**
+   * Gets the name an identifier refers to; unquoted names fold to lower case
+   */
+  static identifier(token) {
+    return token.type === 'ident' ? token.value : token.value.toLowerCase();
+  }
+
+  static isPunct(token, value) {
+    return Boolean(token) && token.type === 'punct' && token.value === value;
+  }
+
+  static isOperator(token, value) {
+    return Boolean(token) && token.type === 'op' && token.value === value;
+  }
+
+  static quote(identifier) {
+    return `"${identifier.replace(/"/g, '""')}"`;
+  }
+
+  static error(message, code) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = SqlGuard;
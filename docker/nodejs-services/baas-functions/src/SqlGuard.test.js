@@ -0,0 +1,112 @@
+const SqlGuard = require('./SqlGuard');
+const ChangeTriggers = require('./ChangeTriggers');
+
+describe('SqlGuard', () => {
+  const guard = new SqlGuard('tenant_1', 'project_1');
+  const table = (name) => `"public"."${ChangeTriggers.tableName('tenant_1', 'project_1', name)}"`;
+
+  const rejects = (sql, code, mode = 'read') => {
+    expect(() => guard.check(sql, mode)).toThrow(expect.objectContaining({ name: 'ValidationError', code }));
+  };
+
+  describe('table references', () => {
+    it('rewrites entity names to the project tables', () => {
+      expect(guard.check('SELECT id FROM orders WHERE total > $1')).toBe(
+        `SELECT id FROM ${table('orders')} AS "orders" WHERE total > $1`
+      );
+    });
+
+    it('keeps aliases and rewrites every joined table', () => {
+      expect(guard.check('SELECT o.id FROM orders o JOIN items i ON i.order_id = o.id, users u')).toBe(
+        `SELECT o.id FROM ${table('orders')} o JOIN ${table('items')} i ON i.order_id = o.id, ${table('users')} u`
+      );
+    });
+
+    it('leaves CTE names and set-returning functions alone', () => {
+      expect(guard.check('WITH recent AS (SELECT * FROM orders) SELECT * FROM recent, generate_series(1, 3)')).toBe(
+        `WITH recent AS (SELECT * FROM ${table('orders')} AS "orders") SELECT * FROM recent, generate_series(1, 3)`
+      );
+    });
+
+    it('does not take FROM inside EXTRACT for a table', () => {
+      expect(guard.check('SELECT EXTRACT(YEAR FROM created) FROM orders')).toBe(
+        `SELECT EXTRACT(YEAR FROM created) FROM ${table('orders')} AS "orders"`
+      );
+    });
+
+    it('rejects schema-qualified names, other projects and system catalogs', () => {
+      rejects('SELECT * FROM public.users_field_data', 'SQL_TABLE_NOT_ALLOWED');
+      rejects('SELECT * FROM baas_0000_other', 'SQL_TABLE_NOT_ALLOWED');
+      rejects('SELECT * FROM pg_authid', 'SQL_TABLE_NOT_ALLOWED');
+      rejects('SELECT * FROM orders WHERE id IN (SELECT 1 FROM information_schema.tables)', 'SQL_TABLE_NOT_ALLOWED');
+    });
+  });
+
+  describe('functions', () => {
+    it('allows common functions, casts and keyword lists', () => {
+      const sql = 'SELECT count(*), lower(name), CAST(total AS numeric(10, 2)), total::numeric(10, 2), '
+        + 'row_number() OVER (PARTITION BY status ORDER BY id) FROM orders WHERE id IN (1, 2) AND EXISTS (SELECT 1)';
+      expect(() => guard.check(sql)).not.toThrow();
+    });
+
+    it('allows CTE column lists', () => {
+      expect(() => guard.check('WITH t(a, b) AS (VALUES (1, 2)) SELECT a FROM t')).not.toThrow();
+    });
+
+    it('rejects functions that run SQL given as a string', () => {
+      rejects("SELECT * FROM ts_stat('select to_tsvector(pass) from public.users_field_data')", 'SQL_FUNCTION_NOT_ALLOWED');
+      rejects("SELECT ts_rewrite('a'::tsquery, 'select q, s from public.users_field_data')", 'SQL_FUNCTION_NOT_ALLOWED');
+      rejects("SELECT query_to_xml('select * from public.users_field_data', true, true, '')", 'SQL_FUNCTION_NOT_ALLOWED');
+    });
+
+    it('rejects functions that are not on the allow-list, quoted or not', () => {
+      rejects("SELECT set_config('search_path', 'public', true)", 'SQL_FUNCTION_NOT_ALLOWED');
+      rejects("SELECT pg_read_file('/etc/passwd')", 'SQL_FUNCTION_NOT_ALLOWED');
+      rejects("SELECT dblink('host=db', 'select 1')", 'SQL_FUNCTION_NOT_ALLOWED');
+      rejects('SELECT "ts_stat"(\'select 1\')', 'SQL_FUNCTION_NOT_ALLOWED');
+      rejects('SELECT "LOWER"(name) FROM orders', 'SQL_FUNCTION_NOT_ALLOWED');
+    });
+
+    it('rejects schema-qualified function calls', () => {
+      rejects('SELECT extensions.lower(name) FROM orders', 'SQL_FUNCTION_NOT_ALLOWED');
+    });
+  });
+
+  describe('statements', () => {
+    it('allows only SELECT in read mode', () => {
+      rejects('INSERT INTO orders (id) VALUES (1)', 'SQL_READ_ONLY');
+      rejects('WITH d AS (DELETE FROM orders RETURNING *) SELECT * FROM d', 'SQL_READ_ONLY');
+    });
+
+    it('allows writes in write mode', () => {
+      expect(guard.check('INSERT INTO orders (id) VALUES ($1) RETURNING id', 'write')).toBe(
+        `INSERT INTO ${table('orders')} AS "orders" (id) VALUES ($1) RETURNING id`
+      );
+    });
+
+    it('rejects DDL and SELECT INTO', () => {
+      rejects('DROP TABLE orders', 'SQL_DDL_NOT_ALLOWED', 'write');
+      rejects('SELECT * INTO copy FROM orders', 'SQL_DDL_NOT_ALLOWED');
+    });
+
+    it('rejects more than one statement, ignoring a trailing semicolon', () => {
+      expect(() => guard.check('SELECT 1;')).not.toThrow();
+      rejects('SELECT 1; SELECT 2', 'SQL_MULTIPLE_STATEMENTS');
+    });
+
+    it('does not read keywords inside strings, quoted identifiers or comments', () => {
+      expect(guard.check("SELECT 'DROP; pg_sleep(1)' AS \"ts_stat(\" FROM orders -- ; delete\n")).toBe(
+        `SELECT 'DROP; pg_sleep(1)' AS "ts_stat(" FROM ${table('orders')} AS "orders"`
+      );
+      expect(() => guard.check('SELECT $x$; DELETE FROM orders$x$')).not.toThrow();
+    });
+
+    it('rejects unterminated strings', () => {
+      rejects("SELECT 'open", 'SQL_INVALID');
+    });
+  });
+
+  it('requires a tenant and project', () => {
+    expect(() => new SqlGuard(null, 'project_1')).toThrow(expect.objectContaining({ code: 'SQL_NOT_ALLOWED' }));
+  });
+});
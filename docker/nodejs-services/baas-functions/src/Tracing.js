@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const { trace, context, propagation, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+
+/**
+ * Tracing - OpenTelemetry spans for executions, outbound calls and realtime
+ *
+ * Spans are exported over OTLP/HTTP when `OTEL_EXPORTER_OTLP_ENDPOINT` (or
+ * `OTEL_EXPORTER_OTLP_TRACES_ENDPOINT`) is set; otherwise the API stays a
+ * no-op and the helpers below cost next to nothing. Context travels between
+ * services in the W3C `traceparent` header; without an exporter the caller's
+ * trace id is still logged and forwarded.
+ *
+ * Calls made by the main thread on behalf of a worker (context services,
+ * sandbox fetch) arrive outside the request's async context, so parents are
+ * passed explicitly rather than taken from the active context.
+ */
+
+const TRACER_NAME = 'baas-functions';
+
+let provider = null;
+
+class Tracing {
+  /**
+   * Registers the tracer provider and OTLP exporter
+   *
+   * @returns {boolean} Whether spans are exported
+   */
+  static init(logger, options = {}) {
+    const endpoint = options.endpoint || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+    if (provider) {
+      return true;
+    }
+    if (!endpoint || process.env.OTEL_SDK_DISABLED === 'true') {
+      const { W3CTraceContextPropagator } = require('@opentelemetry/core');
+      propagation.setGlobalPropagator(new W3CTraceContextPropagator());
+      return false;
+    }
+
+    const { NodeTracerProvider, BatchSpanProcessor } = require('@opentelemetry/sdk-trace-node');
+    const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+    const { resourceFromAttributes } = require('@opentelemetry/resources');
+    const { ATTR_SERVICE_NAME, ATTR_SERVICE_VERSION } = require('@opentelemetry/semantic-conventions');
+
+    provider = new NodeTracerProvider({
+      resource: resourceFromAttributes({
+        [ATTR_SERVICE_NAME]: options.serviceName || process.env.OTEL_SERVICE_NAME || 'baas-functions',
+        [ATTR_SERVICE_VERSION]: options.serviceVersion || process.env.npm_package_version || '1.0.0'
+      }),
+      spanProcessors: [new BatchSpanProcessor(new OTLPTraceExporter())]
+    });
+    // Also installs the AsyncLocalStorage context manager and W3C propagators
+    provider.register();
+
+    logger.info('Tracing enabled', { endpoint });
+    return true;
+  }
+
+  static get enabled() {
+    return provider !== null;
+  }
+
+  static get tracer() {
+    return trace.getTracer(TRACER_NAME);
+  }
+
+  /**
+   * Starts a span
+   *
+   * @param {string} name - Span name
+   * @param {object} options - { kind, attributes, startTime }
+   * @param {Context} parent - Parent context (defaults to the active one)
+   */
+  static startSpan(name, options = {}, parent = context.active()) {
+    return Tracing.tracer.startSpan(name, options, parent || context.active());
+  }
+
+  /**
+   * Runs `fn(span)` inside a new span, ending it when the returned promise settles
+   */
+  static async withSpan(name, options, fn, parent = context.active()) {
+    const span = Tracing.startSpan(name, options, parent);
+    try {
+      const result = await context.with(trace.setSpan(parent || context.active(), span), () => fn(span));
+      Tracing.endSpan(span);
+      return result;
+    } catch (error) {
+      Tracing.endSpan(span, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ends a span, recording an error (Error instance or message) when given
+   */
+  static endSpan(span, error = null, endTime = undefined) {
+    if (error) {
+      Tracing.setError(span, error);
+    }
+    span.end(endTime);
+  }
+
+  /**
+   * Marks a span as failed
+   */
+  static setError(span, error) {
+    if (typeof error === 'string') {
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error });
+    } else {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+    }
+  }
+
+  /**
+   * Records a span that already finished elsewhere (e.g. in a worker)
+   */
+  static recordSpan(name, startTime, endTime, attributes = {}, parent = context.active()) {
+    Tracing.startSpan(name, { startTime, attributes }, parent).end(endTime);
+  }
+
+  /**
+   * Context with `span` as the current span
+   */
+  static contextWith(span, parent = context.active()) {
+    return trace.setSpan(parent || context.active(), span);
+  }
+
+  /**
+   * Propagation headers (`traceparent`, `tracestate`) for a context
+   */
+  static headers(ctx = context.active()) {
+    const carrier = {};
+    propagation.inject(ctx || context.active(), carrier);
+    return carrier;
+  }
+
+  /**
+   * Reads the parent context from incoming request headers
+   */
+  static extract(headers) {
+    return propagation.extract(context.active(), headers);
+  }
+
+  /**
+   * Trace id of the span in a context, for log correlation
+   */
+  static traceId(ctx = context.active()) {
+    const spanContext = trace.getSpanContext(ctx || context.active());
+    return spanContext && trace.isSpanContextValid(spanContext) ? spanContext.traceId : null;
+  }
+
+  /**
+   * Creates the span registry for one execution's worker
+   *
+   * The sandbox asks for a span before each outbound request (`trace.start`),
+   * forwards the returned headers and reports the outcome (`trace.end`).
+   * Spans the worker never ended are closed by `endAll()`.
+   */
+  static createRelay(parent) {
+    const spans = new Map();
+
+    return {
+      start(name, attributes = {}) {
+        const span = Tracing.startSpan(String(name), { kind: SpanKind.CLIENT, attributes }, parent);
+        const id = crypto.randomUUID();
+        spans.set(id, span);
+        return { id, headers: Tracing.headers(Tracing.contextWith(span, parent)) };
+      },
+
+      end(id, attributes = {}, error = null) {
+        const span = spans.get(id);
+        if (!span) {
+          return;
+        }
+        spans.delete(id);
+        span.setAttributes(attributes || {});
+        Tracing.endSpan(span, error);
+      },
+
+      endAll() {
+        spans.forEach((span) => Tracing.endSpan(span, 'Execution finished before the request completed'));
+        spans.clear();
+      }
+    };
+  }
+
+  /**
+   * Flushes pending spans and stops exporting
+   */
+  static async shutdown() {
+    if (provider) {
+      const current = provider;
+      provider = null;
+      await current.shutdown();
+    }
+  }
+}
+
+Tracing.SpanKind = SpanKind;
+
+module.exports = Tracing;
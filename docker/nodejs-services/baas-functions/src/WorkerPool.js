@@ -0,0 +1,485 @@
+const { fork } = require('child_process');
+const path = require('path');
+const os = require('os');
+
+/**
+ * Worker Pool - Runs function executions in isolated worker processes
+ *
+ * A `vm` context is not a security boundary, so user code is assumed able to
+ * reach the worker's own Node.js runtime. Workers are therefore separate
+ * processes that hold nothing worth stealing: they start with an empty
+ * environment, and the Node.js permission model limits them to reading their
+ * own source files (no .env, no /proc, no child processes or threads).
+ *
+ * Workers are grouped by memory limit because V8 heap limits are fixed when a
+ * worker starts, and a worker only ever runs executions of the project it was
+ * first given, so code that escapes the sandbox never sees another project's
+ * requests or secrets. Each worker runs one execution at a time; a worker that
+ * times out or runs out of memory is killed and replaced.
+ */
+class WorkerPool {
+  constructor(logger, options = {}) {
+    this.logger = logger;
+    this.workerScript = options.workerScript || path.join(__dirname, 'ExecutionWorker.js');
+    this.maxWorkers = options.maxWorkers || Math.max(2, os.cpus().length);
+    this.idleTimeout = options.idleTimeout || 60000; // 1 minute
+    this.stackSizeMb = options.stackSizeMb || 4;
+    this.scriptCacheSize = options.scriptCacheSize || 50;
+    this.warmContexts = options.warmContexts || 10;
+    this.maxBorrowed = options.maxBorrowed || this.maxWorkers;
+
+    // All live workers and idle workers grouped by memory limit
+    this.workers = new Set();
+    this.idle = new Map();
+
+    // Executions waiting for a worker
+    this.queue = [];
+
+    // Workers held by executions blocked on a nested call (see borrow()), and
+    // workers running the nested executions on that lent capacity
+    this.borrowed = 0;
+    this.lent = 0;
+
+    this.stats = {
+      executions: 0,
+      timeouts: 0,
+      memory_exceeded: 0,
+      crashes: 0
+    };
+  }
+
+  /**
+   * Runs a task on a worker
+   *
+   * @param {object} task - Payload posted to the worker ({ source, environment, timeout })
+   * @param {object} options - { projectId, memoryLimit, timeout, onCall, onLog, warmKey,
+   *   borrowed: runs on capacity lent by borrow(), ahead of the other queued executions }
+   * @returns {Promise<object>} The worker's `done` message
+   */
+  run(task, options) {
+    return new Promise((resolve, reject) => {
+      const job = { task, options, resolve, reject };
+      if (options.borrowed) {
+        const index = this.queue.findIndex((queued) => !queued.options.borrowed);
+        this.queue.splice(index < 0 ? this.queue.length : index, 0, job);
+      } else {
+        this.queue.push(job);
+      }
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Lends one extra worker while a running execution waits on another one,
+   * such as a function invoking a function. Only executions run with
+   * `borrowed` may use it, so the nested execution cannot starve behind the
+   * queue while its caller holds a worker. At most `maxBorrowed` workers are
+   * lent at once.
+   *
+   * @returns {Function|null} Gives the worker back (safe to call more than
+   *   once), or null when every worker that can be lent is out
+   */
+  borrow() {
+    if (this.borrowed >= this.maxBorrowed) {
+      return null;
+    }
+    this.borrowed++;
+
+    let returned = false;
+    return () => {
+      if (!returned) {
+        returned = true;
+        this.borrowed--;
+      }
+    };
+  }
+
+  /**
+   * Assigns queued executions to available workers
+   *
+   * Executions on lent capacity are queued first and may grow the pool to
+   * `maxWorkers` plus the workers lent; the others never count those.
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      const job = this.queue[0];
+      const borrowed = Boolean(job.options.borrowed);
+      let entry = this.takeIdle(job.options.memoryLimit, job.options.projectId, job.options.warmKey);
+
+      if (!entry) {
+        // Make room by retiring an idle worker of another memory limit or project
+        const full = borrowed
+          ? this.workers.size >= this.maxWorkers + this.borrowed
+          : this.workers.size - this.lent >= this.maxWorkers;
+        if (full && !this.evictIdle()) {
+          return;
+        }
+        entry = this.spawn(job.options.memoryLimit, job.options.projectId);
+      }
+
+      this.queue.shift();
+      if (borrowed) {
+        entry.lent = true;
+        this.lent++;
+      }
+      this.assign(entry, job);
+    }
+  }
+
+  /**
+   * Returns a worker's lent capacity once its nested execution ends
+   */
+  unlend(entry) {
+    if (entry.lent) {
+      entry.lent = false;
+      this.lent--;
+    }
+  }
+
+  /**
+   * Starts a new worker process for a project with the given memory limit
+   */
+  spawn(memoryLimit, projectId) {
+    const settings = { scriptCacheSize: this.scriptCacheSize, warmContexts: this.warmContexts };
+    const worker = fork(this.workerScript, [JSON.stringify(settings)], {
+      // Workers must not see the service's secrets (JWT_SECRET, DRUPAL_API_KEY, ...)
+      env: {},
+      execArgv: [
+        '--experimental-permission',
+        `--allow-fs-read=${path.join(path.dirname(this.workerScript), '*')}`,
+        `--max-old-space-size=${memoryLimit}`,
+        `--max-semi-space-size=${Math.max(1, Math.ceil(memoryLimit / 64))}`,
+        `--stack-size=${this.stackSizeMb * 1024}`,
+        '--no-warnings'
+      ],
+      // Structured clone, so Buffers and typed arrays cross like with postMessage
+      serialization: 'advanced',
+      stdio: ['ignore', 'inherit', 'pipe', 'ipc']
+    });
+
+    const entry = {
+      worker,
+      memoryLimit,
+      projectId: projectId || null,
+      job: null,
+      timer: null,
+      idleTimer: null,
+      closed: false,
+      // Running an execution on capacity lent by borrow()
+      lent: false,
+      // Tail of stderr, where V8 reports heap limit failures
+      stderr: '',
+      // Function versions the worker holds warm, as last reported by it
+      warmKeys: new Set()
+    };
+
+    worker.stderr.on('data', (chunk) => {
+      entry.stderr = (entry.stderr + chunk).slice(-4096);
+    });
+    worker.on('message', (message) => this.handleMessage(entry, message));
+    worker.on('error', (error) => this.handleError(entry, error));
+    worker.on('exit', (code, signal) => this.handleExit(entry, code, signal));
+
+    this.workers.add(entry);
+    return entry;
+  }
+
+  /**
+   * Hands a job to a worker and arms the hard timeout
+   */
+  assign(entry, job) {
+    entry.job = job;
+    this.stats.executions++;
+
+    entry.timer = setTimeout(() => {
+      this.stats.timeouts++;
+      this.destroyWorker(entry, this.createError(
+        'TimeoutError',
+        `Function execution timed out after ${job.options.timeout}ms`,
+        'TIMEOUT_ERROR'
+      ));
+      this.dispatch();
+    }, job.options.timeout);
+
+    this.send(entry, { type: 'execute', task: job.task });
+  }
+
+  /**
+   * Handles messages sent by a worker
+   */
+  handleMessage(entry, message) {
+    const job = entry.job;
+    if (!job) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'call':
+        this.handleCall(entry, job, message);
+        break;
+
+      case 'log':
+        if (job.options.onLog) {
+          job.options.onLog(message.entry);
+        }
+        break;
+
+      case 'done':
+        entry.warmKeys = new Set(message.warm_keys || []);
+        this.release(entry);
+        job.resolve(message);
+        break;
+
+      case 'failed': {
+        this.release(entry);
+        const error = new Error(message.error.message);
+        error.name = message.error.name;
+        error.stack = message.error.stack;
+        job.reject(error);
+        break;
+      }
+
+      default:
+        this.logger.warn('Unknown worker message', { type: message.type });
+    }
+  }
+
+  /**
+   * Runs a context service call on the main thread and returns the outcome
+   */
+  handleCall(entry, job, message) {
+    Promise.resolve()
+      .then(() => job.options.onCall(message.method, message.args))
+      .then(
+        (result) => ({ type: 'call_result', callId: message.callId, result }),
+        (error) => ({
+          type: 'call_result',
+          callId: message.callId,
+          error: {
+            name: error.name,
+            message: error.message,
+            code: error.code,
+            details: error.details
+          }
+        })
+      )
+      .then((reply) => {
+        // The execution may have finished or been killed in the meantime
+        if (entry.job !== job || entry.closed) {
+          return;
+        }
+        try {
+          this.send(entry, reply);
+        } catch (error) {
+          this.send(entry, {
+            type: 'call_result',
+            callId: message.callId,
+            error: { name: 'TypeError', message: `Result of ${message.method} is not serializable` }
+          });
+        }
+      });
+  }
+
+  /**
+   * Sends a message to a worker process
+   *
+   * @throws {Error} When the message cannot be serialized
+   */
+  send(entry, message) {
+    if (entry.worker.connected) {
+      entry.worker.send(message);
+    }
+  }
+
+  /**
+   * Handles worker process errors (failed spawn, kill or send)
+   */
+  handleError(entry, error) {
+    this.stats.crashes++;
+    this.logger.error('Function worker error', { error: error.message });
+    this.destroyWorker(entry, error);
+    this.dispatch();
+  }
+
+  /**
+   * Handles a worker exiting on its own, including V8 heap limit aborts
+   */
+  handleExit(entry, code, signal) {
+    if (entry.closed) {
+      return;
+    }
+
+    if (/heap out of memory|Reached heap limit/.test(entry.stderr)) {
+      this.stats.memory_exceeded++;
+      this.destroyWorker(entry, this.createError(
+        'MemoryLimitError',
+        `Function exceeded memory limit of ${entry.memoryLimit}MB`,
+        'MEMORY_ERROR'
+      ));
+    } else {
+      this.stats.crashes++;
+      this.destroyWorker(entry, this.createError(
+        'WorkerExitError',
+        `Function worker exited unexpectedly with ${signal ? `signal ${signal}` : `code ${code}`}`,
+        'EXECUTION_ERROR'
+      ));
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Returns a worker to the idle list after an execution
+   */
+  release(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.job = null;
+
+    // A worker that ran on lent capacity is retired if the pool is full without it
+    const wasLent = entry.lent;
+    this.unlend(entry);
+    if (wasLent && this.workers.size - this.lent > this.maxWorkers) {
+      this.destroyWorker(entry);
+      this.dispatch();
+      return;
+    }
+
+    if (!this.idle.has(entry.memoryLimit)) {
+      this.idle.set(entry.memoryLimit, []);
+    }
+    this.idle.get(entry.memoryLimit).push(entry);
+
+    entry.idleTimer = setTimeout(() => this.destroyWorker(entry), this.idleTimeout);
+    entry.idleTimer.unref();
+
+    this.dispatch();
+  }
+
+  /**
+   * Takes an idle worker of the project with the requested memory limit,
+   * preferring one that holds the function warm
+   */
+  takeIdle(memoryLimit, projectId, warmKey = null) {
+    const idle = this.idle.get(memoryLimit);
+    if (!idle || idle.length === 0) {
+      return null;
+    }
+
+    const owned = (candidate) => candidate.projectId === (projectId || null);
+    const warmIndex = warmKey ? idle.findIndex((candidate) => owned(candidate) && candidate.warmKeys.has(warmKey)) : -1;
+    const index = warmIndex >= 0 ? warmIndex : idle.findLastIndex(owned);
+    if (index < 0) {
+      return null;
+    }
+
+    const entry = idle.splice(index, 1)[0];
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = null;
+    return entry;
+  }
+
+  /**
+   * Terminates one idle worker, if any
+   */
+  evictIdle() {
+    for (const idle of this.idle.values()) {
+      if (idle.length > 0) {
+        this.destroyWorker(idle[0]);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Terminates a worker and fails its current job, if any
+   */
+  destroyWorker(entry, error = null) {
+    if (entry.closed) {
+      return;
+    }
+    entry.closed = true;
+
+    clearTimeout(entry.timer);
+    clearTimeout(entry.idleTimer);
+
+    this.workers.delete(entry);
+    this.unlend(entry);
+    const idle = this.idle.get(entry.memoryLimit);
+    if (idle && idle.includes(entry)) {
+      idle.splice(idle.indexOf(entry), 1);
+    }
+
+    entry.worker.kill('SIGKILL');
+
+    const job = entry.job;
+    entry.job = null;
+    if (job) {
+      job.reject(error || this.createError('WorkerExitError', 'Function worker was terminated', 'EXECUTION_ERROR'));
+    }
+  }
+
+  /**
+   * Sends a message to every live worker
+   */
+  broadcast(message) {
+    this.workers.forEach((entry) => {
+      if (!entry.closed) {
+        this.send(entry, message);
+      }
+    });
+  }
+
+  /**
+   * Creates a named error for pool failures
+   */
+  createError(name, message, code) {
+    const error = new Error(message);
+    error.name = name;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Gets pool statistics
+   */
+  getStats() {
+    let idle = 0;
+    this.idle.forEach((entries) => {
+      idle += entries.length;
+    });
+
+    let warmInstances = 0;
+    this.workers.forEach((entry) => {
+      warmInstances += entry.warmKeys.size;
+    });
+
+    return {
+      workers: this.workers.size,
+      busy: this.workers.size - idle,
+      idle,
+      queued: this.queue.length,
+      max_workers: this.maxWorkers,
+      borrowed: this.borrowed,
+      lent: this.lent,
+      max_borrowed: this.maxBorrowed,
+      warm_instances: warmInstances,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Terminates all workers and rejects queued executions
+   */
+  async close() {
+    const queued = this.queue.splice(0);
+    queued.forEach((job) => {
+      job.reject(this.createError('WorkerExitError', 'Worker pool is shutting down', 'EXECUTION_ERROR'));
+    });
+
+    const workers = Array.from(this.workers);
+    workers.forEach((entry) => this.destroyWorker(entry));
+  }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,93 @@
+const { EventEmitter } = require('events');
+
+jest.mock('child_process', () => ({ fork: jest.fn() }));
+const { fork } = require('child_process');
+const WorkerPool = require('./WorkerPool');
+
+describe('WorkerPool', () => {
+  const logger = { info() {}, warn() {}, error() {} };
+  let workers;
+
+  beforeEach(() => {
+    // Execution timeouts and idle timers never fire here
+    jest.useFakeTimers();
+    workers = [];
+    fork.mockImplementation(() => {
+      const worker = new EventEmitter();
+      worker.stderr = new EventEmitter();
+      worker.connected = true;
+      worker.sent = [];
+      worker.send = (message) => worker.sent.push(message);
+      worker.kill = jest.fn(() => {
+        worker.connected = false;
+      });
+      workers.push(worker);
+      return worker;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const options = (name, extra = {}) => ({ projectId: 'project_1', memoryLimit: 128, timeout: 10000, name, ...extra });
+  const task = (name) => ({ source: name });
+  const running = () => workers.filter((worker) => worker.connected)
+    .map((worker) => worker.sent.filter((message) => message.type === 'execute').map((message) => message.task.source).pop());
+  const finish = (index) => workers[index].emit('message', { type: 'done', result: null, warm_keys: [] });
+
+  it('runs a nested execution on the lent worker ahead of the queue', async () => {
+    const pool = new WorkerPool(logger, { maxWorkers: 1 });
+
+    const caller = pool.run(task('caller'), options('caller'));
+    const queued = pool.run(task('queued'), options('queued'));
+    expect(running()).toEqual(['caller']);
+    expect(pool.getStats().queued).toBe(1);
+
+    // Lending alone starts nothing; the capacity waits for the nested execution
+    const giveBack = pool.borrow();
+    expect(workers).toHaveLength(1);
+
+    const nested = pool.run(task('nested'), options('nested', { borrowed: true }));
+    expect(running()).toEqual(['caller', 'nested']);
+    expect(pool.getStats()).toMatchObject({ queued: 1, lent: 1, borrowed: 1 });
+
+    finish(1);
+    await nested;
+    giveBack();
+
+    // The lent worker is retired rather than kept beyond the pool size
+    expect(workers[1].kill).toHaveBeenCalled();
+    expect(running()).toEqual(['caller']);
+
+    finish(0);
+    await caller;
+    expect(running()).toEqual(['queued']);
+    finish(0);
+    await queued;
+  });
+
+  it('keeps queued executions off capacity lent to nested ones', async () => {
+    const pool = new WorkerPool(logger, { maxWorkers: 1 });
+    const caller = pool.run(task('caller'), options('caller'));
+    pool.borrow();
+    pool.run(task('queued'), options('queued'));
+
+    // A worker exits, but the freed room is not lent capacity
+    workers[0].emit('exit', 1, null);
+    await expect(caller).rejects.toMatchObject({ name: 'WorkerExitError' });
+    pool.run(task('other'), options('other')).catch(() => {});
+    expect(pool.getStats()).toMatchObject({ workers: 1, lent: 0 });
+    expect(running()).toEqual(['queued']);
+  });
+
+  it('lends at most maxBorrowed workers', () => {
+    const pool = new WorkerPool(logger, { maxWorkers: 2, maxBorrowed: 1 });
+    const giveBack = pool.borrow();
+    expect(pool.borrow()).toBeNull();
+    giveBack();
+    giveBack();
+    expect(pool.getStats().borrowed).toBe(0);
+    expect(pool.borrow()).not.toBeNull();
+  });
+});
@@ -222,6 +222,11 @@ class ApiAuthenticationSubscriber implements EventSubscriberInterface
       }
     }
 
+    // 签名下载链接自带授权，签名由 baas_file 校验
+    if (preg_match('#^/api/v1/[^/]+/projects/[^/]+/files/\d+/download$#', $path) && $request->query->has('signature')) {
+      return true;
+    }
+
     $this->logger->debug('未匹配到公开端点: @path', ['@path' => $path]);
     return false;
   }
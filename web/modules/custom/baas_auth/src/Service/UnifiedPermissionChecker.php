@@ -273,6 +273,7 @@ class UnifiedPermissionChecker implements UnifiedPermissionCheckerInterface
             'view function logs',
             'view project env vars',
             'manage project env vars',
+            'manage project jwt keys',
             // 项目级实时功能权限
             'manage realtime',
             'view realtime',
@@ -308,6 +309,7 @@ class UnifiedPermissionChecker implements UnifiedPermissionCheckerInterface
             'view function logs',
             'view project env vars',
             'manage project env vars',
+            'manage project jwt keys',
             // 项目级实时功能权限（管理员级别）
             'manage realtime',
             'view realtime',
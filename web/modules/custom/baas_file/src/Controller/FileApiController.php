@@ -8,11 +8,17 @@ use Drupal\baas_api\Controller\BaseApiController;
 use Drupal\baas_api\Service\ApiResponseService;
 use Drupal\baas_api\Service\ApiValidationService;
 use Drupal\baas_auth\Service\UnifiedPermissionCheckerInterface;
+use Drupal\Component\Utility\Crypt;
 use Drupal\Core\Entity\EntityTypeManagerInterface;
 use Drupal\Core\Database\Connection;
+use Drupal\Core\Site\Settings;
+use Drupal\Core\Url;
 use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\BinaryFileResponse;
 use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpFoundation\ResponseHeaderBag;
 use Drupal\baas_project\ProjectManagerInterface;
 
 /**
@@ -22,6 +28,12 @@ use Drupal\baas_project\ProjectManagerInterface;
  */
 class FileApiController extends BaseApiController {
 
+  /**
+   * 签名下载链接的默认和最长有效期（秒）。
+   */
+  const DOWNLOAD_URL_TTL = 3600;
+  const DOWNLOAD_URL_MAX_TTL = 86400;
+
   /**
    * 数据库连接。
    */
@@ -72,11 +84,13 @@ class FileApiController extends BaseApiController {
    *   项目ID。
    * @param int $file_id
    *   文件ID。
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   请求对象，expires_in 参数指定签名下载链接的有效期（秒）。
    *
    * @return \Symfony\Component\HttpFoundation\JsonResponse
-   *   包含文件信息的JSON响应。
+   *   包含文件信息和签名下载链接的JSON响应。
    */
-  public function getFileInfo(string $tenant_id, string $project_id, int $file_id): JsonResponse {
+  public function getFileInfo(string $tenant_id, string $project_id, int $file_id, Request $request): JsonResponse {
     try {
       // 验证项目访问权限
       $project = $this->projectManager->getProject($project_id);
@@ -97,15 +111,7 @@ class FileApiController extends BaseApiController {
       }
 
       // 检查文件是否属于该项目
-      $file_access_record = $this->database->select('baas_project_file_access', 'a')
-        ->fields('a')
-        ->condition('project_id', $project_id)
-        ->condition('file_id', $file_id)
-        ->condition('action', 'upload')
-        ->orderBy('timestamp', 'DESC')
-        ->range(0, 1)
-        ->execute()
-        ->fetchAssoc();
+      $file_access_record = $this->getUploadRecord($project_id, $file_id);
 
       if (!$file_access_record) {
         return $this->createErrorResponse('文件不属于该项目', 'FILE_NOT_IN_PROJECT', 404);
@@ -124,6 +130,9 @@ class FileApiController extends BaseApiController {
         ])
         ->execute();
 
+      $expires_in = (int) $request->query->get('expires_in', self::DOWNLOAD_URL_TTL);
+      $expires = time() + max(60, min($expires_in, self::DOWNLOAD_URL_MAX_TTL));
+
       // 格式化文件信息
       $file_info = [
         'id' => $file->id(),
@@ -140,6 +149,18 @@ class FileApiController extends BaseApiController {
         'tenant_id' => $tenant_id,
         'uploaded_by' => $file_access_record['user_id'],
         'uploaded_at' => $file_access_record['timestamp'],
+        'download_url' => Url::fromRoute('baas_file.api_file_download', [
+          'tenant_id' => $tenant_id,
+          'project_id' => $project_id,
+          'file_id' => $file_id,
+        ], [
+          'query' => [
+            'expires' => $expires,
+            'signature' => $this->signDownload($project_id, $file_id, $expires),
+          ],
+          'absolute' => TRUE,
+        ])->toString(),
+        'download_expires_at' => $expires,
       ];
 
       return $this->createSuccessResponse($file_info, '获取文件信息成功');
@@ -149,6 +170,51 @@ class FileApiController extends BaseApiController {
     }
   }
 
+  /**
+   * 通过签名链接下载文件。
+   *
+   * 链接由 getFileInfo() 生成，签名本身即授权，无需登录。
+   *
+   * @param string $tenant_id
+   *   租户ID。
+   * @param string $project_id
+   *   项目ID。
+   * @param int $file_id
+   *   文件ID。
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   请求对象，包含 expires 和 signature 参数。
+   *
+   * @return \Symfony\Component\HttpFoundation\Response
+   *   文件内容，或签名无效时的JSON错误响应。
+   */
+  public function downloadFile(string $tenant_id, string $project_id, int $file_id, Request $request): Response {
+    $expires = (int) $request->query->get('expires', 0);
+    $signature = (string) $request->query->get('signature', '');
+
+    if ($expires < time()) {
+      return $this->createErrorResponse('下载链接已过期', 'DOWNLOAD_URL_EXPIRED', 403);
+    }
+    if (!hash_equals($this->signDownload($project_id, $file_id, $expires), $signature)) {
+      return $this->createErrorResponse('下载链接签名无效', 'INVALID_SIGNATURE', 403);
+    }
+
+    $file = $this->entityTypeManager->getStorage('file')->load($file_id);
+    if (!$file || !$this->getUploadRecord($project_id, $file_id)) {
+      return $this->createErrorResponse('文件不存在', 'FILE_NOT_FOUND', 404);
+    }
+
+    $path = \Drupal::service('file_system')->realpath($file->getFileUri());
+    if (!$path || !is_file($path)) {
+      return $this->createErrorResponse('文件不存在', 'FILE_NOT_FOUND', 404);
+    }
+
+    $response = new BinaryFileResponse($path, 200, ['Content-Type' => $file->getMimeType()]);
+    $response->setContentDisposition(ResponseHeaderBag::DISPOSITION_ATTACHMENT, $file->getFilename(), 'download');
+    $response->setPrivate();
+
+    return $response;
+  }
+
   /**
    * 获取项目文件统计。
    *
@@ -210,6 +276,28 @@ class FileApiController extends BaseApiController {
     }
   }
 
+  /**
+   * 获取文件在项目中的上传记录，文件不属于该项目时返回FALSE。
+   */
+  protected function getUploadRecord(string $project_id, int $file_id): array|false {
+    return $this->database->select('baas_project_file_access', 'a')
+      ->fields('a')
+      ->condition('project_id', $project_id)
+      ->condition('file_id', $file_id)
+      ->condition('action', 'upload')
+      ->orderBy('timestamp', 'DESC')
+      ->range(0, 1)
+      ->execute()
+      ->fetchAssoc();
+  }
+
+  /**
+   * 计算下载链接签名。
+   */
+  protected function signDownload(string $project_id, int $file_id, int $expires): string {
+    return Crypt::hmacBase64("{$project_id}:{$file_id}:{$expires}", Settings::getHashSalt() . 'baas_file_download');
+  }
+
   /**
    * 格式化文件大小。
    *
@@ -108,7 +108,7 @@ class MediaApiController extends BaseApiController
       ], '媒体文件列表获取成功');
 
     } catch (\Exception $e) {
-      $this->logger->error('获取租户媒体列表失败: @error', [
+      $this->getLogger('baas_file')->error('获取租户媒体列表失败: @error', [
         '@error' => $e->getMessage(),
       ]);
       return $this->jsonError('获取媒体文件列表失败', 'MEDIA_LIST_ERROR');
@@ -168,7 +168,7 @@ class MediaApiController extends BaseApiController
       ], '项目媒体文件列表获取成功');
 
     } catch (\Exception $e) {
-      $this->logger->error('获取项目媒体列表失败: @error', [
+      $this->getLogger('baas_file')->error('获取项目媒体列表失败: @error', [
         '@error' => $e->getMessage(),
       ]);
       return $this->jsonError('获取项目媒体文件列表失败', 'PROJECT_MEDIA_LIST_ERROR');
@@ -196,7 +196,7 @@ class MediaApiController extends BaseApiController
       }
 
       // 检查文件访问权限
-      if (!$this->accessChecker->checkFileAccess($file, 'view')) {
+      if (!$this->hasFilePermission($file_id, 'view project entity data')) {
         return $this->jsonError('无权限访问此文件', 'ACCESS_DENIED', [], Response::HTTP_FORBIDDEN);
       }
 
@@ -215,7 +215,7 @@ class MediaApiController extends BaseApiController
       ], '文件详情获取成功');
 
     } catch (\Exception $e) {
-      $this->logger->error('获取媒体文件详情失败: @error', [
+      $this->getLogger('baas_file')->error('获取媒体文件详情失败: @error', [
         '@error' => $e->getMessage(),
       ]);
       return $this->jsonError('获取文件详情失败', 'MEDIA_DETAIL_ERROR');
@@ -290,7 +290,7 @@ class MediaApiController extends BaseApiController
 
         foreach ($file_list as $uploaded_file) {
           try {
-            $upload_result = $this->fileManager->uploadFile(
+            $upload_result = $this->fileManager->uploadFileFromRequest(
               $project_id,
               $uploaded_file,
               [
@@ -300,17 +300,34 @@ class MediaApiController extends BaseApiController
               ]
             );
 
+            if (empty($upload_result['success'])) {
+              $errors[] = [
+                'filename' => $uploaded_file->getClientOriginalName(),
+                'error' => $upload_result['error'] ?? '文件上传失败',
+                'code' => $upload_result['code'] ?? 'UPLOAD_FAILED',
+                'details' => $upload_result['details'] ?? [],
+              ];
+              continue;
+            }
+
+            unset($upload_result['success'], $upload_result['message']);
             $results[] = $upload_result;
           } catch (\Exception $e) {
             $errors[] = [
               'filename' => $uploaded_file->getClientOriginalName(),
               'error' => $e->getMessage(),
+              'code' => 'UPLOAD_FAILED',
             ];
           }
         }
       }
 
       if (!empty($errors) && empty($results)) {
+        // 所有文件都因存储配额失败时返回413，便于调用方识别
+        $quota_errors = array_filter($errors, fn($error) => ($error['code'] ?? '') === 'STORAGE_LIMIT_EXCEEDED');
+        if (count($quota_errors) === count($errors)) {
+          return $this->jsonError('存储空间不足，无法上传文件', 'STORAGE_LIMIT_EXCEEDED', ['errors' => $errors], Response::HTTP_REQUEST_ENTITY_TOO_LARGE);
+        }
         return $this->jsonError('文件上传失败', 'UPLOAD_FAILED', ['errors' => $errors], Response::HTTP_BAD_REQUEST);
       }
 
@@ -335,7 +352,7 @@ class MediaApiController extends BaseApiController
       return $this->jsonSuccess($response_data, '文件上传完成');
 
     } catch (\Exception $e) {
-      $this->logger->error('媒体文件上传失败: @error', [
+      $this->getLogger('baas_file')->error('媒体文件上传失败: @error', [
         '@error' => $e->getMessage(),
         'project_id' => $project_id,
         'tenant_id' => $tenant_id,
@@ -365,7 +382,7 @@ class MediaApiController extends BaseApiController
       }
 
       // 检查删除权限
-      if (!$this->accessChecker->checkFileAccess($file, 'delete')) {
+      if (!$this->hasFilePermission($file_id, 'delete project entity data')) {
         return $this->jsonError('无权限删除此文件', 'ACCESS_DENIED', [], Response::HTTP_FORBIDDEN);
       }
 
@@ -389,7 +406,7 @@ class MediaApiController extends BaseApiController
       ], '文件删除成功');
 
     } catch (\Exception $e) {
-      $this->logger->error('删除媒体文件失败: @error', [
+      $this->getLogger('baas_file')->error('删除媒体文件失败: @error', [
         '@error' => $e->getMessage(),
       ]);
       return $this->jsonError('文件删除失败', 'MEDIA_DELETE_ERROR');
@@ -430,7 +447,7 @@ class MediaApiController extends BaseApiController
       ], '媒体统计获取成功');
 
     } catch (\Exception $e) {
-      $this->logger->error('获取媒体统计失败: @error', [
+      $this->getLogger('baas_file')->error('获取媒体统计失败: @error', [
         '@error' => $e->getMessage(),
       ]);
       return $this->jsonError('获取媒体统计失败', 'MEDIA_STATS_ERROR');
@@ -466,7 +483,7 @@ class MediaApiController extends BaseApiController
       ], '全局媒体统计获取成功');
 
     } catch (\Exception $e) {
-      $this->logger->error('获取全局媒体统计失败: @error', [
+      $this->getLogger('baas_file')->error('获取全局媒体统计失败: @error', [
         '@error' => $e->getMessage(),
       ]);
       return $this->jsonError('获取全局媒体统计失败', 'GLOBAL_MEDIA_STATS_ERROR');
@@ -511,14 +528,11 @@ class MediaApiController extends BaseApiController
    */
   public function accessProjectMedia(string $tenant_id, string $project_id, AccountInterface $account): AccessResult
   {
-    // 检查项目媒体访问权限
-    $has_permission = $this->permissionChecker->checkPermission(
-      'view_project_files',
-      'project',
-      [
-        'tenant_id' => $tenant_id,
-        'project_id' => $project_id,
-      ]
+    // 检查项目媒体上传权限
+    $has_permission = $this->permissionChecker->checkProjectPermission(
+      (int) $account->id(),
+      $project_id,
+      'create project entity data'
     );
 
     return $has_permission ? AccessResult::allowed() : AccessResult::forbidden();
@@ -546,12 +560,80 @@ class MediaApiController extends BaseApiController
         return AccessResult::forbidden('文件不存在');
       }
 
-      // 使用文件访问检查器
-      $has_access = $this->accessChecker->checkFileAccess($file, 'view');
+      // 检查文件所属项目的访问权限
+      $has_access = $this->hasFilePermission($file_id, 'view project entity data', $account);
       return $has_access ? AccessResult::allowed() : AccessResult::forbidden();
 
     } catch (\Exception $e) {
       return AccessResult::forbidden('权限检查失败');
     }
   }
+
+  /**
+   * 检查用户在文件所属项目中是否拥有指定权限。
+   *
+   * @param int $file_id
+   *   文件ID。
+   * @param string $permission
+   *   项目权限。
+   * @param \Drupal\Core\Session\AccountInterface|null $account
+   *   用户账户，默认为当前用户。
+   *
+   * @return bool
+   *   文件属于某个项目且用户拥有该权限时返回TRUE。
+   */
+  protected function hasFilePermission(int $file_id, string $permission, ?AccountInterface $account = null): bool
+  {
+    // 文件所属项目以上传记录为准
+    $project_id = $this->database->select('baas_project_file_access', 'a')
+      ->fields('a', ['project_id'])
+      ->condition('file_id', $file_id)
+      ->condition('action', 'upload')
+      ->orderBy('timestamp', 'DESC')
+      ->range(0, 1)
+      ->execute()
+      ->fetchField();
+
+    if (!$project_id) {
+      return false;
+    }
+
+    $account = $account ?? $this->currentUser();
+    return $this->permissionChecker->checkProjectPermission((int) $account->id(), $project_id, $permission);
+  }
+
+  /**
+   * 创建成功响应。
+   */
+  protected function jsonSuccess(array $data, string $message = ''): JsonResponse
+  {
+    $response = [
+      'success' => true,
+      'data' => $data,
+    ];
+    if ($message !== '') {
+      $response['message'] = $message;
+    }
+
+    return new JsonResponse($response);
+  }
+
+  /**
+   * 创建错误响应。
+   */
+  protected function jsonError(string $message, string $code, array $context = [], int $status = Response::HTTP_INTERNAL_SERVER_ERROR): JsonResponse
+  {
+    $error = [
+      'message' => $message,
+      'code' => $code,
+    ];
+    if (!empty($context)) {
+      $error['context'] = $context;
+    }
+
+    return new JsonResponse([
+      'success' => false,
+      'error' => $error,
+    ], $status);
+  }
 }
\ No newline at end of file
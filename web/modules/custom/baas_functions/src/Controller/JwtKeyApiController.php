@@ -0,0 +1,189 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\baas_functions\Controller;
+
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\baas_functions\Service\JwtKeyManager;
+use Drupal\baas_functions\Exception\FunctionException;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Drupal\Core\Access\AccessResult;
+use Drupal\Core\Session\AccountInterface;
+
+/**
+ * JWT Key API Controller - Manages the keys project functions sign JWTs with.
+ */
+class JwtKeyApiController extends ControllerBase {
+
+  public function __construct(
+    protected readonly JwtKeyManager $jwtKeyManager,
+  ) {}
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container): static {
+    return new static(
+      $container->get('baas_functions.jwt_key_manager')
+    );
+  }
+
+  /**
+   * Lists a project's JWT keys, without secrets.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param string $tenant_id
+   *   The tenant ID.
+   * @param string $project_id
+   *   The project ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the keys.
+   */
+  public function listKeys(Request $request, string $tenant_id, string $project_id): JsonResponse {
+    try {
+      return new JsonResponse([
+        'success' => TRUE,
+        'data' => $this->jwtKeyManager->listKeys($project_id),
+      ]);
+    }
+    catch (FunctionException $e) {
+      return $this->errorResponse($e);
+    }
+    catch (\Exception $e) {
+      return $this->internalErrorResponse();
+    }
+  }
+
+  /**
+   * Creates a new active key, rotating the current one to retired.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object, optionally with an "algorithm" (default HS256).
+   * @param string $tenant_id
+   *   The tenant ID.
+   * @param string $project_id
+   *   The project ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the created key.
+   */
+  public function createKey(Request $request, string $tenant_id, string $project_id): JsonResponse {
+    try {
+      $data = json_decode($request->getContent() ?: '{}', TRUE);
+      if (!is_array($data)) {
+        return new JsonResponse([
+          'success' => FALSE,
+          'error' => 'Invalid JSON data',
+          'code' => 'INVALID_JSON',
+        ], Response::HTTP_BAD_REQUEST);
+      }
+
+      $key = $this->jwtKeyManager->createKey(
+        $project_id,
+        (string) ($data['algorithm'] ?? 'HS256'),
+        (int) $this->currentUser()->id()
+      );
+
+      return new JsonResponse([
+        'success' => TRUE,
+        'data' => $key,
+        'message' => 'JWT key created successfully',
+      ], Response::HTTP_CREATED);
+    }
+    catch (FunctionException $e) {
+      return $this->errorResponse($e);
+    }
+    catch (\Exception $e) {
+      return $this->internalErrorResponse();
+    }
+  }
+
+  /**
+   * Deletes a retired key.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object.
+   * @param string $tenant_id
+   *   The tenant ID.
+   * @param string $project_id
+   *   The project ID.
+   * @param string $kid
+   *   The key ID.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response confirming deletion.
+   */
+  public function deleteKey(Request $request, string $tenant_id, string $project_id, string $kid): JsonResponse {
+    try {
+      $this->jwtKeyManager->deleteKey($project_id, $kid);
+
+      return new JsonResponse([
+        'success' => TRUE,
+        'message' => 'JWT key deleted successfully',
+      ]);
+    }
+    catch (FunctionException $e) {
+      return $this->errorResponse($e);
+    }
+    catch (\Exception $e) {
+      return $this->internalErrorResponse();
+    }
+  }
+
+  /**
+   * Access callback for managing JWT keys.
+   */
+  public function accessManageKeys(string $tenant_id, string $project_id, AccountInterface $account): AccessResult {
+    return AccessResult::allowedIf($account->isAuthenticated());
+  }
+
+  /**
+   * Builds the error response for a FunctionException.
+   */
+  protected function errorResponse(FunctionException $e): JsonResponse {
+    return new JsonResponse([
+      'success' => FALSE,
+      'error' => $e->getMessage(),
+      'code' => $e->getCode(),
+      'context' => $e->getContext(),
+    ], $this->getHttpStatusFromException($e));
+  }
+
+  /**
+   * Builds the response for an unexpected error.
+   */
+  protected function internalErrorResponse(): JsonResponse {
+    return new JsonResponse([
+      'success' => FALSE,
+      'error' => 'Internal server error',
+      'code' => 'INTERNAL_ERROR',
+    ], Response::HTTP_INTERNAL_SERVER_ERROR);
+  }
+
+  /**
+   * Maps FunctionException to HTTP status code.
+   *
+   * @param \Drupal\baas_functions\Exception\FunctionException $e
+   *   The exception.
+   *
+   * @return int
+   *   HTTP status code.
+   */
+  protected function getHttpStatusFromException(FunctionException $e): int {
+    return match ($e->getCode()) {
+      FunctionException::FUNCTION_NOT_FOUND => Response::HTTP_NOT_FOUND,
+      FunctionException::ACCESS_DENIED => Response::HTTP_FORBIDDEN,
+      FunctionException::INVALID_INPUT,
+      FunctionException::VALIDATION_FAILED => Response::HTTP_BAD_REQUEST,
+      FunctionException::FUNCTION_EXISTS => Response::HTTP_CONFLICT,
+      default => Response::HTTP_INTERNAL_SERVER_ERROR,
+    };
+  }
+
+}
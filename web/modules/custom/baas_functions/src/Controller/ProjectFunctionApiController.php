@@ -14,9 +14,12 @@ use Drupal\baas_functions\Exception\FunctionException;
 use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\Request;
 use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+use Psr\Http\Message\ResponseInterface;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Drupal\Core\Access\AccessResult;
 use Drupal\Core\Session\AccountInterface;
+use Drupal\Core\Site\Settings;
 
 /**
  * Project Function API Controller - Handles all function-related API endpoints.
@@ -328,10 +331,11 @@ class ProjectFunctionApiController extends ControllerBase {
    * @param string $function_name
    *   The function name.
    *
-   * @return \Symfony\Component\HttpFoundation\JsonResponse
-   *   JSON response with execution result.
+   * @return \Symfony\Component\HttpFoundation\Response
+   *   JSON response with execution result, or the function's own HTTP
+   *   response when it returns one.
    */
-  public function executeFunction(Request $request, string $tenant_id, string $project_id, string $function_name): JsonResponse {
+  public function executeFunction(Request $request, string $tenant_id, string $project_id, string $function_name): Response {
     try {
       $data = json_decode($request->getContent(), TRUE) ?: [];
       $function_id = $this->getFunctionIdByName($project_id, $function_name);
@@ -344,12 +348,85 @@ class ProjectFunctionApiController extends ControllerBase {
         'user_agent' => $request->headers->get('User-Agent'),
       ];
 
-      $result = $this->functionExecutor->executeFunction($function_id, $data, $context_data);
+      $result = $this->functionExecutor->executeFunction($function_id, $data, $context_data, TRUE);
 
-      return new JsonResponse([
+      if (isset($result['raw_response'])) {
+        return $this->createRawResponse($result['raw_response']);
+      }
+
+      $response = new JsonResponse([
         'success' => TRUE,
         'data' => $result,
       ]);
+
+      // Status and headers set with ctx.success() / ctx.error().
+      if (!empty($result['response'])) {
+        $response->setStatusCode((int) ($result['response']['status'] ?? Response::HTTP_OK));
+        foreach ($result['response']['headers'] ?? [] as $name => $value) {
+          $response->headers->set($name, $value);
+        }
+      }
+
+      return $response;
+    }
+    catch (FunctionException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => $e->getMessage(),
+        'code' => $e->getCode(),
+        'context' => $e->getContext(),
+      ], $this->getHttpStatusFromException($e));
+    }
+    catch (\Exception $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => 'Internal server error',
+        'code' => 'INTERNAL_ERROR',
+      ], Response::HTTP_INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Prepares an invocation of a function by another function.
+   *
+   * Called by the Node.js service for ctx.functions.invoke(); it runs the
+   * returned payload itself and reports the result with recordInvocation().
+   * The caller's user, execution and call depth come from the invocation
+   * token of the calling execution.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object, with "request" (the callee's request data) and
+   *   "invocation_token" (the caller's token).
+   * @param string $tenant_id
+   *   The tenant ID.
+   * @param string $project_id
+   *   The project ID.
+   * @param string $function_name
+   *   The function name.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response with the execution payload.
+   */
+  public function prepareInvocation(Request $request, string $tenant_id, string $project_id, string $function_name): JsonResponse {
+    try {
+      $data = json_decode($request->getContent(), TRUE) ?: [];
+      $caller = $this->functionExecutor->verifyInvocationToken((string) ($data['invocation_token'] ?? ''), $tenant_id, $project_id);
+      $function_id = $this->getFunctionIdByName($project_id, $function_name);
+
+      $payload = $this->functionExecutor->prepareInvocation(
+        $function_id,
+        is_array($data['request'] ?? NULL) ? $data['request'] : [],
+        $this->buildInvocationContext($tenant_id, $project_id, [
+          'user_id' => $caller['user_id'],
+          'parent_execution_id' => $caller['execution_id'],
+          'call_depth' => (int) $caller['call_depth'] + 1,
+        ])
+      );
+
+      return new JsonResponse([
+        'success' => TRUE,
+        'data' => $payload,
+      ]);
     }
     catch (FunctionException $e) {
       return new JsonResponse([
@@ -368,6 +445,82 @@ class ProjectFunctionApiController extends ControllerBase {
     }
   }
 
+  /**
+   * Records the result of a function invoked by another function.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request object, with "request", "result" and "invocation_token"
+   *   (the token of the invoked execution, from its prepared payload).
+   * @param string $tenant_id
+   *   The tenant ID.
+   * @param string $project_id
+   *   The project ID.
+   * @param string $function_name
+   *   The function name.
+   * @param string $execution_id
+   *   The execution ID returned by prepareInvocation().
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   JSON response confirming the record.
+   */
+  public function recordInvocation(Request $request, string $tenant_id, string $project_id, string $function_name, string $execution_id): JsonResponse {
+    try {
+      $data = json_decode($request->getContent(), TRUE) ?: [];
+      if (!is_array($data['result'] ?? NULL)) {
+        throw FunctionException::invalidInput('An execution result is required');
+      }
+
+      // Only executions prepared by prepareInvocation() can be recorded
+      $callee = $this->functionExecutor->verifyInvocationToken((string) ($data['invocation_token'] ?? ''), $tenant_id, $project_id);
+      if ($callee['execution_id'] !== $execution_id || empty($callee['parent_execution_id'])) {
+        throw FunctionException::accessDenied('Invocation token does not match the execution');
+      }
+
+      $function_id = $this->getFunctionIdByName($project_id, $function_name);
+      $this->functionExecutor->recordInvocation(
+        $function_id,
+        $execution_id,
+        is_array($data['request'] ?? NULL) ? $data['request'] : [],
+        $data['result'],
+        $this->buildInvocationContext($tenant_id, $project_id, $callee)
+      );
+
+      return new JsonResponse([
+        'success' => TRUE,
+        'message' => 'Invocation recorded',
+      ]);
+    }
+    catch (FunctionException $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => $e->getMessage(),
+        'code' => $e->getCode(),
+        'context' => $e->getContext(),
+      ], $this->getHttpStatusFromException($e));
+    }
+    catch (\Exception $e) {
+      return new JsonResponse([
+        'success' => FALSE,
+        'error' => 'Internal server error',
+        'code' => 'INTERNAL_ERROR',
+      ], Response::HTTP_INTERNAL_SERVER_ERROR);
+    }
+  }
+
+  /**
+   * Builds the context data of an invoked function from verified claims.
+   */
+  protected function buildInvocationContext(string $tenant_id, string $project_id, array $caller): array {
+    return [
+      'tenant_id' => $tenant_id,
+      'project_id' => $project_id,
+      'user_id' => $caller['user_id'],
+      'parent_execution_id' => isset($caller['parent_execution_id']) ? (string) $caller['parent_execution_id'] : NULL,
+      'call_depth' => (int) ($caller['call_depth'] ?? 0),
+      'user_agent' => 'BaaS-Functions/invoke',
+    ];
+  }
+
   /**
    * Tests a function.
    *
@@ -673,6 +826,23 @@ class ProjectFunctionApiController extends ControllerBase {
     }
   }
 
+  /**
+   * Access callback for routes only the Node.js functions service may call.
+   *
+   * The service sends the key configured as
+   * $settings['baas_functions_service_key'] in settings.php in the
+   * X-BaaS-Service-Key header; without a configured key the routes are closed.
+   */
+  public function accessFunctionsService(Request $request): AccessResult {
+    $service_key = (string) Settings::get('baas_functions_service_key', '');
+    $provided = (string) $request->headers->get('X-BaaS-Service-Key', '');
+
+    if ($service_key === '' || !hash_equals($service_key, $provided)) {
+      return AccessResult::forbidden('Functions service key required')->setCacheMaxAge(0);
+    }
+    return AccessResult::allowed()->setCacheMaxAge(0);
+  }
+
   /**
    * Access callback for deleting functions.
    */
@@ -785,6 +955,42 @@ class ProjectFunctionApiController extends ControllerBase {
     }
   }
 
+  /**
+   * Streams a raw function response from the Node.js service to the client.
+   *
+   * @param \Psr\Http\Message\ResponseInterface $upstream
+   *   The streamed response from the Node.js service.
+   *
+   * @return \Symfony\Component\HttpFoundation\StreamedResponse
+   *   Response with the function's status, headers and body.
+   */
+  protected function createRawResponse(ResponseInterface $upstream): StreamedResponse {
+    // Headers added by the Node.js service itself are not part of the
+    // function's response.
+    $excluded = ['connection', 'keep-alive', 'transfer-encoding', 'content-length', 'date', 'x-powered-by'];
+
+    $headers = [];
+    foreach ($upstream->getHeaders() as $name => $values) {
+      $lower = strtolower($name);
+      if (in_array($lower, $excluded, TRUE) || str_starts_with($lower, 'x-baas-') || str_starts_with($lower, 'x-ratelimit-')) {
+        continue;
+      }
+      $headers[$name] = $values;
+    }
+
+    $body = $upstream->getBody();
+
+    return new StreamedResponse(function () use ($body) {
+      while (!$body->eof()) {
+        echo $body->read(8192);
+        if (ob_get_level() > 0) {
+          ob_flush();
+        }
+        flush();
+      }
+    }, $upstream->getStatusCode(), $headers);
+  }
+
   /**
    * Maps FunctionException to HTTP status code.
    *
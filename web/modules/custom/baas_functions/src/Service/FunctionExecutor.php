@@ -5,7 +5,10 @@ declare(strict_types=1);
 namespace Drupal\baas_functions\Service;
 
 use GuzzleHttp\ClientInterface;
+use Drupal\Component\Serialization\Json;
+use Drupal\Component\Utility\Crypt;
 use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Site\Settings;
 use Drupal\Core\Logger\LoggerChannelFactoryInterface;
 use Drupal\Core\Database\Connection;
 use Drupal\baas_functions\Exception\FunctionException;
@@ -24,6 +27,7 @@ class FunctionExecutor {
     protected readonly ConfigFactoryInterface $configFactory,
     protected readonly Connection $database,
     protected readonly EnvironmentVariableManager $environmentVariableManager,
+    protected readonly JwtKeyManager $jwtKeyManager,
   ) {
     $this->logger = $this->loggerFactory->get('baas_functions_executor');
   }
@@ -37,13 +41,17 @@ class FunctionExecutor {
    *   The request data to pass to the function.
    * @param array $context_data
    *   Additional context data (user, project, etc.).
+   * @param bool $allow_raw
+   *   Whether the caller can stream a raw HTTP response. When the function
+   *   returns one, the result contains the upstream response in
+   *   'raw_response' instead of data.
    *
    * @return array
    *   The execution result.
    *
    * @throws \Drupal\baas_functions\Exception\FunctionException
    */
-  public function executeFunction(string $function_id, array $request_data, array $context_data): array {
+  public function executeFunction(string $function_id, array $request_data, array $context_data, bool $allow_raw = FALSE): array {
     $function = $this->functionManager->getFunctionById($function_id);
 
     // Check if function is deployable
@@ -55,36 +63,16 @@ class FunctionExecutor {
     $start_time = microtime(TRUE);
 
     try {
-      // Get project environment variables
-      $project_id = $context_data['project_id'] ?? '';
-      $env_vars = [];
-      if ($project_id && $this->environmentVariableManager) {
-        try {
-          $env_vars = $this->environmentVariableManager->getEnvVarsForExecution($project_id);
-        } catch (\Exception $e) {
-          $this->logger->warning('Failed to load environment variables', [
-            'project_id' => $project_id,
-            'error' => $e->getMessage(),
-          ]);
-        }
-      }
+      $payload = $this->buildExecutionPayload($function, $function_id, $execution_id, $request_data, $context_data);
+      $payload['response_mode'] = $allow_raw ? 'raw' : 'envelope';
 
-      // Prepare execution payload
-      $payload = [
-        'execution_id' => $execution_id,
-        'function_id' => $function_id,
-        'function_name' => $function['function_name'],
-        'code' => $function['code'],
-        'config' => $function['config'],
-        'request' => $request_data,
-        'context' => $context_data,
-        'env' => $env_vars,
-      ];
+      $trace_headers = $this->getTraceHeaders();
 
       $this->logger->info('Executing function', [
         'function_id' => $function_id,
         'execution_id' => $execution_id,
         'function_name' => $function['function_name'],
+        'traceparent' => $trace_headers['traceparent'],
       ]);
 
       // Send request to Node.js service
@@ -92,14 +80,36 @@ class FunctionExecutor {
       $response = $this->httpClient->post($nodejs_url . '/execute', [
         'json' => $payload,
         'timeout' => $this->getExecutionTimeout($function['config']),
+        'stream' => $allow_raw,
         'headers' => [
           'Content-Type' => 'application/json',
           'X-BaaS-Project-ID' => $context_data['project_id'] ?? '',
           'X-BaaS-Execution-ID' => $execution_id,
-        ],
+        ] + $trace_headers,
       ]);
 
       $execution_time = (microtime(TRUE) - $start_time) * 1000; // Convert to milliseconds
+
+      // The function returned its own HTTP response; the body is streamed to
+      // the client by the caller, so the time logged is time to first byte.
+      if ($response->getHeaderLine('X-BaaS-Response-Mode') === 'raw') {
+        $result = [
+          'execution_id' => $execution_id,
+          'status' => 'success',
+          'data' => NULL,
+          'error' => NULL,
+          'execution_time_ms' => (int) $execution_time,
+          'memory_used_mb' => 0,
+          'logs' => [],
+        ];
+
+        $this->logExecution($function_id, $execution_id, $request_data, $result, $context_data);
+        $this->updateFunctionStats($function_id, $result);
+
+        $result['raw_response'] = $response;
+        return $result;
+      }
+
       $response_body = json_decode($response->getBody()->getContents(), TRUE);
 
       if (empty($response_body)) {
@@ -114,6 +124,7 @@ class FunctionExecutor {
         'execution_time_ms' => (int) $execution_time,
         'memory_used_mb' => $response_body['memory_used_mb'] ?? 0,
         'logs' => $response_body['logs'] ?? [],
+        'response' => $response_body['response'] ?? NULL,
       ];
 
       // Log execution result
@@ -188,6 +199,74 @@ class FunctionExecutor {
     }
   }
 
+  /**
+   * Prepares an execution that the Node.js service runs itself.
+   *
+   * Used by ctx.functions.invoke(): the calling function's service gets the
+   * payload /execute would receive and reports the result back with
+   * recordInvocation().
+   *
+   * @param string $function_id
+   *   The function ID to execute.
+   * @param array $request_data
+   *   The request data to pass to the function.
+   * @param array $context_data
+   *   Context data (tenant, project, user, parent execution).
+   *
+   * @return array
+   *   The execution payload.
+   *
+   * @throws \Drupal\baas_functions\Exception\FunctionException
+   */
+  public function prepareInvocation(string $function_id, array $request_data, array $context_data): array {
+    $function = $this->functionManager->getFunctionById($function_id);
+
+    if (!in_array($function['status'], ['testing', 'online'])) {
+      throw FunctionException::executionFailed("Function status '{$function['status']}' is not executable");
+    }
+
+    $execution_id = $this->generateExecutionId();
+
+    $this->logger->info('Preparing function invocation', [
+      'function_id' => $function_id,
+      'execution_id' => $execution_id,
+      'function_name' => $function['function_name'],
+      'parent_execution_id' => $context_data['parent_execution_id'] ?? NULL,
+      'call_depth' => $context_data['call_depth'] ?? NULL,
+    ]);
+
+    return $this->buildExecutionPayload($function, $function_id, $execution_id, $request_data, $context_data);
+  }
+
+  /**
+   * Records the result of an execution prepared with prepareInvocation().
+   *
+   * @param string $function_id
+   *   The function ID.
+   * @param string $execution_id
+   *   The execution ID from the prepared payload.
+   * @param array $request_data
+   *   The request data the function ran with.
+   * @param array $result
+   *   The execution result (status, data, error, execution_time_ms,
+   *   memory_used_mb, logs).
+   * @param array $context_data
+   *   Context data.
+   */
+  public function recordInvocation(string $function_id, string $execution_id, array $request_data, array $result, array $context_data): void {
+    $result = [
+      'status' => ($result['status'] ?? '') === 'success' ? 'success' : 'error',
+      'data' => $result['data'] ?? NULL,
+      'error' => isset($result['error']) ? (string) $result['error'] : NULL,
+      'execution_time_ms' => (int) ($result['execution_time_ms'] ?? 0),
+      'memory_used_mb' => (float) ($result['memory_used_mb'] ?? 0),
+      'logs' => is_array($result['logs'] ?? NULL) ? $result['logs'] : [],
+    ];
+
+    $this->logExecution($function_id, $execution_id, $request_data, $result, $context_data);
+    $this->updateFunctionStats($function_id, $result);
+  }
+
   /**
    * Tests a function without logging the execution.
    *
@@ -216,6 +295,8 @@ class FunctionExecutor {
         'config' => $config,
         'request' => $test_data,
         'context' => $context_data,
+        'jwt_keys' => $this->getJwtKeys($context_data['project_id'] ?? ''),
+        'invocation_token' => $this->createInvocationToken($execution_id, $context_data),
         'test_mode' => TRUE,
       ];
 
@@ -227,7 +308,7 @@ class FunctionExecutor {
           'Content-Type' => 'application/json',
           'X-BaaS-Project-ID' => $context_data['project_id'] ?? '',
           'X-BaaS-Execution-ID' => $execution_id,
-        ],
+        ] + $this->getTraceHeaders(),
       ]);
 
       $execution_time = (microtime(TRUE) - $start_time) * 1000;
@@ -341,6 +422,170 @@ class FunctionExecutor {
     return 'exec_' . uniqid() . '_' . time();
   }
 
+  /**
+   * Builds the payload the Node.js service executes a function with.
+   *
+   * @param array $function
+   *   The function record.
+   * @param string $function_id
+   *   The function ID.
+   * @param string $execution_id
+   *   The execution ID.
+   * @param array $request_data
+   *   The request data to pass to the function.
+   * @param array $context_data
+   *   Context data (user, project, etc.).
+   *
+   * @return array
+   *   The execution payload.
+   */
+  protected function buildExecutionPayload(array $function, string $function_id, string $execution_id, array $request_data, array $context_data): array {
+    // Get project environment variables
+    $project_id = $context_data['project_id'] ?? '';
+    $env_vars = [];
+    if ($project_id && $this->environmentVariableManager) {
+      try {
+        $env_vars = $this->environmentVariableManager->getEnvVarsForExecution($project_id);
+      } catch (\Exception $e) {
+        $this->logger->warning('Failed to load environment variables', [
+          'project_id' => $project_id,
+          'error' => $e->getMessage(),
+        ]);
+      }
+    }
+
+    return [
+      'execution_id' => $execution_id,
+      'function_id' => $function_id,
+      'function_name' => $function['function_name'],
+      'code' => $function['code'],
+      'config' => $function['config'],
+      'request' => $request_data,
+      'context' => $context_data,
+      'env' => $env_vars,
+      'jwt_keys' => $this->getJwtKeys($project_id),
+      'invocation_token' => $this->createInvocationToken($execution_id, $context_data),
+    ];
+  }
+
+  /**
+   * Creates the token an execution presents to invoke other functions.
+   *
+   * The token carries the execution's tenant, project, user and call depth
+   * signed with the site's hash salt, so prepareInvocation() and
+   * recordInvocation() take them from here instead of trusting the request.
+   *
+   * @param string $execution_id
+   *   The execution ID.
+   * @param array $context_data
+   *   Context data of the execution.
+   *
+   * @return string
+   *   The signed token.
+   */
+  public function createInvocationToken(string $execution_id, array $context_data): string {
+    $claims = base64_encode(Json::encode([
+      'tenant_id' => (string) ($context_data['tenant_id'] ?? ''),
+      'project_id' => (string) ($context_data['project_id'] ?? ''),
+      'execution_id' => $execution_id,
+      'user_id' => (string) ($context_data['user_id'] ?? '0'),
+      'parent_execution_id' => $context_data['parent_execution_id'] ?? NULL,
+      'call_depth' => (int) ($context_data['call_depth'] ?? 0),
+    ]));
+
+    return $claims . '.' . Crypt::hmacBase64($claims, $this->getInvocationKey());
+  }
+
+  /**
+   * Verifies an invocation token and returns its claims.
+   *
+   * @param string $token
+   *   The token from createInvocationToken().
+   * @param string $tenant_id
+   *   The tenant the token must belong to.
+   * @param string $project_id
+   *   The project the token must belong to.
+   *
+   * @return array
+   *   The claims: tenant_id, project_id, execution_id, user_id,
+   *   parent_execution_id and call_depth.
+   *
+   * @throws \Drupal\baas_functions\Exception\FunctionException
+   *   When the token is malformed, forged or issued for another project.
+   */
+  public function verifyInvocationToken(string $token, string $tenant_id, string $project_id): array {
+    [$claims, $signature] = array_pad(explode('.', $token, 2), 2, '');
+    if ($claims === '' || !hash_equals(Crypt::hmacBase64($claims, $this->getInvocationKey()), $signature)) {
+      throw FunctionException::accessDenied('Invalid invocation token');
+    }
+
+    $data = Json::decode((string) base64_decode($claims, TRUE));
+    if (!is_array($data) || ($data['tenant_id'] ?? NULL) !== $tenant_id || ($data['project_id'] ?? NULL) !== $project_id) {
+      throw FunctionException::accessDenied('Invocation token was issued for another project');
+    }
+
+    return $data;
+  }
+
+  /**
+   * Gets the key invocation tokens are signed with.
+   */
+  protected function getInvocationKey(): string {
+    return Settings::getHashSalt() . 'baas_functions_invocation';
+  }
+
+  /**
+   * Gets the project's JWT keys for ctx.jwt.
+   *
+   * @param string $project_id
+   *   The project ID.
+   *
+   * @return array
+   *   The keys, or an empty array when they cannot be loaded.
+   */
+  protected function getJwtKeys(string $project_id): array {
+    if (!$project_id) {
+      return [];
+    }
+
+    try {
+      return $this->jwtKeyManager->getKeysForExecution($project_id);
+    }
+    catch (\Exception $e) {
+      $this->logger->warning('Failed to load JWT keys', [
+        'project_id' => $project_id,
+        'error' => $e->getMessage(),
+      ]);
+      return [];
+    }
+  }
+
+  /**
+   * Gets the W3C trace context headers for calls to the Node.js service.
+   *
+   * Continues the trace of the incoming request when it carries a valid
+   * traceparent, otherwise starts a new trace.
+   *
+   * @return array
+   *   The traceparent header, plus tracestate when present.
+   */
+  protected function getTraceHeaders(): array {
+    $request = \Drupal::request();
+    $traceparent = $request->headers->get('traceparent');
+
+    if ($traceparent && preg_match('/^[0-9a-f]{2}-[0-9a-f]{32}-[0-9a-f]{16}-[0-9a-f]{2}$/', $traceparent)) {
+      $headers = ['traceparent' => $traceparent];
+      if ($tracestate = $request->headers->get('tracestate')) {
+        $headers['tracestate'] = $tracestate;
+      }
+      return $headers;
+    }
+
+    return [
+      'traceparent' => sprintf('00-%s-%s-01', bin2hex(random_bytes(16)), bin2hex(random_bytes(8))),
+    ];
+  }
+
   /**
    * Logs function execution to the database.
    *
@@ -375,6 +620,7 @@ class FunctionExecutor {
           'status' => $result['status'],
           'error_message' => $result['error'],
           'error_stack' => $result['error'] ? json_encode($result) : NULL,
+          'logs' => json_encode($result['logs'] ?? []),
           'user_id' => $context_data['user_id'] ?? NULL,
           'ip_address' => $context_data['ip_address'] ?? NULL,
           'user_agent' => $context_data['user_agent'] ?? NULL,
@@ -0,0 +1,320 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\baas_functions\Service;
+
+use Drupal\Core\Database\Connection;
+use Drupal\Core\Site\Settings;
+use Drupal\baas_auth\Service\UnifiedPermissionCheckerInterface;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\baas_functions\Exception\FunctionException;
+
+/**
+ * JWT Key Manager - Manages the keys functions sign and verify JWTs with.
+ *
+ * Each project has one active key; creating a key rotates the previous one
+ * to retired, and retired keys keep verifying tokens until they are deleted.
+ * Secrets are encrypted at rest and only leave Drupal in the execution
+ * payload sent to the Node.js runtime, which never hands them to user code.
+ */
+class JwtKeyManager {
+
+  /**
+   * Supported signing algorithms.
+   */
+  public const ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+
+  protected readonly \Drupal\Core\Logger\LoggerChannelInterface $logger;
+
+  public function __construct(
+    protected readonly Connection $database,
+    protected readonly UnifiedPermissionCheckerInterface $permissionChecker,
+    protected readonly LoggerChannelFactoryInterface $loggerFactory,
+  ) {
+    $this->logger = $this->loggerFactory->get('baas_functions_jwt');
+  }
+
+  /**
+   * Lists a project's keys, without secrets.
+   *
+   * @param string $project_id
+   *   The project ID.
+   *
+   * @return array
+   *   Keys, newest first. Asymmetric keys include their public key.
+   *
+   * @throws \Drupal\baas_functions\Exception\FunctionException
+   */
+  public function listKeys(string $project_id): array {
+    $this->checkAccess($project_id);
+
+    $results = $this->database->select('baas_project_function_jwt_keys', 'k')
+      ->fields('k', ['kid', 'algorithm', 'public_key', 'status', 'created_by', 'created_at', 'retired_at'])
+      ->condition('k.project_id', $project_id)
+      ->orderBy('k.created_at', 'DESC')
+      ->orderBy('k.id', 'DESC')
+      ->execute()
+      ->fetchAll(\PDO::FETCH_ASSOC);
+
+    return $results;
+  }
+
+  /**
+   * Creates a project's new active key, retiring the current one.
+   *
+   * @param string $project_id
+   *   The project ID.
+   * @param string $algorithm
+   *   HS256, RS256 or ES256.
+   * @param int $created_by
+   *   User ID creating the key.
+   *
+   * @return array
+   *   The created key, without its secret.
+   *
+   * @throws \Drupal\baas_functions\Exception\FunctionException
+   */
+  public function createKey(string $project_id, string $algorithm, int $created_by): array {
+    $this->checkAccess($project_id, $created_by);
+
+    if (!in_array($algorithm, self::ALGORITHMS, TRUE)) {
+      throw FunctionException::invalidInput('Algorithm must be one of: ' . implode(', ', self::ALGORITHMS));
+    }
+
+    try {
+      $key = $this->insertKey($project_id, $algorithm, $created_by);
+
+      $this->logger->info('JWT key created', [
+        'project_id' => $project_id,
+        'kid' => $key['kid'],
+        'algorithm' => $algorithm,
+        'created_by' => $created_by,
+      ]);
+
+      return $key;
+    }
+    catch (\Exception $e) {
+      $this->logger->error('Failed to create JWT key', [
+        'project_id' => $project_id,
+        'algorithm' => $algorithm,
+        'error' => $e->getMessage(),
+      ]);
+      throw FunctionException::creationFailed($e->getMessage());
+    }
+  }
+
+  /**
+   * Deletes a key. Tokens signed with it stop verifying.
+   *
+   * @param string $project_id
+   *   The project ID.
+   * @param string $kid
+   *   The key ID.
+   *
+   * @throws \Drupal\baas_functions\Exception\FunctionException
+   */
+  public function deleteKey(string $project_id, string $kid): void {
+    $this->checkAccess($project_id);
+
+    $status = $this->database->select('baas_project_function_jwt_keys', 'k')
+      ->fields('k', ['status'])
+      ->condition('k.project_id', $project_id)
+      ->condition('k.kid', $kid)
+      ->execute()
+      ->fetchField();
+
+    if ($status === FALSE) {
+      throw FunctionException::functionNotFound("JWT key '{$kid}'");
+    }
+    if ($status === 'active') {
+      throw FunctionException::invalidInput('The active key cannot be deleted; create a new key first');
+    }
+
+    try {
+      $this->database->delete('baas_project_function_jwt_keys')
+        ->condition('project_id', $project_id)
+        ->condition('kid', $kid)
+        ->execute();
+
+      $this->logger->info('JWT key deleted', [
+        'project_id' => $project_id,
+        'kid' => $kid,
+      ]);
+    }
+    catch (\Exception $e) {
+      $this->logger->error('Failed to delete JWT key', [
+        'project_id' => $project_id,
+        'kid' => $kid,
+        'error' => $e->getMessage(),
+      ]);
+      throw FunctionException::deletionFailed($e->getMessage());
+    }
+  }
+
+  /**
+   * Gets a project's keys with their secrets for function execution.
+   *
+   * Creates an HS256 key the first time a project's functions run, so
+   * ctx.jwt works without any setup.
+   *
+   * @param string $project_id
+   *   The project ID.
+   *
+   * @return array
+   *   Keys, oldest first, as expected by the Node.js runtime.
+   */
+  public function getKeysForExecution(string $project_id): array {
+    $rows = $this->loadKeys($project_id);
+
+    if (empty($rows)) {
+      $this->insertKey($project_id, 'HS256', 0);
+      $rows = $this->loadKeys($project_id);
+    }
+
+    $keys = [];
+    foreach ($rows as $row) {
+      $secret = $this->decryptSecret($row['encrypted_secret']);
+      $key = [
+        'kid' => $row['kid'],
+        'algorithm' => $row['algorithm'],
+        'status' => $row['status'],
+      ];
+
+      if ($row['algorithm'] === 'HS256') {
+        $key['secret'] = $secret;
+      }
+      else {
+        $key['private_key'] = $secret;
+        $key['public_key'] = $row['public_key'];
+      }
+      $keys[] = $key;
+    }
+
+    return $keys;
+  }
+
+  /**
+   * Checks that a user may manage a project's keys.
+   *
+   * @param string $project_id
+   *   The project ID.
+   * @param int|null $user_id
+   *   The user ID, defaults to the current user.
+   *
+   * @throws \Drupal\baas_functions\Exception\FunctionException
+   */
+  protected function checkAccess(string $project_id, ?int $user_id = NULL): void {
+    $user_id ??= (int) \Drupal::currentUser()->id();
+    if (!$this->permissionChecker->checkProjectPermission($user_id, $project_id, 'manage project jwt keys')) {
+      throw FunctionException::accessDenied('Insufficient permissions to manage JWT keys');
+    }
+  }
+
+  /**
+   * Loads a project's key rows, oldest first.
+   */
+  protected function loadKeys(string $project_id): array {
+    return $this->database->select('baas_project_function_jwt_keys', 'k')
+      ->fields('k', ['kid', 'algorithm', 'encrypted_secret', 'public_key', 'status'])
+      ->condition('k.project_id', $project_id)
+      ->orderBy('k.created_at')
+      ->orderBy('k.id')
+      ->execute()
+      ->fetchAll(\PDO::FETCH_ASSOC);
+  }
+
+  /**
+   * Generates and stores a new active key, retiring the previous one.
+   *
+   * @return array
+   *   The stored key, without its secret.
+   */
+  protected function insertKey(string $project_id, string $algorithm, int $created_by): array {
+    [$secret, $public_key] = $this->generateKeyMaterial($algorithm);
+    $current_time = \Drupal::time()->getCurrentTime();
+
+    $key = [
+      'project_id' => $project_id,
+      'kid' => bin2hex(random_bytes(8)),
+      'algorithm' => $algorithm,
+      'public_key' => $public_key,
+      'status' => 'active',
+      'created_by' => $created_by,
+      'created_at' => $current_time,
+    ];
+
+    $transaction = $this->database->startTransaction();
+    try {
+      $this->database->update('baas_project_function_jwt_keys')
+        ->fields(['status' => 'retired', 'retired_at' => $current_time])
+        ->condition('project_id', $project_id)
+        ->condition('status', 'active')
+        ->execute();
+
+      $this->database->insert('baas_project_function_jwt_keys')
+        ->fields($key + ['encrypted_secret' => $this->encryptSecret($secret)])
+        ->execute();
+    }
+    catch (\Exception $e) {
+      $transaction->rollBack();
+      throw $e;
+    }
+
+    unset($key['project_id']);
+    return $key;
+  }
+
+  /**
+   * Generates a secret (HS256) or a key pair (RS256, ES256).
+   *
+   * @return array
+   *   The secret or private key PEM, and the public key PEM or NULL.
+   */
+  protected function generateKeyMaterial(string $algorithm): array {
+    if ($algorithm === 'HS256') {
+      return [bin2hex(random_bytes(32)), NULL];
+    }
+
+    $options = $algorithm === 'RS256'
+      ? ['private_key_type' => OPENSSL_KEYTYPE_RSA, 'private_key_bits' => 2048]
+      : ['private_key_type' => OPENSSL_KEYTYPE_EC, 'curve_name' => 'prime256v1'];
+
+    $resource = openssl_pkey_new($options);
+    if ($resource === FALSE || !openssl_pkey_export($resource, $private_key)) {
+      throw new \RuntimeException('Failed to generate ' . $algorithm . ' key pair: ' . openssl_error_string());
+    }
+
+    return [$private_key, openssl_pkey_get_details($resource)['key']];
+  }
+
+  /**
+   * Encrypts a secret for storage with a key derived from the site hash salt.
+   */
+  protected function encryptSecret(string $secret): string {
+    $nonce = random_bytes(SODIUM_CRYPTO_SECRETBOX_NONCEBYTES);
+    return base64_encode($nonce . sodium_crypto_secretbox($secret, $nonce, $this->encryptionKey()));
+  }
+
+  /**
+   * Decrypts a stored secret.
+   */
+  protected function decryptSecret(string $encrypted_secret): string {
+    $raw = base64_decode($encrypted_secret);
+    $nonce = substr($raw, 0, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES);
+    $secret = sodium_crypto_secretbox_open(substr($raw, SODIUM_CRYPTO_SECRETBOX_NONCEBYTES), $nonce, $this->encryptionKey());
+
+    if ($secret === FALSE) {
+      throw new \RuntimeException('Failed to decrypt JWT key; was the hash salt changed?');
+    }
+    return $secret;
+  }
+
+  /**
+   * Derives the encryption key.
+   */
+  protected function encryptionKey(): string {
+    return sodium_crypto_generichash('baas_functions_jwt_keys:' . Settings::getHashSalt(), '', SODIUM_CRYPTO_SECRETBOX_KEYBYTES);
+  }
+
+}
@@ -82,6 +82,7 @@ class LogManager {
       $log['input_data'] = json_decode($log['input_data'] ?? '{}', TRUE);
       $log['output_data'] = json_decode($log['output_data'] ?? '{}', TRUE);
       $log['error_stack'] = json_decode($log['error_stack'] ?? 'null', TRUE);
+      $log['logs'] = json_decode($log['logs'] ?? '[]', TRUE);
     }
 
     // Get total count
@@ -158,6 +159,7 @@ class LogManager {
       $log['input_data'] = json_decode($log['input_data'] ?? '{}', TRUE);
       $log['output_data'] = json_decode($log['output_data'] ?? '{}', TRUE);
       $log['error_stack'] = json_decode($log['error_stack'] ?? 'null', TRUE);
+      $log['logs'] = json_decode($log['logs'] ?? '[]', TRUE);
     }
 
     // Get total count
@@ -208,6 +210,7 @@ class LogManager {
     $result['input_data'] = json_decode($result['input_data'] ?? '{}', TRUE);
     $result['output_data'] = json_decode($result['output_data'] ?? '{}', TRUE);
     $result['error_stack'] = json_decode($result['error_stack'] ?? 'null', TRUE);
+    $result['logs'] = json_decode($result['logs'] ?? '[]', TRUE);
 
     return $result;
   }
@@ -365,6 +365,7 @@ class WebSocketController implements ContainerInjectionInterface
         'user_id' => $connection['user_id'],
       ]);
 
+      // 返回行级访问规则和当前权限，由实时服务在本地过滤消息
       return new JsonResponse([
         'success' => TRUE,
         'data' => [
@@ -372,6 +373,8 @@ class WebSocketController implements ContainerInjectionInterface
           'subscribed' => TRUE,
           'filters' => $filters,
           'event_types' => $event_types,
+          'access' => $this->permissionChecker->getRowAccessRules($connection, $subscription_data['table_name']),
+          'permissions' => $this->permissionChecker->getConnectionPermissions($connection),
         ],
       ]);
 
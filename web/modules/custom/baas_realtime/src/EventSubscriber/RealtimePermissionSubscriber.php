@@ -0,0 +1,95 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Drupal\baas_realtime\EventSubscriber;
+
+use Drupal\Core\Database\Connection;
+use Drupal\Core\Logger\LoggerChannelFactoryInterface;
+use Drupal\Core\Logger\LoggerChannelInterface;
+use Drupal\baas_project\Event\ProjectEvent;
+use Symfony\Component\EventDispatcher\EventSubscriberInterface;
+
+/**
+ * 实时权限变更订阅器。
+ *
+ * 项目成员变更时通过 PostgreSQL NOTIFY（realtime_permissions）通知
+ * Node.js实时服务，使其重新获取受影响连接的订阅权限和行级访问规则。
+ */
+class RealtimePermissionSubscriber implements EventSubscriberInterface
+{
+
+  protected readonly LoggerChannelInterface $logger;
+
+  /**
+   * 构造函数。
+   */
+  public function __construct(
+    protected readonly Connection $database,
+    LoggerChannelFactoryInterface $loggerFactory,
+  ) {
+    $this->logger = $loggerFactory->get('baas_realtime');
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function getSubscribedEvents(): array
+  {
+    return [
+      ProjectEvent::MEMBER_ADDED => ['onMemberChanged', 0],
+      ProjectEvent::MEMBER_REMOVED => ['onMemberChanged', 0],
+      ProjectEvent::MEMBER_ROLE_UPDATED => ['onMemberChanged', 0],
+      ProjectEvent::OWNERSHIP_TRANSFERRED => ['onOwnershipTransferred', 0],
+    ];
+  }
+
+  /**
+   * 处理成员添加、移除和角色变更事件。
+   *
+   * @param \Drupal\baas_project\Event\ProjectEvent $event
+   *   项目事件。
+   */
+  public function onMemberChanged(ProjectEvent $event): void
+  {
+    $this->notify($event->getProjectId(), $event->get('user_id'));
+  }
+
+  /**
+   * 处理所有权转移事件（涉及两个用户，通知整个项目）。
+   *
+   * @param \Drupal\baas_project\Event\ProjectEvent $event
+   *   项目事件。
+   */
+  public function onOwnershipTransferred(ProjectEvent $event): void
+  {
+    $this->notify($event->getProjectId());
+  }
+
+  /**
+   * 发送权限变更通知。
+   *
+   * @param string $project_id
+   *   项目ID。
+   * @param mixed $user_id
+   *   用户ID，NULL表示项目内所有用户。
+   */
+  protected function notify(string $project_id, mixed $user_id = NULL): void
+  {
+    try {
+      $this->database->query("SELECT pg_notify('realtime_permissions', :payload)", [
+        ':payload' => json_encode([
+          'project_id' => $project_id,
+          'user_id' => $user_id !== NULL ? (string) $user_id : NULL,
+          'timestamp' => time(),
+        ]),
+      ]);
+    }
+    catch (\Exception $e) {
+      $this->logger->error('Failed to notify realtime permission change: @error', [
+        '@error' => $e->getMessage(),
+      ]);
+    }
+  }
+
+}
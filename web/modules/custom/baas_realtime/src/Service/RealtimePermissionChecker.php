@@ -19,6 +19,19 @@ use Drupal\baas_project\ProjectManager;
 class RealtimePermissionChecker
 {
 
+  /**
+   * 没有 view sensitive data 权限时从消息中移除的字段。
+   */
+  public const SENSITIVE_FIELDS = [
+    'password',
+    'password_hash',
+    'salt',
+    'token',
+    'secret',
+    'private_key',
+    'api_key',
+  ];
+
   /**
    * Logger channel.
    */
@@ -225,30 +238,12 @@ class RealtimePermissionChecker
    *   过滤后的记录。
    */
   public function filterSensitiveFields(array $record, array $connection): array {
-    // 定义敏感字段
-    $sensitive_fields = [
-      'password',
-      'password_hash',
-      'salt',
-      'token',
-      'secret',
-      'private_key',
-      'api_key',
-    ];
-
-    // 检查用户是否有查看敏感数据的权限
-    $can_view_sensitive = $this->permissionChecker->checkProjectPermission(
-      (int) $connection['user_id'],
-      $connection['project_id'],
-      'view sensitive data'
-    );
-
-    if ($can_view_sensitive) {
+    if ($this->canViewSensitiveData($connection)) {
       return $record;
     }
 
     // 过滤敏感字段
-    foreach ($sensitive_fields as $field) {
+    foreach (self::SENSITIVE_FIELDS as $field) {
       if (isset($record[$field])) {
         unset($record[$field]);
       }
@@ -257,6 +252,59 @@ class RealtimePermissionChecker
     return $record;
   }
 
+  /**
+   * 获取频道的行级访问规则。
+   *
+   * 规则与 checkRowLevelSecurity() 和 filterSensitiveFields() 相同，
+   * 由Node.js实时服务在加入频道时编译，并在本地对每条消息求值。
+   *
+   * @param array $connection
+   *   连接信息。
+   * @param string|null $table_name
+   *   表名（非表频道为NULL）。
+   *
+   * @return array
+   *   访问规则：project_id、tenant_id、user_id、user_private、sensitive_fields。
+   */
+  public function getRowAccessRules(array $connection, ?string $table_name): array {
+    return [
+      'project_id' => $connection['project_id'],
+      'tenant_id' => $connection['tenant_id'],
+      'user_id' => $connection['user_id'],
+      'user_private' => $table_name !== NULL && $this->isUserPrivateTable($table_name),
+      'sensitive_fields' => $this->canViewSensitiveData($connection) ? [] : self::SENSITIVE_FIELDS,
+    ];
+  }
+
+  /**
+   * 获取连接用户当前的实时权限。
+   *
+   * @param array $connection
+   *   连接信息。
+   *
+   * @return array
+   *   权限数组。
+   */
+  public function getConnectionPermissions(array $connection): array {
+    return $this->getUserRealtimePermissions((int) $connection['user_id'], $connection['project_id']);
+  }
+
+  /**
+   * 检查连接用户是否可以查看敏感字段。
+   *
+   * @param array $connection
+   *   连接信息。
+   *
+   * @return bool
+   */
+  protected function canViewSensitiveData(array $connection): bool {
+    return $this->permissionChecker->checkProjectPermission(
+      (int) $connection['user_id'],
+      $connection['project_id'],
+      'view sensitive data'
+    );
+  }
+
   /**
    * 验证API密钥。
    *